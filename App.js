@@ -14,38 +14,124 @@ import {
   Modal,
   Keyboard,
   TouchableWithoutFeedback,
+  Platform,
 } from 'react-native';
-import { Camera, CameraView } from 'expo-camera';
+import { Camera, useCameraDevice, useCameraFormat } from 'react-native-vision-camera';
 import * as Haptics from 'expo-haptics';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { RealPPGProcessor } from './RealPPGAlgorithm';
+import { Accelerometer } from 'expo-sensors';
+import Constants from 'expo-constants';
+import { PPGPipeline, DEFAULT_ALGORITHM } from './PPGPipeline';
+import { FrameAcquisition, RecordedFrameSource } from './FrameAcquisition';
+import { useCameraFrameProcessor } from './CameraFrameSource';
 import { PPGVisualization } from './PPGVisualization';
+import {
+  getHeartRateRange,
+  getRespiratoryRateRange,
+  getBloodPressureRange,
+  getFeverHeartRateIncrease,
+  isFeverRelatedHeartRate,
+  NORMAL_TEMPERATURE,
+  READING_FLAGS,
+} from './ReferenceRanges';
+import {
+  parseTemperature,
+  formatTemperature,
+  convertTemperatureText,
+  validateTemperature,
+  TEMPERATURE_UNITS,
+  TEMPERATURE_UNIT_LABELS,
+} from './Temperature';
+import {
+  classifyBloodPressure,
+  getBloodPressureCutoffs,
+  BP_CATEGORIES,
+  BP_CATEGORY_LABELS,
+  HEIGHT_ASSUMED_REASONS,
+} from './BloodPressurePercentiles';
+import { PLACEMENT_GUIDANCE } from './PerfusionIndex';
+import { generateSyntheticSession } from './SyntheticPPG';
+import {
+  addCalibrationPoint,
+  applyCalibration,
+  getCalibrationStatus,
+  validateCuffReading,
+  CALIBRATION_MAX_AGE_DAYS,
+} from './BloodPressureCalibration';
+import {
+  migrateStorage,
+  loadProfiles,
+  saveProfiles,
+  loadHistory,
+  saveHistory,
+  loadSettings,
+  saveSettings,
+  loadCalibration,
+  saveCalibration,
+  adoptLegacyCalibration,
+  clearCalibration,
+} from './Storage';
+import { createProfile, updateProfile, getAge, formatAge } from './ChildProfiles';
+import { createHistoryEntry, addHistoryEntry, updateHistoryEntry, getProfileHistory, removeProfileHistory } from './MeasurementHistory';
+import { updateRecordBloodPressure, getRecordChild, MEASUREMENT_SOURCES } from './MeasurementRecord';
+import { exportSession, exportHistory, EXPORT_FORMATS } from './MeasurementExport';
+import { shareExport } from './ExportSharing';
 import { FingerPlacementGuide } from './FingerPlacementGuide';
+import { ChildProfileForm } from './ChildProfileForm';
+import { MeasurementHistoryCard } from './MeasurementHistoryCard';
+import { MeasurementHistoryScreen } from './MeasurementHistoryScreen';
 
 const { width, height } = Dimensions.get('window');
 
+// PPG algorithm the pipeline runs (app.json "extra.ppgAlgorithm")
+const PPG_ALGORITHM = Constants.expoConfig?.extra?.ppgAlgorithm || DEFAULT_ALGORITHM;
+
+// Recorded with every measurement
+const DEVICE_INFO = {
+  platform: Platform.OS,
+  osVersion: String(Platform.Version),
+  model: Constants.deviceName || null,
+  appVersion: Constants.expoConfig?.version || null,
+};
+
 export default function App() {
   // App state
   const [hasPermission, setHasPermission] = useState(null);
   const [cameraPermission, setCameraPermission] = useState(null);
   
+  // Child profiles and their measurement history
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const [editingProfile, setEditingProfile] = useState(null); // profile, 'new' or null
+  const [history, setHistory] = useState([]);
+  const [storageLoaded, setStorageLoaded] = useState(false);
+  
   // Input data
-  const [childAge, setChildAge] = useState('');
   const [temperature, setTemperature] = useState('');
+  const [temperatureUnit, setTemperatureUnit] = useState(TEMPERATURE_UNITS.CELSIUS);
   
   // Measurement state
   const [isScanning, setIsScanning] = useState(false);
-  const [heartRate, setHeartRate] = useState(null);
-  const [bloodPressure, setBloodPressure] = useState({ systolic: null, diastolic: null });
-  const [confidence, setConfidence] = useState(0);
+  // Latest valid pipeline result while scanning, and the measurement record
+  // (MeasurementRecord.js) of the completed scan
+  const [liveResult, setLiveResult] = useState(null);
+  const [measurement, setMeasurement] = useState(null);
   const [quality, setQuality] = useState('unknown');
-  const [signalData, setSignalData] = useState([]);
+  const [frameRate, setFrameRate] = useState(30);
   const [scanProgress, setScanProgress] = useState(0);
   const [showFingerGuide, setShowFingerGuide] = useState(false);
   const [cameraError, setCameraError] = useState(null);
-  const [hasCompletedOnboarding, setHasCompletedOnboarding] = useState(false);
   const [fingerDetected, setFingerDetected] = useState(false);
+  const [motionDetected, setMotionDetected] = useState(false);
+  const [placementGuidance, setPlacementGuidance] = useState(null);
   const [measurementComplete, setMeasurementComplete] = useState(false);
+  const [isDemo, setIsDemo] = useState(false);
+  const [showHRV, setShowHRV] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  
+  // Blood pressure calibration against a cuff reading
+  const [calibration, setCalibration] = useState(null);
+  const [cuffSystolic, setCuffSystolic] = useState('');
+  const [cuffDiastolic, setCuffDiastolic] = useState('');
   
   // Animation refs
   const fadeAnimation = useRef(new Animated.Value(0)).current;
@@ -54,25 +140,65 @@ export default function App() {
   const bounceAnimation = useRef(new Animated.Value(1)).current;
   
   // Camera and processing refs
-  const cameraRef = useRef(null);
   const scanInterval = useRef(null);
-  const frameInterval = useRef(null);
+  const accelerometerSubscription = useRef(null);
+  // Bumped by cleanup() so async starts of an ended scan can tell
+  const scanGeneration = useRef(0);
   const progressAnimation = useRef(new Animated.Value(0)).current;
-  const ppgProcessor = useRef(new RealPPGProcessor()).current;
+  const ppgProcessor = useRef(new PPGPipeline({ algorithm: PPG_ALGORITHM, device: DEVICE_INFO })).current;
+  const frameSource = useRef(new FrameAcquisition()).current;
+  const demoSource = useRef(null);
+  // Scan mode, read when the scan timer stops the scan
+  const demoScan = useRef(false);
+
+  // Age (years, month precision) and setup state follow the active child profile
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId) || null;
+  const childAge = activeProfile ? getAge(activeProfile.birthDate) : 5;
+  const ageLabel = activeProfile ? formatAge(activeProfile.birthDate) : '';
+  const hasCompletedOnboarding = !!activeProfile;
+  const profileHistory = activeProfile ? getProfileHistory(history, activeProfile.id) : [];
+  const childDescription = { age: childAge, sex: activeProfile?.sex, height: activeProfile?.height };
+  const metrics = measurement ? measurement.metrics : null;
+  const bloodPressureClassification = measurement
+    ? classifyBloodPressure(metrics.bloodPressure, getRecordChild(measurement))
+    : null;
+
+  // Streaming camera: every frame is reduced to ROI mean RGB in a frame processor
+  const device = useCameraDevice('back');
+  const format = useCameraFormat(device, [
+    { fps: 30 },
+    { videoResolution: { width: 640, height: 480 } },
+  ]);
+  const frameProcessor = useCameraFrameProcessor(frameSource);
+
+  useEffect(() => {
+    // Deliver streamed frame samples to the PPG processor
+    const unsubscribe = frameSource.onSample(processCameraSample);
+    return unsubscribe;
+  }, []);
 
   useEffect(() => {
     (async () => {
       try {
-        const { status } = await Camera.requestCameraPermissionsAsync();
+        const status = await Camera.requestCameraPermission();
         setCameraPermission(status);
         setHasPermission(status === 'granted');
         
-        // Load saved onboarding data
-        const savedAge = await AsyncStorage.getItem('pulsekids_age');
-        const savedTemp = await AsyncStorage.getItem('pulsekids_temperature');
-        if (savedAge) setChildAge(savedAge);
-        if (savedTemp) setTemperature(savedTemp);
-        if (savedAge) setHasCompletedOnboarding(true);
+        // Upgrade data saved by older versions, then load profiles and history
+        await migrateStorage();
+        const saved = await loadProfiles();
+        setProfiles(saved.profiles);
+        setActiveProfileId(saved.activeProfileId);
+        setHistory(await loadHistory());
+        
+        const settings = await loadSettings();
+        if (settings.temperature) setTemperature(settings.temperature);
+        if (settings.temperatureUnit) setTemperatureUnit(settings.temperatureUnit);
+        
+        if (saved.activeProfileId) {
+          setCalibration(await loadCalibration(saved.activeProfileId));
+        }
+        setStorageLoaded(true);
       } catch (error) {
         console.error('Error loading data:', error);
         setCameraError('Failed to initialize camera');
@@ -119,8 +245,17 @@ export default function App() {
   };
 
   const cleanup = () => {
+    scanGeneration.current += 1;
     if (scanInterval.current) clearInterval(scanInterval.current);
-    if (frameInterval.current) clearInterval(frameInterval.current);
+    if (accelerometerSubscription.current) {
+      accelerometerSubscription.current.remove();
+      accelerometerSubscription.current = null;
+    }
+    frameSource.stop();
+    if (demoSource.current) {
+      demoSource.current.stop();
+      demoSource.current = null;
+    }
   };
 
   const startPulseAnimation = () => {
@@ -151,7 +286,7 @@ export default function App() {
 
   const requestCameraPermission = async () => {
     try {
-      const { status } = await Camera.requestCameraPermissionsAsync();
+      const status = await Camera.requestCameraPermission();
       setCameraPermission(status);
       setHasPermission(status === 'granted');
       if (status === 'granted') {
@@ -163,55 +298,114 @@ export default function App() {
     }
   };
 
-  const handleOnboardingComplete = async () => {
-    // Dismiss keyboard first
+  // Save the profile form: fields are already validated by ChildProfileForm
+  const handleProfileSave = async (fields) => {
     dismissKeyboard();
     
-    if (!childAge.trim()) {
-      Alert.alert('Required Field', 'Please enter your child\'s age');
-      return;
+    try {
+      const isNew = editingProfile === 'new' || !editingProfile;
+      const profile = isNew ? createProfile(fields) : updateProfile(editingProfile, fields);
+      const updated = isNew
+        ? [...profiles, profile]
+        : profiles.map(existing => (existing.id === profile.id ? profile : existing));
+      
+      await saveProfiles(updated, profile.id);
+      // The first child takes over a calibration saved before profiles existed
+      if (isNew && profiles.length === 0) await adoptLegacyCalibration(profile.id);
+      setProfiles(updated);
+      setEditingProfile(null);
+      if (profile.id !== activeProfileId) await selectProfile(profile.id, updated);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } catch (error) {
+      console.error('Error saving profile:', error);
     }
+  };
+
+  // Make a profile active; its calibration replaces the previous child's
+  const selectProfile = async (profileId, profileList = profiles) => {
+    if (isScanning) return;
     
     try {
-      await AsyncStorage.setItem('pulsekids_age', childAge);
-      if (temperature.trim()) {
-        await AsyncStorage.setItem('pulsekids_temperature', temperature);
-      }
-      setHasCompletedOnboarding(true);
-      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      await saveProfiles(profileList, profileId);
+      setActiveProfileId(profileId);
+      const savedCalibration = await loadCalibration(profileId);
+      setCalibration(savedCalibration);
+      ppgProcessor.setCalibration(savedCalibration);
+      clearResults();
     } catch (error) {
-      console.error('Error saving data:', error);
+      console.error('Error selecting profile:', error);
     }
   };
 
-  const processVideoFrame = async () => {
-    if (!cameraRef.current || !isScanning) return;
+  const handleProfileDelete = (profile) => {
+    Alert.alert(
+      'Delete Child',
+      `Delete ${profile.name} and all saved heart checks?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const remaining = profiles.filter(existing => existing.id !== profile.id);
+              const remainingHistory = removeProfileHistory(history, profile.id);
+              const nextActiveId = activeProfileId === profile.id
+                ? (remaining[0]?.id || null)
+                : activeProfileId;
+              
+              await saveHistory(remainingHistory);
+              await clearCalibration(profile.id);
+              await saveProfiles(remaining, nextActiveId);
+              setProfiles(remaining);
+              setHistory(remainingHistory);
+              setEditingProfile(null);
+              if (nextActiveId !== activeProfileId) {
+                if (nextActiveId) {
+                  await selectProfile(nextActiveId, remaining);
+                } else {
+                  setActiveProfileId(null);
+                  setCalibration(null);
+                  clearResults();
+                }
+              }
+            } catch (error) {
+              console.error('Error deleting profile:', error);
+            }
+          },
+        },
+      ]
+    );
+  };
 
+  // Save a completed scan's measurement record to the active child's history
+  const saveToHistory = async (record) => {
     try {
-      const options = {
-        quality: 0.1,
-        base64: false,
-        skipProcessing: true,
-      };
+      const entry = createHistoryEntry(activeProfile, record);
+      const updated = addHistoryEntry(history, entry);
+      setHistory(updated);
+      await saveHistory(updated);
+    } catch (error) {
+      console.error('Error saving measurement:', error);
+    }
+  };
 
-      const imageUri = await cameraRef.current.takePictureAsync(options);
-      
-      // Update PPG processor with current settings
-      ppgProcessor.setTemperature(parseFloat(temperature) || 37.0);
-      ppgProcessor.setChildAge(parseInt(childAge) || 5);
-      
-      // Process frame with real PPG algorithm
-      const result = await ppgProcessor.processFrame(imageUri, Date.now());
+  const processCameraSample = async (sample) => {
+    try {
+      // Process frame sample through the configured PPG pipeline
+      const result = await ppgProcessor.processFrame(sample);
+      if (!result) return;
+
+      setFingerDetected(result.fingerDetected);
+      setMotionDetected(result.motionDetected);
+      setPlacementGuidance(result.guidance);
       
-      if (result && result.isValid) {
-        setHeartRate(result.heartRate);
-        setBloodPressure(result.bloodPressure);
-        setConfidence(result.confidence);
+      if (result.isValid) {
+        setLiveResult(result);
+        setQuality(result.quality);
+        if (result.frameRate) setFrameRate(result.frameRate);
+      } else if (result.fingerDetected) {
         setQuality(result.quality);
-        setSignalData(result.signalData);
-        setFingerDetected(true);
-      } else if (result && !result.isValid) {
-        setFingerDetected(false);
       }
       
     } catch (error) {
@@ -219,32 +413,48 @@ export default function App() {
     }
   };
 
-  const startScan = async () => {
+  // mode: 'camera' measures through the camera; 'demo' plays a simulated
+  // signal so the app can be tried without a finger on the lens
+  const startScan = async (mode = 'camera') => {
+    const demo = mode === 'demo';
     if (!hasCompletedOnboarding) {
-      Alert.alert('Setup Required', 'Please complete the setup first by entering age and tapping "Complete Setup"');
+      Alert.alert('Setup Required', 'Please add your child first by entering their name and birth date');
       return;
     }
 
-    if (cameraPermission !== 'granted') {
+    if (!demo && cameraPermission !== 'granted') {
       Alert.alert('Camera Permission Required', 'Please grant camera permission to start measurement');
       await requestCameraPermission();
       return;
     }
 
+    const temperatureError = validateTemperature(temperature, temperatureUnit);
+    if (temperatureError) {
+      Alert.alert('Check Temperature', temperatureError);
+      return;
+    }
+    const temperatureCelsius = parseTemperature(temperature, temperatureUnit);
+
     setIsScanning(true);
-    setHeartRate(null);
-    setBloodPressure({ systolic: null, diastolic: null });
-    setConfidence(0);
+    setIsDemo(demo);
+    demoScan.current = demo;
+    setLiveResult(null);
+    setMeasurement(null);
     setQuality('unknown');
-    setSignalData([]);
     setScanProgress(0);
     setMeasurementComplete(false);
     setFingerDetected(false);
+    setMotionDetected(false);
+    setPlacementGuidance(null);
+    if (!demo) {
+      saveSettings({ temperature, temperatureUnit }).catch(error => console.error('Error saving settings:', error));
+    }
 
     // Reset PPG processor and set current parameters
     ppgProcessor.reset();
-    ppgProcessor.setTemperature(parseFloat(temperature) || 37.0);
-    ppgProcessor.setChildAge(parseInt(childAge) || 5);
+    ppgProcessor.setTemperature(temperatureCelsius);
+    ppgProcessor.setChildAge(childAge);
+    ppgProcessor.setCalibration(calibration);
 
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
     startPulseAnimation();
@@ -256,8 +466,14 @@ export default function App() {
       useNativeDriver: false,
     }).start();
 
-    // Frame processing
-    frameInterval.current = setInterval(processVideoFrame, 33); // 30 FPS
+    // Frame processing: samples stream in from the camera frame processor,
+    // or from the simulated session in demo mode
+    if (demo) {
+      startDemoSource();
+    } else {
+      frameSource.start();
+      startMotionTracking();
+    }
 
     // Progress tracking
     let scanTime = 0;
@@ -271,16 +487,64 @@ export default function App() {
     }, 1000);
   };
 
+  // Demo mode: a synthetic session typical for the child's age plays back
+  // in real time through the same path as camera samples
+  const startDemoSource = () => {
+    const heartRateRange = getHeartRateRange(childAge);
+    const respiratoryRange = getRespiratoryRateRange(childAge);
+    const session = generateSyntheticSession({
+      duration: 31,
+      heartRate: (heartRateRange.min + heartRateRange.max) / 2,
+      respiratoryRate: (respiratoryRange.min + respiratoryRange.max) / 2,
+      seed: Date.now()
+    });
+
+    demoSource.current = new RecordedFrameSource(session.samples, { realtime: true });
+    demoSource.current.onSample(processCameraSample);
+    demoSource.current.start();
+  };
+
+  // Accelerometer samples help the processor spot movement (optional)
+  const startMotionTracking = async () => {
+    const generation = scanGeneration.current;
+    try {
+      if (!(await Accelerometer.isAvailableAsync())) return;
+      // The scan stopped (or the app closed) while checking the sensor
+      if (generation !== scanGeneration.current) return;
+      Accelerometer.setUpdateInterval(50);
+      accelerometerSubscription.current = Accelerometer.addListener(({ x, y, z }) => {
+        ppgProcessor.addMotionSample({ x, y, z });
+      });
+    } catch (error) {
+      console.error('Accelerometer error:', error);
+    }
+  };
+
   const stopScan = () => {
     cleanup();
     setIsScanning(false);
     progressAnimation.setValue(0);
     stopPulseAnimation();
     setMeasurementComplete(true);
+    setMotionDetected(false);
+    setPlacementGuidance(null);
+    
+    // One record of the whole scan, including the scan-level HRV and
+    // breathing rate from all beats collected
+    const record = ppgProcessor.getMeasurementRecord({
+      source: demoScan.current ? MEASUREMENT_SOURCES.DEMO : MEASUREMENT_SOURCES.CAMERA,
+      child: { sex: activeProfile?.sex, height: activeProfile?.height },
+    });
+    setMeasurement(record);
 
-    if (heartRate && confidence > 0.3) {
+    // Only real measurements go into the child's history
+    if (record && !demoScan.current) {
+      saveToHistory(record);
+    }
+
+    if (record && record.signal.confidence > 0.3) {
       Haptics.notificationAsync(
-        confidence > 0.7
+        record.signal.confidence > 0.7
           ? Haptics.NotificationFeedbackType.Success
           : Haptics.NotificationFeedbackType.Warning
       );
@@ -289,19 +553,117 @@ export default function App() {
     }
   };
 
-  const resetApp = () => {
-    setHasCompletedOnboarding(false);
-    setHeartRate(null);
-    setBloodPressure({ systolic: null, diastolic: null });
-    setConfidence(0);
+  const handleCalibrationSave = async () => {
+    dismissKeyboard();
+    
+    const cuff = {
+      systolic: parseFloat(cuffSystolic),
+      diastolic: parseFloat(cuffDiastolic),
+    };
+    const error = validateCuffReading(cuff.systolic, cuff.diastolic);
+    if (error) {
+      Alert.alert('Check Cuff Reading', error);
+      return;
+    }
+    
+    // The cuff reading is paired with the window behind the reading on screen
+    const sample = ppgProcessor.getCalibrationSample();
+    if (!sample) {
+      Alert.alert('No Measurement', 'Please complete a heart check first, then enter the cuff reading right away');
+      return;
+    }
+    
+    try {
+      const updated = addCalibrationPoint(calibration, sample, cuff);
+      await saveCalibration(activeProfileId, updated);
+      setCalibration(updated);
+      ppgProcessor.setCalibration(updated);
+      
+      // Show the current result with the new calibration applied, and keep
+      // the calibrated reading in the child's history too
+      const calibrated = applyCalibration(updated, sample.estimate, sample.features);
+      if (measurement) {
+        const record = updateRecordBloodPressure(measurement, {
+          systolic: Math.round(calibrated.systolic),
+          diastolic: Math.round(calibrated.diastolic),
+          calibrated: true,
+        });
+        setMeasurement(record);
+        if (history.some(entry => entry.id === record.id)) {
+          const updatedHistory = updateHistoryEntry(history, record);
+          setHistory(updatedHistory);
+          await saveHistory(updatedHistory);
+        }
+      }
+      setCuffSystolic('');
+      setCuffDiastolic('');
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } catch (error) {
+      console.error('Error saving calibration:', error);
+    }
+  };
+
+  const handleCalibrationClear = async () => {
+    try {
+      await clearCalibration(activeProfileId);
+      setCalibration(null);
+      ppgProcessor.setCalibration(null);
+    } catch (error) {
+      console.error('Error clearing calibration:', error);
+    }
+  };
+
+  // Switch between °C and °F; an entered temperature is converted
+  const changeTemperatureUnit = (unit) => {
+    const converted = convertTemperatureText(temperature, temperatureUnit, unit);
+    setTemperature(converted);
+    setTemperatureUnit(unit);
+    saveSettings({ temperature: converted, temperatureUnit: unit }).catch(error => console.error('Error saving settings:', error));
+  };
+
+  // Export the completed scan (results, samples, filtered signal and beats)
+  const handleSessionExport = () => {
+    chooseExportFormat('Export Heart Check', async (format) => {
+      try {
+        const file = exportSession({
+          record: measurement,
+          recording: ppgProcessor.getRecording(),
+          profile: activeProfile,
+        }, format);
+        await shareExport(file, 'Share heart check');
+      } catch (error) {
+        console.error('Error exporting heart check:', error);
+        Alert.alert('Export Failed', error.message);
+      }
+    });
+  };
+
+  // Export all saved measurements of a child
+  const handleHistoryExport = (profileId) => {
+    const profile = profiles.find(p => p.id === profileId);
+    chooseExportFormat('Export History', async (format) => {
+      try {
+        const file = exportHistory({ profile, entries: getProfileHistory(history, profileId) }, format);
+        await shareExport(file, `Share ${profile ? profile.name : 'measurement'} history`);
+      } catch (error) {
+        console.error('Error exporting history:', error);
+        Alert.alert('Export Failed', error.message);
+      }
+    });
+  };
+
+  // Clear the results on screen (e.g. when switching to another child)
+  const clearResults = () => {
+    setLiveResult(null);
+    setMeasurement(null);
     setQuality('unknown');
-    setSignalData([]);
     setScanProgress(0);
     setMeasurementComplete(false);
     setFingerDetected(false);
-    setChildAge('');
-    setTemperature('');
-    cleanup();
+    setShowHRV(false);
+    setIsDemo(false);
+    setCuffSystolic('');
+    setCuffDiastolic('');
   };
 
   // Permission handling
@@ -367,63 +729,76 @@ export default function App() {
             <View style={styles.inputSection}>
               <Text style={styles.sectionTitle}>👶 Child Information</Text>
               
-              <View style={styles.inputRow}>
-                <View style={styles.inputContainer}>
-                  <Text style={styles.inputLabel}>🎂 Age (years)</Text>
-                  <TextInput
-                    style={styles.textInput}
-                    value={childAge}
-                    onChangeText={setChildAge}
-                    keyboardType="numeric"
-                    placeholder="5"
-                    placeholderTextColor="rgba(255,255,255,0.5)"
-                    returnKeyType="next"
-                    blurOnSubmit={false}
-                    onSubmitEditing={() => {
-                      // Focus next input or dismiss keyboard
-                      if (temperature.trim()) {
-                        dismissKeyboard();
-                      }
-                    }}
-                  />
-                </View>
-
-                <View style={styles.inputContainer}>
-                  <Text style={styles.inputLabel}>🌡️ Temperature (°C)</Text>
-                  <TextInput
-                    style={styles.textInput}
-                    value={temperature}
-                    onChangeText={setTemperature}
-                    keyboardType="numeric"
-                    placeholder="37.0"
-                    placeholderTextColor="rgba(255,255,255,0.5)"
-                    returnKeyType="done"
-                    blurOnSubmit={true}
-                    onSubmitEditing={dismissKeyboard}
-                  />
-                </View>
-              </View>
+              {storageLoaded && (editingProfile || profiles.length === 0) ? (
+                <ChildProfileForm
+                  key={editingProfile?.id || 'new'}
+                  profile={editingProfile === 'new' ? null : editingProfile}
+                  onSave={handleProfileSave}
+                  onCancel={profiles.length > 0 ? () => setEditingProfile(null) : null}
+                  onDelete={editingProfile && editingProfile !== 'new' ? () => handleProfileDelete(editingProfile) : null}
+                />
+              ) : (
+                <>
+                  <View style={styles.profileChips}>
+                    {profiles.map(profile => (
+                      <TouchableOpacity
+                        key={profile.id}
+                        style={[styles.profileChip, profile.id === activeProfileId && styles.profileChipActive]}
+                        onPress={() => selectProfile(profile.id)}
+                        disabled={isScanning}
+                      >
+                        <Text style={styles.profileChipText}>{profile.name}</Text>
+                      </TouchableOpacity>
+                    ))}
+                    <TouchableOpacity
+                      style={styles.profileChip}
+                      onPress={() => setEditingProfile('new')}
+                      disabled={isScanning}
+                    >
+                      <Text style={styles.profileChipText}>➕ Add</Text>
+                    </TouchableOpacity>
+                  </View>
 
-              {!hasCompletedOnboarding && (
-                <TouchableOpacity
-                  style={styles.setupButton}
-                  onPress={handleOnboardingComplete}
-                  activeOpacity={0.8}
-                >
-                  <Text style={styles.setupButtonText}>✨ Complete Setup ✨</Text>
-                </TouchableOpacity>
-              )}
+                  {activeProfile && (
+                    <View style={styles.setupComplete}>
+                      <Text style={styles.setupCompleteText}>{getProfileSummary(activeProfile)}</Text>
+                      <TouchableOpacity
+                        style={styles.resetButton}
+                        onPress={() => setEditingProfile(activeProfile)}
+                        disabled={isScanning}
+                      >
+                        <Text style={styles.resetButtonText}>✏️ Edit</Text>
+                      </TouchableOpacity>
+                    </View>
+                  )}
 
-              {hasCompletedOnboarding && (
-                <View style={styles.setupComplete}>
-                  <Text style={styles.setupCompleteText}>🎉 Setup Complete! 🎉</Text>
-                  <TouchableOpacity
-                    style={styles.resetButton}
-                    onPress={resetApp}
-                  >
-                    <Text style={styles.resetButtonText}>🔄 Reset</Text>
-                  </TouchableOpacity>
-                </View>
+                  <View style={styles.temperatureInput}>
+                    <Text style={styles.inputLabel}>🌡️ Temperature</Text>
+                    <View style={styles.profileChips}>
+                      {Object.values(TEMPERATURE_UNITS).map(unit => (
+                        <TouchableOpacity
+                          key={unit}
+                          style={[styles.profileChip, unit === temperatureUnit && styles.profileChipActive]}
+                          onPress={() => changeTemperatureUnit(unit)}
+                          disabled={isScanning}
+                        >
+                          <Text style={styles.profileChipText}>{TEMPERATURE_UNIT_LABELS[unit]}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                    <TextInput
+                      style={styles.textInput}
+                      value={temperature}
+                      onChangeText={setTemperature}
+                      keyboardType="numeric"
+                      placeholder={formatTemperature(NORMAL_TEMPERATURE, temperatureUnit)}
+                      placeholderTextColor="rgba(255,255,255,0.5)"
+                      returnKeyType="done"
+                      blurOnSubmit={true}
+                      onSubmitEditing={dismissKeyboard}
+                    />
+                  </View>
+                </>
               )}
             </View>
 
@@ -432,12 +807,16 @@ export default function App() {
               <Text style={styles.sectionTitle}>📷 Heart Rate Measurement</Text>
               
               <View style={styles.cameraContainer}>
-                {cameraPermission === 'granted' ? (
-                  <CameraView
-                    ref={cameraRef}
+                {cameraPermission === 'granted' && device ? (
+                  <Camera
                     style={styles.camera}
-                    facing="back"
-                    enableTorch={isScanning}
+                    device={device}
+                    format={format}
+                    fps={30}
+                    isActive={true}
+                    torch={isScanning && !isDemo ? 'on' : 'off'}
+                    pixelFormat="rgb"
+                    frameProcessor={frameProcessor}
                   />
                 ) : (
                   <View style={styles.cameraPlaceholder}>
@@ -468,6 +847,12 @@ export default function App() {
                       {!fingerDetected && (
                         <Text style={styles.fingerWarning}>⚠️ Please place your finger properly</Text>
                       )}
+                      {motionDetected && (
+                        <Text style={styles.fingerWarning}>🧊 Hold still like a statue!</Text>
+                      )}
+                      {fingerDetected && placementGuidance && (
+                        <Text style={styles.fingerWarning}>{getPlacementGuidanceMessage(placementGuidance)}</Text>
+                      )}
                     </View>
                   ) : (
                     <View style={styles.readyOverlay}>
@@ -514,7 +899,7 @@ export default function App() {
                     isScanning && styles.controlButtonActive,
                     (!hasCompletedOnboarding || cameraPermission !== 'granted') && styles.controlButtonDisabled
                   ]}
-                  onPress={isScanning ? stopScan : startScan}
+                  onPress={isScanning ? stopScan : () => startScan()}
                   activeOpacity={0.8}
                   disabled={!hasCompletedOnboarding || cameraPermission !== 'granted'}
                 >
@@ -522,11 +907,25 @@ export default function App() {
                     {isScanning ? '🛑 Stop' : '❤️ Start Heart Check'}
                   </Text>
                 </TouchableOpacity>
+
+                {!isScanning && (
+                  <TouchableOpacity
+                    style={[styles.demoButton, !hasCompletedOnboarding && styles.controlButtonDisabled]}
+                    onPress={() => startScan('demo')}
+                    activeOpacity={0.8}
+                    disabled={!hasCompletedOnboarding}
+                  >
+                    <Text style={styles.guideButtonText}>🎮 Try a Demo (no camera)</Text>
+                  </TouchableOpacity>
+                )}
+                {isScanning && isDemo && (
+                  <Text style={styles.demoNote}>Demo mode: simulated heartbeat, not a real measurement</Text>
+                )}
               </View>
             </View>
 
             {/* Results Section */}
-            {measurementComplete && (heartRate || bloodPressure.systolic) && (
+            {measurementComplete && measurement && (
               <View style={styles.resultsSection}>
                 <Text style={styles.sectionTitle}>🎊 Measurement Results 🎊</Text>
                 
@@ -534,10 +933,25 @@ export default function App() {
                   {/* Heart Rate */}
                   <View style={styles.resultCard}>
                     <Text style={styles.resultLabel}>❤️ Heart Rate</Text>
-                    <Text style={styles.resultValue}>{heartRate || '--'} BPM</Text>
+                    <Text style={styles.resultValue}>{metrics.heartRate.value} BPM</Text>
+                    {metrics.heartRate.flag && (
+                      <View style={[styles.flagBadge, { backgroundColor: getReadingFlagColor(metrics.heartRate.flag) }]}>
+                        <Text style={styles.flagBadgeText}>{getReadingFlagLabel(metrics.heartRate.flag)}</Text>
+                      </View>
+                    )}
                     <View style={styles.healthyRange}>
-                      <Text style={styles.rangeLabel}>Healthy Range for Age {childAge}:</Text>
-                      <Text style={styles.rangeValue}>{getHealthyHeartRateRange(parseInt(childAge) || 5)}</Text>
+                      <Text style={styles.rangeLabel}>Healthy Range at {ageLabel}:</Text>
+                      <Text style={styles.rangeValue}>
+                        {getHealthyHeartRateRange(childAge, measurement.input.temperature.value)}
+                      </Text>
+                    </View>
+                    {getFeverHeartRateIncrease(measurement.input.temperature.value) > 0 && (
+                      <Text style={styles.calibrationNote}>{getFeverNote(measurement, temperatureUnit)}</Text>
+                    )}
+                    <View style={styles.spo2Box}>
+                      <Text style={styles.rangeLabel}>🫁 SpO2 (experimental)</Text>
+                      <Text style={styles.spo2Value}>{metrics.spo2.value ? `${metrics.spo2.value}%` : '--'}</Text>
+                      <Text style={styles.spo2Note}>{getSpO2Note(metrics.spo2)}</Text>
                     </View>
                   </View>
 
@@ -545,24 +959,159 @@ export default function App() {
                   <View style={styles.resultCard}>
                     <Text style={styles.resultLabel}>💙 Blood Pressure</Text>
                     <Text style={styles.resultValue}>
-                      {bloodPressure?.systolic || '--'}/{bloodPressure?.diastolic || '--'} mmHg
+                      {metrics.bloodPressure.systolic || '--'}/{metrics.bloodPressure.diastolic || '--'} mmHg
+                    </Text>
+                    {metrics.bloodPressure.flag && (
+                      <View style={[styles.flagBadge, { backgroundColor: getBPCategoryColor(metrics.bloodPressure.flag) }]}>
+                        <Text style={styles.flagBadgeText}>{BP_CATEGORY_LABELS[metrics.bloodPressure.flag]}</Text>
+                      </View>
+                    )}
+                    <Text style={styles.calibrationNote}>
+                      {getCalibrationLabel(getCalibrationStatus(calibration))}
                     </Text>
+                    {bloodPressureClassification && (
+                      <Text style={styles.calibrationNote}>{getBPPercentileNote(bloodPressureClassification)}</Text>
+                    )}
                     <View style={styles.healthyRange}>
-                      <Text style={styles.rangeLabel}>Healthy Range for Age {childAge}:</Text>
-                      <Text style={styles.rangeValue}>{getHealthyBPRange(parseInt(childAge) || 5)}</Text>
+                      <Text style={styles.rangeLabel}>Healthy Range at {ageLabel}:</Text>
+                      <Text style={styles.rangeValue}>{getHealthyBPRange(childDescription)}</Text>
                     </View>
                   </View>
                 </View>
 
+                {/* Blood Pressure Calibration */}
+                {metrics.bloodPressure.systolic && !isDemo && (
+                  <View style={styles.calibrationCard}>
+                    <Text style={styles.calibrationTitle}>🩺 Calibrate with a Cuff Reading</Text>
+                    <Text style={styles.calibrationText}>
+                      Measure with a blood pressure cuff right after the heart check and enter the result.
+                    </Text>
+                    <View style={styles.inputRow}>
+                      <View style={styles.inputContainer}>
+                        <Text style={styles.inputLabel}>Systolic</Text>
+                        <TextInput
+                          style={styles.textInput}
+                          value={cuffSystolic}
+                          onChangeText={setCuffSystolic}
+                          keyboardType="numeric"
+                          placeholder="100"
+                          placeholderTextColor="rgba(255,255,255,0.5)"
+                        />
+                      </View>
+                      <View style={styles.inputContainer}>
+                        <Text style={styles.inputLabel}>Diastolic</Text>
+                        <TextInput
+                          style={styles.textInput}
+                          value={cuffDiastolic}
+                          onChangeText={setCuffDiastolic}
+                          keyboardType="numeric"
+                          placeholder="65"
+                          placeholderTextColor="rgba(255,255,255,0.5)"
+                          returnKeyType="done"
+                          onSubmitEditing={dismissKeyboard}
+                        />
+                      </View>
+                    </View>
+                    <TouchableOpacity style={styles.setupButton} onPress={handleCalibrationSave} activeOpacity={0.8}>
+                      <Text style={styles.setupButtonText}>💾 Save Calibration</Text>
+                    </TouchableOpacity>
+                    {calibration && (
+                      <TouchableOpacity style={[styles.resetButton, styles.calibrationClearButton]} onPress={handleCalibrationClear}>
+                        <Text style={styles.resetButtonText}>🗑️ Clear Calibration</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                )}
+
                 {/* Quality Indicator */}
                 <View style={styles.qualityCard}>
                   <Text style={styles.qualityLabel}>🎯 Measurement Quality</Text>
                   <View style={styles.qualityBar}>
-                    <View style={[styles.qualityFill, { width: `${Math.round((confidence || 0) * 100)}%` }]} />
+                    <View style={[styles.qualityFill, { width: `${Math.round((measurement.signal.confidence || 0) * 100)}%` }]} />
+                  </View>
+                  <Text style={styles.qualityText}>
+                    {Math.round((measurement.signal.confidence || 0) * 100)}% - {measurement.signal.quality}
+                  </Text>
+                  {isDemo && (
+                    <Text style={styles.calibrationNote}>Demo result from a simulated heartbeat</Text>
+                  )}
+                  {measurement.signal.perfusionIndex !== null && (
+                    <Text style={styles.calibrationNote}>
+                      Perfusion index {measurement.signal.perfusionIndex.toFixed(2)}%
+                      ({getChannelName(measurement.signal.activeChannel)} light)
+                    </Text>
+                  )}
+                </View>
+
+                {/* Respiratory Rate */}
+                <View style={styles.respirationCard}>
+                  <Text style={styles.resultLabel}>🌬️ Breathing Rate</Text>
+                  <Text style={styles.resultValue}>
+                    {metrics.respiratoryRate.value || '--'} breaths/min
+                  </Text>
+                  {metrics.respiratoryRate.flag && (
+                    <View style={[styles.flagBadge, { backgroundColor: getReadingFlagColor(metrics.respiratoryRate.flag) }]}>
+                      <Text style={styles.flagBadgeText}>{getReadingFlagLabel(metrics.respiratoryRate.flag)}</Text>
+                    </View>
+                  )}
+                  {!metrics.respiratoryRate.value && (
+                    <Text style={styles.calibrationNote}>Not enough steady signal to estimate breathing</Text>
+                  )}
+                  <View style={styles.healthyRange}>
+                    <Text style={styles.rangeLabel}>Healthy Range at {ageLabel}:</Text>
+                    <Text style={styles.rangeValue}>{getHealthyRespiratoryRateRange(childAge)}</Text>
                   </View>
-                  <Text style={styles.qualityText}>{Math.round((confidence || 0) * 100)}% - {quality}</Text>
                 </View>
 
+                {/* Heart Rate Variability (optional details) */}
+                {metrics.hrv.sdnn !== null && (
+                  <View style={styles.hrvCard}>
+                    <TouchableOpacity onPress={() => setShowHRV(!showHRV)} activeOpacity={0.8}>
+                      <Text style={styles.hrvTitle}>
+                        💓 Heart Rhythm Details {showHRV ? '▲' : '▼'}
+                      </Text>
+                    </TouchableOpacity>
+                    {showHRV && (
+                      <View style={styles.hrvGrid}>
+                        <View style={styles.hrvItem}>
+                          <Text style={styles.hrvValue}>{Math.round(metrics.hrv.sdnn)} ms</Text>
+                          <Text style={styles.hrvLabel}>SDNN</Text>
+                        </View>
+                        <View style={styles.hrvItem}>
+                          <Text style={styles.hrvValue}>{Math.round(metrics.hrv.rmssd)} ms</Text>
+                          <Text style={styles.hrvLabel}>RMSSD</Text>
+                        </View>
+                        <View style={styles.hrvItem}>
+                          <Text style={styles.hrvValue}>{Math.round(metrics.hrv.pnn50)}%</Text>
+                          <Text style={styles.hrvLabel}>pNN50</Text>
+                        </View>
+                        <View style={styles.hrvItem}>
+                          <Text style={styles.hrvValue}>
+                            {Math.round(metrics.hrv.sd1)}/{Math.round(metrics.hrv.sd2)} ms
+                          </Text>
+                          <Text style={styles.hrvLabel}>Poincaré SD1/SD2</Text>
+                        </View>
+                        <Text style={styles.hrvNote}>
+                          From {metrics.hrv.beatCount} beats
+                          {metrics.hrv.correctedBeatCount > 0 ? ` (${metrics.hrv.correctedBeatCount} irregular beats corrected)` : ''}.
+                          A 30-second scan gives a short-term snapshot only.
+                        </Text>
+                      </View>
+                    )}
+                  </View>
+                )}
+
+                {/* Simulated demo results are never exported */}
+                {!isDemo && (
+                  <TouchableOpacity
+                    style={[styles.resetButton, styles.exportButton]}
+                    onPress={handleSessionExport}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.resetButtonText}>📤 Export Heart Check</Text>
+                  </TouchableOpacity>
+                )}
+
                 {/* Warning Message */}
                 <View style={styles.warningCard}>
                   <Text style={styles.warningIcon}>⚠️</Text>
@@ -581,18 +1130,29 @@ export default function App() {
               </View>
             )}
 
+            {/* Measurement History */}
+            {activeProfile && !isScanning && (
+              <MeasurementHistoryCard
+                entries={profileHistory}
+                maxEntries={5}
+                onViewTrends={profileHistory.length > 0 ? () => setShowHistory(true) : null}
+              />
+            )}
+
             {/* PPG Visualization */}
             {isScanning && (
               <View style={styles.visualizationSection}>
                 <PPGVisualization
-                  signalData={signalData}
-                  heartRate={heartRate}
-                  bloodPressure={bloodPressure}
-                  confidence={confidence}
+                  signalData={liveResult ? liveResult.signalData : []}
+                  heartRate={liveResult ? liveResult.heartRate : null}
+                  bloodPressure={liveResult ? liveResult.bloodPressure : { systolic: null, diastolic: null }}
+                  bloodPressureClassification={liveResult && classifyBloodPressure(liveResult.bloodPressure, childDescription)}
+                  confidence={liveResult ? liveResult.confidence : 0}
                   isScanning={isScanning}
                   signalQuality={quality}
-                  temperature={parseFloat(temperature) || 37.0}
-                  childAge={parseInt(childAge) || 5}
+                  temperature={parseTemperature(temperature, temperatureUnit) ?? NORMAL_TEMPERATURE}
+                  childAge={childAge}
+                  frameRate={frameRate}
                 />
               </View>
             )}
@@ -603,7 +1163,7 @@ export default function App() {
               <Text style={styles.tipText}>• Clean, dry finger 🧼</Text>
               <Text style={styles.tipText}>• Good lighting 💡</Text>
               <Text style={styles.tipText}>• Stay still during measurement 🎯</Text>
-              <Text style={styles.tipText}>• Complete setup before measuring ✅</Text>
+              <Text style={styles.tipText}>• Pick the right child before measuring ✅</Text>
               <Text style={styles.tipText}>• Cover the camera completely 📱</Text>
             </View>
 
@@ -619,25 +1179,150 @@ export default function App() {
         isVisible={showFingerGuide}
         onComplete={() => setShowFingerGuide(false)}
       />
+
+      {/* Measurement History with trend charts */}
+      <MeasurementHistoryScreen
+        isVisible={showHistory}
+        profiles={profiles}
+        history={history}
+        initialProfileId={activeProfileId}
+        onExport={handleHistoryExport}
+        onClose={() => setShowHistory(false)}
+      />
     </SafeAreaView>
   );
 }
 
+const getProfileSummary = (profile) => `${profile.name}, ${formatAge(profile.birthDate)}`;
+
+// Ask for CSV, JSON or FHIR, then call onChoose with the format. Android
+// alerts show at most three buttons, so there it is cancelled by tapping
+// outside instead of a Cancel button.
+const chooseExportFormat = (title, onChoose) => {
+  Alert.alert(title, 'CSV opens in spreadsheets; JSON keeps every detail for analysis tools; FHIR is for clinic systems.', [
+    { text: 'CSV', onPress: () => onChoose(EXPORT_FORMATS.CSV) },
+    { text: 'JSON', onPress: () => onChoose(EXPORT_FORMATS.JSON) },
+    { text: 'FHIR', onPress: () => onChoose(EXPORT_FORMATS.FHIR) },
+    ...(Platform.OS === 'ios' ? [{ text: 'Cancel', style: 'cancel' }] : []),
+  ], { cancelable: true });
+};
+
 // Helper functions for healthy ranges
-const getHealthyHeartRateRange = (age) => {
-  if (age <= 1) return '100-160 BPM';
-  if (age <= 3) return '80-140 BPM';
-  if (age <= 5) return '70-120 BPM';
-  if (age <= 7) return '65-110 BPM';
-  return '60-100 BPM';
+const getHealthyHeartRateRange = (age, temperature) => {
+  const { min, max } = getHeartRateRange(age, temperature);
+  return `${min}-${max} BPM`;
+};
+
+// Explains the fever-adjusted heart rate range of a measurement, and whether
+// a fast heart rate may be caused by the fever
+const getFeverNote = ({ input, metrics }, unit) => {
+  const temperature = input.temperature.value;
+  const increase = getFeverHeartRateIncrease(temperature);
+  const fever = `🌡️ With a fever of ${formatTemperature(temperature, unit)}, the heart beats about ${increase} BPM faster than at rest.`;
+  if (!isFeverRelatedHeartRate(metrics.heartRate.value, input.childAge.value, temperature)) return fever;
+  return `${fever} The fast heart rate may be caused by the fever - measure again once the fever has come down.`;
+};
+
+const getHealthyRespiratoryRateRange = (age) => {
+  const { min, max } = getRespiratoryRateRange(age);
+  return `${min}-${max} breaths/min`;
+};
+
+const getReadingFlagLabel = (flag) => {
+  switch (flag) {
+    case READING_FLAGS.IN_RANGE: return '✅ In healthy range';
+    case READING_FLAGS.BELOW_RANGE: return '⬇️ Below healthy range';
+    case READING_FLAGS.ABOVE_RANGE: return '⬆️ Above healthy range';
+    case READING_FLAGS.IMPLAUSIBLE: return '⚠️ Unlikely reading - please measure again';
+    default: return '';
+  }
+};
+
+// SpO2 is only shown when every quality gate passed
+const getSpO2Note = (spo2) => {
+  if (spo2.value) return 'Not a medical oximeter reading';
+  if (!spo2.reason) return 'Not measured';
+  switch (spo2.reason) {
+    case 'saturated': return 'Too bright - press finger more gently';
+    case 'low_perfusion': return 'Pulse too weak - warm up hands';
+    case 'unstable_ratio':
+    case 'low_confidence':
+    case 'poor_signal': return 'Signal too unsteady for SpO2';
+    default: return 'Not enough signal for SpO2';
+  }
+};
+
+const getPlacementGuidanceMessage = (guidance) => {
+  switch (guidance) {
+    case PLACEMENT_GUIDANCE.PRESS_LIGHTER: return '🪶 Press a little lighter';
+    case PLACEMENT_GUIDANCE.COVER_FLASH: return '🔦 Cover the flash fully';
+    default: return null;
+  }
+};
+
+const getChannelName = (channel) => {
+  switch (channel) {
+    case 'r': return 'red';
+    case 'b': return 'blue';
+    default: return 'green';
+  }
+};
+
+const getCalibrationLabel = (status) => {
+  if (!status.calibrated) return 'Uncalibrated estimate - calibrate with a cuff for accurate values';
+  const age = status.ageDays === 0 ? 'today' : `${status.ageDays} day${status.ageDays === 1 ? '' : 's'} ago`;
+  if (status.isStale) {
+    return `⚠️ Calibrated ${age} - please recalibrate (over ${CALIBRATION_MAX_AGE_DAYS} days old)`;
+  }
+  return `Calibrated ${age} (${status.points} cuff reading${status.points === 1 ? '' : 's'})`;
+};
+
+const getReadingFlagColor = (flag) => {
+  switch (flag) {
+    case READING_FLAGS.IN_RANGE: return 'rgba(0,200,100,0.6)';
+    case READING_FLAGS.BELOW_RANGE:
+    case READING_FLAGS.ABOVE_RANGE: return 'rgba(255,136,0,0.7)';
+    default: return 'rgba(255,68,68,0.7)';
+  }
+};
+
+// Below the elevated cut-off for age, sex and height from age 1; infants
+// get the typical range for their age
+const getHealthyBPRange = (child) => {
+  const cutoffs = getBloodPressureCutoffs(child);
+  if (cutoffs) {
+    return `Below ${cutoffs.systolic.elevated}/${cutoffs.diastolic.elevated} mmHg`;
+  }
+  const { systolic, diastolic } = getBloodPressureRange(child.age);
+  return `${systolic.min}-${systolic.max}/${diastolic.min}-${diastolic.max} mmHg`;
+};
+
+const getBPCategoryColor = (category) => {
+  switch (category) {
+    case BP_CATEGORIES.NORMAL: return 'rgba(0,200,100,0.6)';
+    case BP_CATEGORIES.ELEVATED: return 'rgba(255,184,0,0.7)';
+    case BP_CATEGORIES.STAGE_1: return 'rgba(255,136,0,0.7)';
+    default: return 'rgba(255,68,68,0.7)';
+  }
+};
+
+const getOrdinal = (value) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = (value % 100 >= 11 && value % 100 <= 13) ? 'th' : (suffixes[value % 10] || 'th');
+  return `${value}${suffix}`;
 };
 
-const getHealthyBPRange = (age) => {
-  if (age <= 1) return '70-90/50-60 mmHg';
-  if (age <= 3) return '80-100/55-65 mmHg';
-  if (age <= 5) return '85-105/60-70 mmHg';
-  if (age <= 7) return '90-110/65-75 mmHg';
-  return '95-115/70-80 mmHg';
+const getBPPercentileNote = (classification) => {
+  const { readingPercentiles, heightAssumed, heightAssumedReason, sexAssumed } = classification;
+  const assumed = [heightAssumed && 'average height', sexAssumed && 'boys and girls combined'].filter(Boolean);
+  // Ask only for what is missing; under 2 years a saved height is not used
+  const missing = [heightAssumedReason === HEIGHT_ASSUMED_REASONS.NO_HEIGHT && 'height', sexAssumed && 'sex'].filter(Boolean);
+  const hints = [
+    missing.length && `add ${missing.join(' and ')} to the profile`,
+    heightAssumedReason === HEIGHT_ASSUMED_REASONS.UNDER_2 && 'height is used from 2 years',
+  ].filter(Boolean);
+  return `${getOrdinal(readingPercentiles.systolic)}/${getOrdinal(readingPercentiles.diastolic)} percentile for age, sex and height` +
+    (assumed.length ? ` (assuming ${assumed.join(', ')}${hints.length ? ` - ${hints.join('; ')}` : ''})` : '');
 };
 
 const styles = StyleSheet.create({
@@ -795,6 +1480,33 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  profileChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 16,
+  },
+  profileChip: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 18,
+    margin: 4,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  profileChipActive: {
+    backgroundColor: 'rgba(255,20,147,0.6)',
+    borderColor: 'white',
+  },
+  profileChipText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  temperatureInput: {
+    marginTop: 20,
+  },
 
   // Camera Section
   cameraSection: {
@@ -961,6 +1673,23 @@ const styles = StyleSheet.create({
   controlButtonActive: {
     backgroundColor: '#FF4444',
   },
+  demoButton: {
+    backgroundColor: 'rgba(255,255,255,0.25)',
+    paddingVertical: 14,
+    paddingHorizontal: 30,
+    borderRadius: 25,
+    alignItems: 'center',
+    marginTop: 15,
+    borderWidth: 2,
+    borderColor: 'rgba(255,255,255,0.2)',
+  },
+  demoNote: {
+    color: 'white',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 12,
+    opacity: 0.9,
+  },
   controlButtonDisabled: {
     backgroundColor: '#999',
     opacity: 0.6,
@@ -1013,6 +1742,121 @@ const styles = StyleSheet.create({
   healthyRange: {
     alignItems: 'center',
   },
+  spo2Box: {
+    alignItems: 'center',
+    marginTop: 14,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255,255,255,0.3)',
+  },
+  spo2Value: {
+    color: 'white',
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginVertical: 4,
+  },
+  spo2Note: {
+    color: 'rgba(255,255,255,0.75)',
+    fontSize: 11,
+    textAlign: 'center',
+  },
+  respirationCard: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: 25,
+    padding: 22,
+    marginBottom: 25,
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: 'rgba(255,255,255,0.3)',
+  },
+  hrvCard: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: 25,
+    padding: 22,
+    marginBottom: 25,
+    borderWidth: 2,
+    borderColor: 'rgba(255,255,255,0.3)',
+  },
+  hrvTitle: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  hrvGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  hrvItem: {
+    width: '48%',
+    alignItems: 'center',
+    marginBottom: 14,
+  },
+  hrvValue: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  hrvLabel: {
+    color: 'rgba(255,255,255,0.8)',
+    fontSize: 13,
+    marginTop: 4,
+  },
+  hrvNote: {
+    width: '100%',
+    color: 'rgba(255,255,255,0.8)',
+    fontSize: 12,
+    textAlign: 'center',
+  },
+  calibrationNote: {
+    color: 'rgba(255,255,255,0.85)',
+    fontSize: 12,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  calibrationCard: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: 25,
+    padding: 22,
+    marginBottom: 20,
+    borderWidth: 2,
+    borderColor: 'rgba(255,255,255,0.3)',
+  },
+  calibrationTitle: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  calibrationClearButton: {
+    alignSelf: 'center',
+    marginTop: 12,
+  },
+  exportButton: {
+    alignSelf: 'center',
+    marginBottom: 25,
+  },
+  calibrationText: {
+    color: 'rgba(255,255,255,0.9)',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  flagBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    marginBottom: 14,
+  },
+  flagBadgeText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
   rangeLabel: {
     color: 'rgba(255,255,255,0.8)',
     fontSize: 14,
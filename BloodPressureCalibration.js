@@ -0,0 +1,201 @@
+// Per-child blood pressure calibration against cuff readings.
+//
+// A PPG blood pressure estimate has no absolute scale: it only tracks
+// changes relative to a known reading. Each calibration point pairs a cuff
+// reading taken right after a scan with the uncalibrated estimate and the
+// pulse-wave features of that scan. The fitted correction is
+//
+//   cuff - estimate = offset + sum(coefficient * (feature - featureMean))
+//
+// fitted separately for systolic and diastolic. One point gives a pure
+// offset; from three points on, ridge-regularized coefficients let the
+// correction follow heart rate and pulse shape.
+
+export const CALIBRATION_VERSION = 1;
+
+// Calibrations older than this should be repeated
+export const CALIBRATION_MAX_AGE_DAYS = 30;
+
+// Most recent points kept per child
+const MAX_CALIBRATION_POINTS = 5;
+
+// Points needed before feature coefficients are fitted
+const MIN_POINTS_FOR_COEFFICIENTS = 3;
+
+// Features used by the correction, with the scale of a "typical" change
+// (coefficients are fitted in these units and shrunk towards zero)
+const CALIBRATION_FEATURES = [
+  { key: 'heartRate', scale: 10 }, // BPM
+  { key: 'relativeRiseTime', scale: 0.05 } // rise time / beat duration
+];
+
+const RIDGE_PENALTY = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plausible cuff readings for children (mmHg)
+const CUFF_LIMITS = {
+  systolic: { min: 50, max: 180 },
+  diastolic: { min: 25, max: 120 }
+};
+
+// Check a cuff reading entered by the parent; returns an error message or null
+export function validateCuffReading(systolic, diastolic) {
+  if (!Number.isFinite(systolic) || !Number.isFinite(diastolic)) {
+    return 'Please enter both systolic and diastolic values';
+  }
+  if (systolic < CUFF_LIMITS.systolic.min || systolic > CUFF_LIMITS.systolic.max) {
+    return `Systolic must be between ${CUFF_LIMITS.systolic.min} and ${CUFF_LIMITS.systolic.max} mmHg`;
+  }
+  if (diastolic < CUFF_LIMITS.diastolic.min || diastolic > CUFF_LIMITS.diastolic.max) {
+    return `Diastolic must be between ${CUFF_LIMITS.diastolic.min} and ${CUFF_LIMITS.diastolic.max} mmHg`;
+  }
+  if (diastolic >= systolic) {
+    return 'Diastolic must be lower than systolic';
+  }
+  return null;
+}
+
+// Calibration features from the scan's heart rate and pulse morphology
+export function getCalibrationFeatures(heartRate, morphology) {
+  const relativeRiseTime = morphology && morphology.duration > 0
+    ? morphology.riseTime / morphology.duration
+    : null;
+
+  return { heartRate: heartRate || null, relativeRiseTime };
+}
+
+// Solve a small linear system A x = b (Gaussian elimination with pivoting)
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+// Mean of each feature over the points that have it
+function featureMeans(points) {
+  const means = {};
+  for (const { key } of CALIBRATION_FEATURES) {
+    const values = points.map(point => point.features[key]).filter(Number.isFinite);
+    means[key] = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+  }
+  return means;
+}
+
+// Scaled, centered feature vector (missing features contribute nothing)
+function featureVector(features, means) {
+  return CALIBRATION_FEATURES.map(({ key, scale }) => (
+    features && Number.isFinite(features[key]) ? (features[key] - means[key]) / scale : 0
+  ));
+}
+
+// Fit the correction for one of 'systolic' / 'diastolic'
+function fitComponent(points, component, means) {
+  const residuals = points.map(point => point.cuff[component] - point.estimate[component]);
+  const offset = residuals.reduce((sum, r) => sum + r, 0) / residuals.length;
+  const coefficients = new Array(CALIBRATION_FEATURES.length).fill(0);
+
+  if (points.length >= MIN_POINTS_FOR_COEFFICIENTS) {
+    // Ridge regression on centered residuals: (X'X + lambda I) c = X'r
+    const size = CALIBRATION_FEATURES.length;
+    const xtx = Array.from({ length: size }, (_, i) => (
+      Array.from({ length: size }, (_, j) => (i === j ? RIDGE_PENALTY : 0))
+    ));
+    const xtr = new Array(size).fill(0);
+
+    points.forEach((point, n) => {
+      const x = featureVector(point.features, means);
+      for (let i = 0; i < size; i++) {
+        xtr[i] += x[i] * (residuals[n] - offset);
+        for (let j = 0; j < size; j++) xtx[i][j] += x[i] * x[j];
+      }
+    });
+
+    const solution = solveLinearSystem(xtx, xtr);
+    if (solution) solution.forEach((c, i) => { coefficients[i] = c; });
+  }
+
+  return { offset, coefficients };
+}
+
+// Fit a calibration from its points
+export function fitCalibration(points, createdAt = Date.now()) {
+  if (!points || points.length === 0) return null;
+
+  const means = featureMeans(points);
+  return {
+    version: CALIBRATION_VERSION,
+    createdAt,
+    updatedAt: points[points.length - 1].timestamp,
+    points,
+    featureMeans: means,
+    systolic: fitComponent(points, 'systolic', means),
+    diastolic: fitComponent(points, 'diastolic', means)
+  };
+}
+
+// Add a cuff reading paired with a scan's uncalibrated estimate and features
+// ({ estimate: { systolic, diastolic }, features }) and refit
+export function addCalibrationPoint(calibration, sample, cuff, timestamp = Date.now()) {
+  const point = {
+    timestamp,
+    cuff: { systolic: cuff.systolic, diastolic: cuff.diastolic },
+    estimate: { systolic: sample.estimate.systolic, diastolic: sample.estimate.diastolic },
+    features: { ...sample.features }
+  };
+
+  const previous = calibration && calibration.version === CALIBRATION_VERSION ? calibration.points : [];
+  const points = [...previous, point].slice(-MAX_CALIBRATION_POINTS);
+  return fitCalibration(points, calibration ? calibration.createdAt : timestamp);
+}
+
+// Apply a calibration to an uncalibrated estimate
+export function applyCalibration(calibration, estimate, features) {
+  if (!calibration || !estimate) return estimate;
+
+  const x = featureVector(features, calibration.featureMeans);
+  const correction = ({ offset, coefficients }) => (
+    offset + coefficients.reduce((sum, c, i) => sum + c * x[i], 0)
+  );
+
+  return {
+    systolic: estimate.systolic + correction(calibration.systolic),
+    diastolic: estimate.diastolic + correction(calibration.diastolic)
+  };
+}
+
+// Calibration state for display: { calibrated, ageDays, isStale, points }
+export function getCalibrationStatus(calibration, now = Date.now()) {
+  if (!calibration) {
+    return { calibrated: false, ageDays: null, isStale: false, points: 0 };
+  }
+
+  const ageDays = Math.max(0, Math.floor((now - calibration.updatedAt) / DAY_MS));
+  return {
+    calibrated: true,
+    ageDays,
+    isStale: ageDays > CALIBRATION_MAX_AGE_DAYS,
+    points: calibration.points.length
+  };
+}
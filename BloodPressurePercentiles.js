@@ -0,0 +1,263 @@
+// Pediatric blood pressure percentiles and hypertension staging.
+//
+// Percentiles follow the regression model of the Fourth Report on High Blood
+// Pressure in Children and Adolescents (NHBPEP, Pediatrics 2004, Appendix B),
+// which generates its published percentile tables from age, sex and height
+// z-score. Readings are staged with the thresholds of the AAP 2017 clinical
+// practice guideline (Flynn et al.): percentile based for ages 1-12, fixed
+// adult-style cut-offs from 13. The AAP 2017 tables exclude overweight
+// children and run a few mmHg lower than the 2004 ones, so staging from these
+// percentiles is slightly more lenient near the thresholds.
+
+export const BP_CATEGORIES = {
+  NORMAL: 'normal',
+  ELEVATED: 'elevated',
+  STAGE_1: 'stage_1',
+  STAGE_2: 'stage_2',
+};
+
+export const BP_CATEGORY_LABELS = {
+  [BP_CATEGORIES.NORMAL]: 'Normal',
+  [BP_CATEGORIES.ELEVATED]: 'Elevated',
+  [BP_CATEGORIES.STAGE_1]: 'Stage 1 hypertension',
+  [BP_CATEGORIES.STAGE_2]: 'Stage 2 hypertension',
+};
+
+// Ages (years) covered by the percentile model
+export const MIN_PERCENTILE_AGE = 1;
+export const MAX_PERCENTILE_AGE = 17;
+
+// From this age readings are staged with fixed cut-offs
+const ADOLESCENT_AGE = 13;
+
+// Why the 50th height percentile was assumed for a child
+export const HEIGHT_ASSUMED_REASONS = {
+  NO_HEIGHT: 'no_height',
+  NO_SEX: 'no_sex',
+  UNDER_2: 'under_2',
+};
+
+// Normal deviates of the reported percentiles
+const Z_90 = 1.2816;
+const Z_95 = 1.6449;
+
+// Stage 2 starts this far above the 95th percentile (mmHg)
+const STAGE_2_MARGIN = 12;
+
+// Regression coefficients: mean BP = alpha + sum beta_j (age - 10)^j
+// + sum gamma_k heightZ^k (j, k = 1..4), standard deviation sigma
+const COEFFICIENTS = {
+  male: {
+    systolic: { alpha: 102.19768, beta: [1.82416, 0.12776, 0.00249, -0.00135], gamma: [2.73157, -0.19618, -0.04659, 0.00947], sigma: 10.7128 },
+    diastolic: { alpha: 61.01217, beta: [0.68314, -0.09835, 0.01711, 0.00045], gamma: [1.46993, -0.07849, -0.03144, 0.00967], sigma: 11.6032 },
+  },
+  female: {
+    systolic: { alpha: 102.01027, beta: [1.94397, 0.00598, -0.00789, -0.00059], gamma: [2.03526, 0.02534, -0.01884, 0.00121], sigma: 10.4855 },
+    diastolic: { alpha: 60.50510, beta: [1.01301, 0.01157, 0.00424, -0.00137], gamma: [1.16641, 0.12795, -0.03869, -0.00079], sigma: 10.9573 },
+  },
+};
+
+// Stature for age from 2 years (CDC 2000 growth charts), approximated by the
+// median (cm) and coefficient of variation at whole years: [age, median, cv]
+const STATURE_FOR_AGE = {
+  male: [
+    [2, 86.5, 0.040], [3, 95.3, 0.040], [4, 102.5, 0.041], [5, 109.2, 0.042],
+    [6, 115.7, 0.043], [7, 121.9, 0.044], [8, 127.9, 0.045], [9, 133.5, 0.045],
+    [10, 138.8, 0.046], [11, 143.8, 0.047], [12, 149.6, 0.049], [13, 156.2, 0.051],
+    [14, 163.2, 0.048], [15, 169.0, 0.045], [16, 173.0, 0.042], [17, 175.2, 0.040],
+    [18, 176.2, 0.040],
+  ],
+  female: [
+    [2, 85.2, 0.040], [3, 94.0, 0.040], [4, 101.5, 0.041], [5, 108.3, 0.042],
+    [6, 114.8, 0.043], [7, 121.1, 0.044], [8, 127.2, 0.045], [9, 132.9, 0.046],
+    [10, 138.6, 0.047], [11, 144.8, 0.049], [12, 151.1, 0.048], [13, 156.5, 0.045],
+    [14, 159.6, 0.042], [15, 161.4, 0.040], [16, 162.2, 0.039], [17, 162.7, 0.039],
+    [18, 163.1, 0.039],
+  ],
+};
+
+// Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Height z-score for age and sex (null when it cannot be computed: no
+// height, unknown sex or under 2 years)
+export function getHeightZScore(heightCm, age, sex) {
+  const table = STATURE_FOR_AGE[sex];
+  if (!table || !Number.isFinite(heightCm) || age < table[0][0]) return null;
+
+  const clampedAge = Math.min(age, table[table.length - 1][0]);
+  const upper = table.findIndex(([rowAge]) => rowAge >= clampedAge);
+  const [age1, median1, cv1] = table[Math.max(0, upper - 1)];
+  const [age2, median2, cv2] = table[upper];
+  const fraction = age2 > age1 ? (clampedAge - age1) / (age2 - age1) : 0;
+  const median = median1 + fraction * (median2 - median1);
+  const cv = cv1 + fraction * (cv2 - cv1);
+
+  return (heightCm / median - 1) / cv;
+}
+
+// Mean and standard deviation of one BP component for a sex
+function getDistribution(coefficients, age, heightZ) {
+  const { alpha, beta, gamma, sigma } = coefficients;
+  const y = age - 10;
+  let mean = alpha;
+  for (let j = 0; j < 4; j++) {
+    mean += beta[j] * Math.pow(y, j + 1) + gamma[j] * Math.pow(heightZ, j + 1);
+  }
+  return { mean, sigma };
+}
+
+// Distribution of a BP component; with unknown sex the boys' and girls'
+// models are averaged
+function getComponentDistribution(component, age, sex, heightZ) {
+  const sexes = COEFFICIENTS[sex] ? [sex] : ['male', 'female'];
+  const distributions = sexes.map(key => getDistribution(COEFFICIENTS[key][component], age, heightZ));
+  return {
+    mean: distributions.reduce((sum, d) => sum + d.mean, 0) / distributions.length,
+    sigma: distributions.reduce((sum, d) => sum + d.sigma, 0) / distributions.length
+  };
+}
+
+// Height z-score the model is evaluated at: the child's (within +-3), or 0
+// (50th height percentile) when unknown
+function getModelHeightZ(heightZ) {
+  return heightZ === null ? 0 : Math.max(-3, Math.min(3, heightZ));
+}
+
+// Why no height z-score could be used (one of HEIGHT_ASSUMED_REASONS)
+function getHeightAssumedReason(height, age, sex) {
+  // The stature charts start at the same age for boys and girls
+  if (age < STATURE_FOR_AGE.male[0][0]) return HEIGHT_ASSUMED_REASONS.UNDER_2;
+  if (!Number.isFinite(height)) return HEIGHT_ASSUMED_REASONS.NO_HEIGHT;
+  return HEIGHT_ASSUMED_REASONS.NO_SEX;
+}
+
+// Percentile thresholds for a child:
+// { systolic: { p50, p90, p95, p95plus12 }, diastolic: {...}, heightAssumed,
+//   heightAssumedReason, sexAssumed }
+// Without height (or sex, or under 2 years) the 50th height percentile is
+// used; heightAssumedReason tells which.
+// Null outside MIN_PERCENTILE_AGE..MAX_PERCENTILE_AGE.
+export function getBloodPressurePercentiles({ age, sex = null, height = null }) {
+  if (!(age >= MIN_PERCENTILE_AGE && age < MAX_PERCENTILE_AGE + 1)) return null;
+
+  const heightZ = getHeightZScore(height, age, sex);
+  const z = getModelHeightZ(heightZ);
+  const thresholds = (component) => {
+    const { mean, sigma } = getComponentDistribution(component, age, sex, z);
+    return {
+      p50: Math.round(mean),
+      p90: Math.round(mean + Z_90 * sigma),
+      p95: Math.round(mean + Z_95 * sigma),
+      p95plus12: Math.round(mean + Z_95 * sigma + STAGE_2_MARGIN)
+    };
+  };
+
+  return {
+    systolic: thresholds('systolic'),
+    diastolic: thresholds('diastolic'),
+    heightZ,
+    heightAssumed: heightZ === null,
+    heightAssumedReason: heightZ === null ? getHeightAssumedReason(height, age, sex) : null,
+    sexAssumed: !COEFFICIENTS[sex]
+  };
+}
+
+// Percentile (0-100) of a BP reading for a child, { systolic, diastolic }
+export function getReadingPercentiles({ systolic, diastolic }, { age, sex = null, height = null }) {
+  if (!getBloodPressurePercentiles({ age, sex, height })) return null;
+
+  const z = getModelHeightZ(getHeightZScore(height, age, sex));
+  const percentile = (value, component) => {
+    const { mean, sigma } = getComponentDistribution(component, age, sex, z);
+    return Math.round(100 * normalCdf((value - mean) / sigma));
+  };
+  return { systolic: percentile(systolic, 'systolic'), diastolic: percentile(diastolic, 'diastolic') };
+}
+
+// Category cut-offs { elevated, stage1, stage2 } per component (mmHg)
+function getCutoffs(percentiles, age) {
+  if (age >= ADOLESCENT_AGE) {
+    return {
+      systolic: { elevated: 120, stage1: 130, stage2: 140 },
+      diastolic: { elevated: 80, stage1: 80, stage2: 90 }
+    };
+  }
+  // Percentile thresholds, capped by the adult cut-offs (whichever is lower)
+  const { systolic, diastolic } = percentiles;
+  return {
+    systolic: {
+      elevated: Math.min(systolic.p90, 120),
+      stage1: Math.min(systolic.p95, 130),
+      stage2: Math.min(systolic.p95plus12, 140)
+    },
+    diastolic: {
+      elevated: Math.min(diastolic.p90, 80),
+      stage1: Math.min(diastolic.p95, 80),
+      stage2: Math.min(diastolic.p95plus12, 90)
+    }
+  };
+}
+
+const CATEGORY_ORDER = [BP_CATEGORIES.NORMAL, BP_CATEGORIES.ELEVATED, BP_CATEGORIES.STAGE_1, BP_CATEGORIES.STAGE_2];
+
+function categorize(value, cutoffs) {
+  if (value >= cutoffs.stage2) return BP_CATEGORIES.STAGE_2;
+  if (value >= cutoffs.stage1) return BP_CATEGORIES.STAGE_1;
+  if (value >= cutoffs.elevated) return BP_CATEGORIES.ELEVATED;
+  return BP_CATEGORIES.NORMAL;
+}
+
+// Percentiles and category cut-offs for a child, or null under
+// MIN_PERCENTILE_AGE. Beyond the model's ages only the fixed cut-offs apply.
+function getChildReference(child) {
+  if (!(child.age >= MIN_PERCENTILE_AGE)) return null;
+
+  const percentileAge = Math.min(child.age, MAX_PERCENTILE_AGE);
+  const percentiles = getBloodPressurePercentiles({ ...child, age: percentileAge });
+  return { percentileAge, percentiles, cutoffs: getCutoffs(percentiles, child.age) };
+}
+
+// Category cut-offs for a child (age in years, sex 'male' or 'female',
+// height in cm): { systolic: { elevated, stage1, stage2 }, diastolic: {...} }
+// in mmHg, or null under MIN_PERCENTILE_AGE
+export function getBloodPressureCutoffs(child) {
+  const reference = getChildReference(child);
+  return reference ? reference.cutoffs : null;
+}
+
+// Classify a blood pressure reading for a child. The higher of the systolic
+// and diastolic categories applies. Returns { category, percentiles,
+// readingPercentiles, cutoffs, heightAssumed, heightAssumedReason,
+// sexAssumed }, or null without
+// a reading or under MIN_PERCENTILE_AGE.
+export function classifyBloodPressure(bloodPressure, child) {
+  const { systolic, diastolic } = bloodPressure || {};
+  if (!Number.isFinite(systolic) || !Number.isFinite(diastolic)) return null;
+
+  const reference = getChildReference(child);
+  if (!reference) return null;
+  const { percentileAge, percentiles, cutoffs } = reference;
+
+  const systolicCategory = categorize(systolic, cutoffs.systolic);
+  const diastolicCategory = categorize(diastolic, cutoffs.diastolic);
+  const category = CATEGORY_ORDER[Math.max(
+    CATEGORY_ORDER.indexOf(systolicCategory),
+    CATEGORY_ORDER.indexOf(diastolicCategory)
+  )];
+
+  return {
+    category,
+    percentiles,
+    readingPercentiles: getReadingPercentiles({ systolic, diastolic }, { ...child, age: percentileAge }),
+    cutoffs,
+    heightAssumed: percentiles.heightAssumed,
+    heightAssumedReason: percentiles.heightAssumedReason,
+    sexAssumed: percentiles.sexAssumed
+  };
+}
@@ -0,0 +1,42 @@
+import { useMemo } from 'react';
+import { Platform } from 'react-native';
+import { useFrameProcessor } from 'react-native-vision-camera';
+import { Worklets } from 'react-native-worklets-core';
+import { computeMeanRGB, DEFAULT_ROI, DEFAULT_PIXEL_STEP } from './FrameAcquisition.js';
+
+// Buffer layout of pixelFormat="rgb" frames on each platform
+const CHANNEL_ORDER = Platform.OS === 'ios' ? 'bgra' : 'rgba';
+
+// Build a VisionCamera frame processor that reduces every camera frame to the
+// mean RGB of the region of interest and hands it, with the frame's hardware
+// timestamp, to the given FrameAcquisition source on the JS thread.
+// The <Camera> using it must set pixelFormat="rgb".
+export function useCameraFrameProcessor(source, roi = DEFAULT_ROI, step = DEFAULT_PIXEL_STEP) {
+  const emitSample = useMemo(
+    () => Worklets.createRunOnJS((sample) => source.emit(sample)),
+    [source]
+  );
+
+  return useFrameProcessor((frame) => {
+    'worklet';
+    if (frame.pixelFormat !== 'rgb') return;
+
+    const pixels = new Uint8Array(frame.toArrayBuffer());
+    const means = computeMeanRGB(pixels, frame.width, frame.height, {
+      roi,
+      step,
+      bytesPerRow: frame.bytesPerRow,
+      channelOrder: CHANNEL_ORDER
+    });
+
+    if (means) {
+      emitSample({
+        timestamp: frame.timestamp,
+        r: means.r,
+        g: means.g,
+        b: means.b,
+        clipped: means.clipped
+      });
+    }
+  }, [emitSample, roi, step]);
+}
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { SEX_OPTIONS, validateProfile } from './ChildProfiles';
+
+// Add or edit a child profile. Calls onSave with validated fields
+// ({ name, birthDate, sex, height, weight }); height and weight are optional.
+export const ChildProfileForm = ({ profile, onSave, onCancel, onDelete }) => {
+  const [name, setName] = useState(profile?.name || '');
+  const [birthDate, setBirthDate] = useState(profile?.birthDate || '');
+  const [sex, setSex] = useState(profile?.sex || null);
+  const [height, setHeight] = useState(profile?.height ? String(profile.height) : '');
+  const [weight, setWeight] = useState(profile?.weight ? String(profile.weight) : '');
+
+  const parseOptional = (text) => (text.trim() ? parseFloat(text) : null);
+
+  const handleSave = () => {
+    const fields = {
+      name,
+      birthDate,
+      sex,
+      height: parseOptional(height),
+      weight: parseOptional(weight),
+    };
+    const error = validateProfile(fields);
+    if (error) {
+      Alert.alert('Check Child Information', error);
+      return;
+    }
+    onSave(fields);
+  };
+
+  return (
+    <View style={styles.form}>
+      <Text style={styles.label}>😊 Name</Text>
+      <TextInput
+        style={styles.input}
+        value={name}
+        onChangeText={setName}
+        placeholder="Name"
+        placeholderTextColor="rgba(255,255,255,0.5)"
+      />
+
+      <Text style={styles.label}>🎂 Birth Date</Text>
+      <TextInput
+        style={styles.input}
+        value={birthDate}
+        onChangeText={setBirthDate}
+        placeholder="YYYY-MM-DD"
+        placeholderTextColor="rgba(255,255,255,0.5)"
+        keyboardType="numbers-and-punctuation"
+      />
+      {profile?.birthDateEstimated && (
+        <Text style={styles.note}>Estimated from the age entered earlier - please correct it</Text>
+      )}
+
+      <View style={styles.sexRow}>
+        {SEX_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.sexButton, sex === option.value && styles.sexButtonSelected]}
+            onPress={() => setSex(sex === option.value ? null : option.value)}
+          >
+            <Text style={styles.sexButtonText}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.row}>
+        <View style={styles.column}>
+          <Text style={styles.label}>📏 Height (cm)</Text>
+          <TextInput
+            style={styles.input}
+            value={height}
+            onChangeText={setHeight}
+            keyboardType="numeric"
+            placeholder="optional"
+            placeholderTextColor="rgba(255,255,255,0.5)"
+          />
+        </View>
+        <View style={styles.column}>
+          <Text style={styles.label}>⚖️ Weight (kg)</Text>
+          <TextInput
+            style={styles.input}
+            value={weight}
+            onChangeText={setWeight}
+            keyboardType="numeric"
+            placeholder="optional"
+            placeholderTextColor="rgba(255,255,255,0.5)"
+          />
+        </View>
+      </View>
+
+      <TouchableOpacity style={styles.saveButton} onPress={handleSave} activeOpacity={0.8}>
+        <Text style={styles.saveButtonText}>✨ Save Child ✨</Text>
+      </TouchableOpacity>
+
+      <View style={styles.row}>
+        {onCancel && (
+          <TouchableOpacity style={styles.secondaryButton} onPress={onCancel}>
+            <Text style={styles.secondaryButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        )}
+        {onDelete && (
+          <TouchableOpacity style={styles.secondaryButton} onPress={onDelete}>
+            <Text style={styles.secondaryButtonText}>🗑️ Delete</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  form: {
+    width: '100%',
+  },
+  label: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  input: {
+    backgroundColor: 'rgba(255,255,255,0.25)',
+    borderRadius: 20,
+    padding: 14,
+    color: 'white',
+    fontSize: 18,
+    borderWidth: 3,
+    borderColor: 'rgba(255,255,255,0.4)',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  note: {
+    color: 'rgba(255,255,255,0.85)',
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  sexRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 16,
+  },
+  sexButton: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    paddingHorizontal: 18,
+    paddingVertical: 10,
+    borderRadius: 18,
+    marginHorizontal: 6,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  sexButtonSelected: {
+    backgroundColor: 'rgba(255,20,147,0.6)',
+    borderColor: 'white',
+  },
+  sexButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  column: {
+    flex: 0.48,
+  },
+  saveButton: {
+    backgroundColor: '#FF1493',
+    paddingVertical: 16,
+    borderRadius: 30,
+    alignItems: 'center',
+    borderWidth: 3,
+    borderColor: 'rgba(255,255,255,0.3)',
+    marginBottom: 12,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    backgroundColor: 'rgba(255,255,255,0.3)',
+    paddingHorizontal: 18,
+    paddingVertical: 10,
+    borderRadius: 18,
+  },
+  secondaryButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,154 @@
+// Child profiles: who a scan belongs to.
+//
+// A profile holds what the reference ranges and blood pressure norms need
+// (birth date, sex, height) plus weight for the record. Age is always
+// derived from the birth date so it stays current between scans.
+
+import { MAX_CHILD_AGE } from './ReferenceRanges.js';
+
+export const SEX_OPTIONS = [
+  { value: 'female', label: '👧 Girl' },
+  { value: 'male', label: '👦 Boy' },
+];
+
+// Plausible body measurements for children
+const HEIGHT_LIMITS = { min: 40, max: 200 }; // cm
+const WEIGHT_LIMITS = { min: 2, max: 150 }; // kg
+
+const MAX_NAME_LENGTH = 40;
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Parse a YYYY-MM-DD birth date to a local Date (null if invalid)
+export function parseBirthDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((text || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  // Reject dates JavaScript rolled over (e.g. 2020-02-31)
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+// Format a Date as YYYY-MM-DD
+export function formatBirthDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Age in whole months on a date (null without a valid birth date)
+export function getAgeInMonths(birthDate, at = new Date()) {
+  const birth = parseBirthDate(birthDate);
+  if (!birth) return null;
+
+  let months = (at.getFullYear() - birth.getFullYear()) * 12 + at.getMonth() - birth.getMonth();
+  if (at.getDate() < birth.getDate()) months--;
+  return Math.max(0, months);
+}
+
+// Age in whole years on a date (null without a valid birth date)
+export function getAgeInYears(birthDate, at = new Date()) {
+  const months = getAgeInMonths(birthDate, at);
+  return months === null ? null : Math.floor(months / 12);
+}
+
+// Age in years with month precision (0.25 at three months), as used by the
+// reference ranges and the processors (null without a valid birth date)
+export function getAge(birthDate, at = new Date()) {
+  const months = getAgeInMonths(birthDate, at);
+  return months === null ? null : months / 12;
+}
+
+// Age for display: months for infants, years (and months under 3)
+export function formatAge(birthDate, at = new Date()) {
+  const months = getAgeInMonths(birthDate, at);
+  if (months === null) return '';
+
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  if (months < 12) return plural(months, 'month');
+
+  const years = Math.floor(months / 12);
+  const remainder = months % 12;
+  if (years < 3 && remainder > 0) return `${plural(years, 'year')} ${plural(remainder, 'month')}`;
+  return plural(years, 'year');
+}
+
+// Approximate birth date for an age in years (used when only the age is
+// known, e.g. data saved before profiles existed): the middle of that year
+export function estimateBirthDate(ageYears, at = new Date()) {
+  return formatBirthDate(new Date(at.getTime() - (ageYears + 0.5) * YEAR_MS));
+}
+
+// Check profile fields entered by the parent; returns an error message or null.
+// Height and weight are optional (empty or null).
+export function validateProfile({ name, birthDate, sex, height, weight }, at = new Date()) {
+  if (!name || !name.trim()) {
+    return 'Please enter your child\'s name';
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+
+  const birth = parseBirthDate(birthDate);
+  if (!birth) {
+    return 'Please enter the birth date as YYYY-MM-DD';
+  }
+  if (birth > at) {
+    return 'Birth date cannot be in the future';
+  }
+  if (getAgeInYears(birthDate, at) > MAX_CHILD_AGE) {
+    return `PulseKids is for children up to ${MAX_CHILD_AGE} years`;
+  }
+
+  if (sex !== null && sex !== undefined && !SEX_OPTIONS.some(option => option.value === sex)) {
+    return 'Please choose girl or boy';
+  }
+  if (height !== null && height !== undefined &&
+      !(height >= HEIGHT_LIMITS.min && height <= HEIGHT_LIMITS.max)) {
+    return `Height must be between ${HEIGHT_LIMITS.min} and ${HEIGHT_LIMITS.max} cm`;
+  }
+  if (weight !== null && weight !== undefined &&
+      !(weight >= WEIGHT_LIMITS.min && weight <= WEIGHT_LIMITS.max)) {
+    return `Weight must be between ${WEIGHT_LIMITS.min} and ${WEIGHT_LIMITS.max} kg`;
+  }
+  return null;
+}
+
+// Unique id for a stored record
+export function createId(timestamp = Date.now()) {
+  return `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Profile fields in their stored form
+function normalizeFields({ name, birthDate, sex, height, weight, birthDateEstimated }) {
+  return {
+    name: name.trim(),
+    birthDate: formatBirthDate(parseBirthDate(birthDate)),
+    birthDateEstimated: !!birthDateEstimated,
+    sex: sex || null,
+    height: Number.isFinite(height) ? height : null,
+    weight: Number.isFinite(weight) ? weight : null
+  };
+}
+
+// Create a profile from validated fields
+export function createProfile(fields, timestamp = Date.now()) {
+  return {
+    id: createId(timestamp),
+    ...normalizeFields(fields),
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+}
+
+// Apply edited (validated) fields to a profile
+export function updateProfile(profile, fields, timestamp = Date.now()) {
+  return {
+    ...profile,
+    ...normalizeFields({ birthDateEstimated: false, ...fields }),
+    updatedAt: timestamp
+  };
+}
@@ -0,0 +1,24 @@
+// Share exported files (MeasurementExport.js) through the OS share sheet.
+// Files are written to the app's cache directory, which the OS may clear.
+
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+// iOS type identifiers of the export MIME types
+const UTIS = {
+  'text/csv': 'public.comma-separated-values-text',
+  'application/json': 'public.json',
+  'application/fhir+json': 'public.json',
+};
+
+// Write an export ({ filename, mimeType, content }) and open the share sheet.
+// Resolves once the sheet is dismissed; throws when sharing is unavailable.
+export async function shareExport({ filename, mimeType, content }, dialogTitle = 'Share measurements') {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const uri = `${FileSystem.cacheDirectory}${filename}`;
+  await FileSystem.writeAsStringAsync(uri, content, { encoding: FileSystem.EncodingType.UTF8 });
+  await Sharing.shareAsync(uri, { mimeType, dialogTitle, UTI: UTIS[mimeType] });
+}
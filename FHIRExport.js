@@ -0,0 +1,377 @@
+// HL7 FHIR R4 export of measurements for clinics.
+//
+// Each measurement record (MeasurementRecord.js) becomes vital signs
+// Observations: heart rate (LOINC 8867-4), the blood pressure panel
+// (85354-9) with systolic (8480-6) and diastolic (8462-4) components and,
+// when one was entered, body temperature (8310-5). They reference a Patient
+// built from the child profile and are collected in a Bundle. Quantities use
+// UCUM units as the FHIR vital signs profile requires. Demo measurements
+// are simulated and are refused, so they never reach a clinic system.
+//
+// validateFHIRBundle checks a bundle offline against the parts of the R4
+// JSON schema and vital signs profile these resources use, so exports can be
+// checked without a FHIR server (npm run validate-fhir).
+
+import { MEASUREMENT_SOURCES } from './MeasurementRecord.js';
+
+export const FHIR_MIME_TYPE = 'application/fhir+json';
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const INTERPRETATION = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+
+// Identifier systems of the app's own child and measurement ids
+const CHILD_IDENTIFIER_SYSTEM = 'urn:pulsekids:child';
+const MEASUREMENT_IDENTIFIER_SYSTEM = 'urn:pulsekids:measurement';
+
+export const VITAL_SIGN_CODES = {
+  HEART_RATE: { system: LOINC, code: '8867-4', display: 'Heart rate' },
+  BLOOD_PRESSURE: { system: LOINC, code: '85354-9', display: 'Blood pressure panel with all children optional' },
+  SYSTOLIC: { system: LOINC, code: '8480-6', display: 'Systolic blood pressure' },
+  DIASTOLIC: { system: LOINC, code: '8462-4', display: 'Diastolic blood pressure' },
+  BODY_TEMPERATURE: { system: LOINC, code: '8310-5', display: 'Body temperature' },
+};
+
+const VITAL_SIGNS_CATEGORY = [{
+  coding: [{ system: OBSERVATION_CATEGORY, code: 'vital-signs', display: 'Vital Signs' }],
+  text: 'Vital Signs'
+}];
+
+// UCUM units: [display unit, code]
+const UNITS = {
+  heartRate: ['beats/minute', '/min'],
+  bloodPressure: ['mmHg', 'mm[Hg]'],
+  temperature: ['°C', 'Cel'],
+};
+
+const INTERPRETATIONS = {
+  N: 'Normal',
+  L: 'Low',
+  H: 'High',
+};
+
+// Interpretation codes of the reading flags (ReferenceRanges.js) and blood
+// pressure categories (BloodPressurePercentiles.js)
+const FLAG_INTERPRETATIONS = {
+  in_range: 'N',
+  below_range: 'L',
+  above_range: 'H',
+  normal: 'N',
+  elevated: 'H',
+  stage_1: 'H',
+  stage_2: 'H',
+};
+
+// Random version 4 UUID for bundle entry URLs
+export function createUUID() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.floor(Math.random() * 16);
+    return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+  });
+}
+
+const codeableConcept = (coding) => ({ coding: [{ ...coding }], text: coding.display });
+
+function quantity(value, [unit, code]) {
+  return { value: Math.round(value * 10) / 10, unit, system: UCUM, code };
+}
+
+// { interpretation } of a flag, or nothing for flags without one (e.g.
+// implausible readings)
+function interpretation(flag) {
+  const code = FLAG_INTERPRETATIONS[flag];
+  return code ? { interpretation: [{ coding: [{ system: INTERPRETATION, code, display: INTERPRETATIONS[code] }] }] } : {};
+}
+
+// Patient from a child profile
+export function createPatientResource(profile, id = createUUID()) {
+  if (!profile) {
+    throw new Error('A FHIR export needs the child profile');
+  }
+
+  return {
+    resourceType: 'Patient',
+    id,
+    identifier: [{ system: CHILD_IDENTIFIER_SYSTEM, value: profile.id }],
+    name: [{ text: profile.name }],
+    gender: profile.sex === 'male' || profile.sex === 'female' ? profile.sex : 'unknown',
+    birthDate: profile.birthDate
+  };
+}
+
+// Fields shared by the Observations of one record
+function observationBase(record, patientReference, coding, id) {
+  const effective = Number.isFinite(record.startedAt)
+    ? { effectivePeriod: { start: new Date(record.startedAt).toISOString(), end: new Date(record.timestamp).toISOString() } }
+    : { effectiveDateTime: new Date(record.timestamp).toISOString() };
+
+  return {
+    resourceType: 'Observation',
+    id,
+    identifier: [{ system: MEASUREMENT_IDENTIFIER_SYSTEM, value: `${record.id}-${coding.code}` }],
+    status: 'final',
+    category: VITAL_SIGNS_CATEGORY,
+    code: codeableConcept(coding),
+    subject: { reference: patientReference },
+    ...effective
+  };
+}
+
+// How the camera readings were taken, e.g. "Smartphone camera
+// photoplethysmography (real 1.0.0)"
+function cameraMethod(record) {
+  const { name, version } = record.algorithm || {};
+  const algorithm = [name, version].filter(Boolean).join(' ');
+  return { text: `Smartphone camera photoplethysmography${algorithm ? ` (${algorithm})` : ''}` };
+}
+
+// Observations of one measurement record, for the Patient at
+// patientReference (e.g. "urn:uuid:..."). createId gives the resource ids.
+// Throws for demo measurements.
+export function createVitalSignObservations(record, patientReference, createId = createUUID) {
+  if (record.source === MEASUREMENT_SOURCES.DEMO) {
+    throw new Error('Demo measurements are simulated and cannot be exported as FHIR');
+  }
+
+  const observations = [];
+  const { heartRate, bloodPressure } = record.metrics;
+
+  if (Number.isFinite(heartRate.value)) {
+    observations.push({
+      ...observationBase(record, patientReference, VITAL_SIGN_CODES.HEART_RATE, createId()),
+      valueQuantity: quantity(heartRate.value, UNITS.heartRate),
+      ...interpretation(heartRate.flag),
+      method: cameraMethod(record)
+    });
+  }
+
+  if (Number.isFinite(bloodPressure.systolic) && Number.isFinite(bloodPressure.diastolic)) {
+    observations.push({
+      ...observationBase(record, patientReference, VITAL_SIGN_CODES.BLOOD_PRESSURE, createId()),
+      ...interpretation(bloodPressure.flag),
+      note: [{
+        text: bloodPressure.calibrated
+          ? 'Estimated from the pulse wave, calibrated to cuff readings of this child'
+          : 'Estimated from the pulse wave, not measured with a cuff'
+      }],
+      method: cameraMethod(record),
+      component: [
+        { code: codeableConcept(VITAL_SIGN_CODES.SYSTOLIC), valueQuantity: quantity(bloodPressure.systolic, UNITS.bloodPressure) },
+        { code: codeableConcept(VITAL_SIGN_CODES.DIASTOLIC), valueQuantity: quantity(bloodPressure.diastolic, UNITS.bloodPressure) }
+      ]
+    });
+  }
+
+  const temperature = record.input.temperature.value;
+  if (Number.isFinite(temperature)) {
+    observations.push({
+      ...observationBase(record, patientReference, VITAL_SIGN_CODES.BODY_TEMPERATURE, createId()),
+      valueQuantity: quantity(temperature, UNITS.temperature),
+      note: [{ text: 'Entered by the parent' }]
+    });
+  }
+
+  return observations;
+}
+
+// Collection Bundle with the child's Patient and the Observations of the
+// given measurement records. createId gives the resource ids (UUIDs, as
+// they also form the entry URLs). Throws when one of them is a demo
+// measurement.
+export function createFHIRBundle({ profile, records }, timestamp = Date.now(), createId = createUUID) {
+  const id = createId();
+  const patient = createPatientResource(profile, createId());
+  const patientUrl = `urn:uuid:${patient.id}`;
+  const observations = [...records]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .flatMap(record => createVitalSignObservations(record, patientUrl, createId));
+
+  return {
+    resourceType: 'Bundle',
+    id,
+    meta: { lastUpdated: new Date(timestamp).toISOString() },
+    type: 'collection',
+    timestamp: new Date(timestamp).toISOString(),
+    entry: [patient, ...observations].map(resource => ({
+      fullUrl: `urn:uuid:${resource.id}`,
+      resource
+    }))
+  };
+}
+
+// Validation against the R4 JSON schema (the properties, types, patterns
+// and value sets used here) and the vital signs profile
+
+const ID_PATTERN = /^[A-Za-z0-9\-.]{1,64}$/;
+const DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+const DATE_TIME_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00)))?)?)?$/;
+const INSTANT_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00))$/;
+const URI_PATTERN = /^\S+$/;
+
+const BUNDLE_TYPES = ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'];
+const OBSERVATION_STATUSES = ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'];
+const GENDERS = ['male', 'female', 'other', 'unknown'];
+
+// Properties allowed on each resource (the schema has no additional properties)
+const RESOURCE_PROPERTIES = {
+  Bundle: ['resourceType', 'id', 'meta', 'implicitRules', 'language', 'identifier', 'type', 'timestamp', 'total', 'link', 'entry',
+    'signature'],
+  Patient: ['resourceType', 'id', 'meta', 'implicitRules', 'language', 'text', 'contained', 'extension', 'modifierExtension',
+    'identifier', 'active', 'name', 'telecom', 'gender', 'birthDate', 'deceasedBoolean', 'deceasedDateTime', 'address',
+    'maritalStatus', 'multipleBirthBoolean', 'multipleBirthInteger', 'photo', 'contact', 'communication', 'generalPractitioner',
+    'managingOrganization', 'link'],
+  Observation: ['resourceType', 'id', 'meta', 'implicitRules', 'language', 'text', 'contained', 'extension', 'modifierExtension',
+    'identifier', 'basedOn', 'partOf', 'status', 'category', 'code', 'subject', 'focus', 'encounter', 'effectiveDateTime',
+    'effectivePeriod', 'issued', 'performer', 'valueQuantity', 'dataAbsentReason', 'interpretation', 'note', 'bodySite', 'method',
+    'specimen', 'device', 'referenceRange', 'hasMember', 'derivedFrom', 'component'],
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyArray = (value) => Array.isArray(value) && value.length > 0;
+
+function checkPattern(errors, value, pattern, path) {
+  if (value !== undefined && (typeof value !== 'string' || !pattern.test(value))) {
+    errors.push(`${path} is not valid (${JSON.stringify(value)})`);
+  }
+}
+
+function checkCodeableConcept(errors, concept, path) {
+  if (!isObject(concept)) {
+    errors.push(`${path} must be a CodeableConcept`);
+    return;
+  }
+  if (concept.coding !== undefined && !Array.isArray(concept.coding)) {
+    errors.push(`${path}.coding must be an array`);
+    return;
+  }
+  (concept.coding || []).forEach((coding, i) => {
+    checkPattern(errors, coding.system, URI_PATTERN, `${path}.coding[${i}].system`);
+    if (typeof coding.code !== 'string' || !coding.code) errors.push(`${path}.coding[${i}].code is required`);
+  });
+  if (!concept.coding && typeof concept.text !== 'string') {
+    errors.push(`${path} needs a coding or text`);
+  }
+}
+
+// Vital signs quantities must be UCUM coded with a numeric value
+function checkQuantity(errors, value, path) {
+  if (!isObject(value)) {
+    errors.push(`${path} must be a Quantity`);
+    return;
+  }
+  if (typeof value.value !== 'number' || !Number.isFinite(value.value)) errors.push(`${path}.value must be a number`);
+  if (value.system !== UCUM) errors.push(`${path}.system must be ${UCUM}`);
+  if (typeof value.code !== 'string' || !value.code) errors.push(`${path}.code is required`);
+}
+
+function hasCoding(concept, { system, code }) {
+  return !!concept?.coding?.some(coding => coding.system === system && coding.code === code);
+}
+
+function validatePatient(errors, patient, path) {
+  if (patient.gender !== undefined && !GENDERS.includes(patient.gender)) {
+    errors.push(`${path}.gender must be one of ${GENDERS.join(', ')}`);
+  }
+  checkPattern(errors, patient.birthDate, DATE_PATTERN, `${path}.birthDate`);
+  if (patient.name !== undefined && !Array.isArray(patient.name)) errors.push(`${path}.name must be an array`);
+}
+
+function validateObservation(errors, observation, path) {
+  if (!OBSERVATION_STATUSES.includes(observation.status)) {
+    errors.push(`${path}.status must be one of ${OBSERVATION_STATUSES.join(', ')}`);
+  }
+  checkCodeableConcept(errors, observation.code, `${path}.code`);
+
+  // Vital signs profile
+  if (!observation.category?.some?.(concept => hasCoding(concept, { system: OBSERVATION_CATEGORY, code: 'vital-signs' }))) {
+    errors.push(`${path}.category must include vital-signs`);
+  }
+  if (typeof observation.subject?.reference !== 'string') errors.push(`${path}.subject.reference is required`);
+  if (observation.effectiveDateTime === undefined && observation.effectivePeriod === undefined) {
+    errors.push(`${path} needs effectiveDateTime or effectivePeriod`);
+  }
+  checkPattern(errors, observation.effectiveDateTime, DATE_TIME_PATTERN, `${path}.effectiveDateTime`);
+  if (observation.effectivePeriod !== undefined) {
+    checkPattern(errors, observation.effectivePeriod.start, DATE_TIME_PATTERN, `${path}.effectivePeriod.start`);
+    checkPattern(errors, observation.effectivePeriod.end, DATE_TIME_PATTERN, `${path}.effectivePeriod.end`);
+  }
+  if (observation.valueQuantity !== undefined) checkQuantity(errors, observation.valueQuantity, `${path}.valueQuantity`);
+  if (observation.valueQuantity === undefined && observation.dataAbsentReason === undefined && !observation.component
+    && !observation.hasMember) {
+    errors.push(`${path} needs a value, components, members or a dataAbsentReason`);
+  }
+  (observation.interpretation || []).forEach((concept, i) => checkCodeableConcept(errors, concept, `${path}.interpretation[${i}]`));
+
+  if (observation.component !== undefined) {
+    if (!isNonEmptyArray(observation.component)) {
+      errors.push(`${path}.component must be a non-empty array`);
+    } else {
+      observation.component.forEach((component, i) => {
+        checkCodeableConcept(errors, component.code, `${path}.component[${i}].code`);
+        if (component.valueQuantity !== undefined || component.dataAbsentReason === undefined) {
+          checkQuantity(errors, component.valueQuantity, `${path}.component[${i}].valueQuantity`);
+        }
+      });
+    }
+  }
+
+  // Blood pressure panel needs both components
+  if (hasCoding(observation.code, VITAL_SIGN_CODES.BLOOD_PRESSURE)) {
+    for (const coding of [VITAL_SIGN_CODES.SYSTOLIC, VITAL_SIGN_CODES.DIASTOLIC]) {
+      if (!observation.component?.some?.(component => hasCoding(component.code, coding))) {
+        errors.push(`${path}.component needs ${coding.display.toLowerCase()} (${coding.code})`);
+      }
+    }
+  }
+}
+
+const RESOURCE_VALIDATORS = {
+  Patient: validatePatient,
+  Observation: validateObservation,
+};
+
+function validateResource(errors, resource, path) {
+  if (!isObject(resource) || !RESOURCE_PROPERTIES[resource.resourceType]) {
+    errors.push(`${path}.resourceType must be one of ${Object.keys(RESOURCE_PROPERTIES).join(', ')}`);
+    return;
+  }
+  checkPattern(errors, resource.id, ID_PATTERN, `${path}.id`);
+  for (const key of Object.keys(resource)) {
+    if (!RESOURCE_PROPERTIES[resource.resourceType].includes(key)) {
+      errors.push(`${path}.${key} is not a property of ${resource.resourceType}`);
+    }
+  }
+  const validate = RESOURCE_VALIDATORS[resource.resourceType];
+  if (validate) validate(errors, resource, path);
+}
+
+// Check a Bundle; returns the list of problems (empty when it is valid)
+export function validateFHIRBundle(bundle) {
+  const errors = [];
+  if (!isObject(bundle) || bundle.resourceType !== 'Bundle') {
+    return ['resourceType must be Bundle'];
+  }
+
+  validateResource(errors, bundle, 'Bundle');
+  if (!BUNDLE_TYPES.includes(bundle.type)) errors.push(`Bundle.type must be one of ${BUNDLE_TYPES.join(', ')}`);
+  checkPattern(errors, bundle.timestamp, INSTANT_PATTERN, 'Bundle.timestamp');
+  checkPattern(errors, bundle.meta?.lastUpdated, INSTANT_PATTERN, 'Bundle.meta.lastUpdated');
+
+  const entries = bundle.entry || [];
+  if (!Array.isArray(entries)) return [...errors, 'Bundle.entry must be an array'];
+
+  const fullUrls = new Set(entries.map(entry => entry?.fullUrl).filter(Boolean));
+  entries.forEach((entry, i) => {
+    const path = `Bundle.entry[${i}]`;
+    checkPattern(errors, entry?.fullUrl, URI_PATTERN, `${path}.fullUrl`);
+    validateResource(errors, entry?.resource, `${path}.resource`);
+
+    // References between entries must resolve within the bundle
+    const reference = entry?.resource?.subject?.reference;
+    if (typeof reference === 'string' && reference.startsWith('urn:') && !fullUrls.has(reference)) {
+      errors.push(`${path}.resource.subject references ${reference}, which is not in the bundle`);
+    }
+  });
+  return errors;
+}
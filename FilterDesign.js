@@ -0,0 +1,258 @@
+// IIR filter design for PPG processing.
+//
+// Filters are designed from analog Butterworth / Chebyshev type I prototypes
+// with the bilinear transform (cutoffs pre-warped for the actual sample rate)
+// and returned as cascades of second-order sections:
+//   { b: [b0, b1, b2], a: [1, a1, a2] }
+// Second-order sections stay numerically stable at the low cutoff/sample
+// rate ratios PPG needs (e.g. 0.5 Hz at 30 Hz), where a single high-order
+// transfer function does not.
+
+// Poles of the normalized (cutoff 1 rad/s) analog lowpass prototype, as
+// conjugate pairs { omega, q } plus an optional real pole { sigma }
+function butterworthPrototype(order) {
+  const pairs = [];
+  for (let k = 0; k < Math.floor(order / 2); k++) {
+    pairs.push({ omega: 1, q: 1 / (2 * Math.sin((2 * k + 1) * Math.PI / (2 * order))) });
+  }
+
+  return {
+    pairs,
+    realPole: order % 2 === 1 ? 1 : null,
+    gain: 1
+  };
+}
+
+// Chebyshev type I prototype with the given passband ripple (dB); the cutoff
+// is the edge of the ripple band
+function chebyshev1Prototype(order, rippleDb) {
+  const epsilon = Math.sqrt(Math.pow(10, rippleDb / 10) - 1);
+  const mu = Math.asinh(1 / epsilon) / order;
+
+  const pairs = [];
+  for (let k = 1; k <= Math.floor(order / 2); k++) {
+    const theta = (2 * k - 1) * Math.PI / (2 * order);
+    const sigma = Math.sinh(mu) * Math.sin(theta);
+    const omega = Math.cosh(mu) * Math.cos(theta);
+    const omega0 = Math.sqrt(sigma * sigma + omega * omega);
+    pairs.push({ omega: omega0, q: omega0 / (2 * sigma) });
+  }
+
+  return {
+    pairs,
+    realPole: order % 2 === 1 ? Math.sinh(mu) : null,
+    // Even orders start at the bottom of the ripple band
+    gain: order % 2 === 0 ? 1 / Math.sqrt(1 + epsilon * epsilon) : 1
+  };
+}
+
+// Bilinear transform of a normalized analog section
+//   (n2 s^2 + n1 s + n0) / (d2 s^2 + d1 s + d0)
+// with K = tan(pi * fc / fs) so the cutoff maps exactly to fc
+function bilinearSection(n, d, k) {
+  const [n2, n1, n0] = n;
+  const [d2, d1, d0] = d;
+  const k2 = k * k;
+
+  const a0 = d2 + d1 * k + d0 * k2;
+  return {
+    b: [
+      (n2 + n1 * k + n0 * k2) / a0,
+      2 * (n0 * k2 - n2) / a0,
+      (n2 - n1 * k + n0 * k2) / a0
+    ],
+    a: [
+      1,
+      2 * (d0 * k2 - d2) / a0,
+      (d2 - d1 * k + d0 * k2) / a0
+    ]
+  };
+}
+
+// First-order version: (n1 s + n0) / (d1 s + d0)
+function bilinearFirstOrder(n, d, k) {
+  const [n1, n0] = n;
+  const [d1, d0] = d;
+
+  const a0 = d1 + d0 * k;
+  return {
+    b: [(n1 + n0 * k) / a0, (n0 * k - n1) / a0, 0],
+    a: [1, (d0 * k - d1) / a0, 0]
+  };
+}
+
+// Turn a prototype into digital lowpass or highpass sections
+function prototypeToSections(prototype, kind, cutoff, sampleRate) {
+  const nyquist = sampleRate / 2;
+  if (!(cutoff > 0) || cutoff >= nyquist) {
+    throw new Error(`Cutoff ${cutoff} Hz must be between 0 and ${nyquist} Hz`);
+  }
+
+  const k = Math.tan(Math.PI * cutoff / sampleRate);
+  const sections = [];
+
+  for (const { omega, q } of prototype.pairs) {
+    const w2 = omega * omega;
+    if (kind === 'lowpass') {
+      sections.push(bilinearSection([0, 0, w2], [1, omega / q, w2], k));
+    } else {
+      // s -> 1/s maps the lowpass prototype to a highpass one
+      sections.push(bilinearSection([w2, 0, 0], [w2, omega / q, 1], k));
+    }
+  }
+
+  if (prototype.realPole !== null) {
+    const sigma = prototype.realPole;
+    if (kind === 'lowpass') {
+      sections.push(bilinearFirstOrder([0, sigma], [1, sigma], k));
+    } else {
+      sections.push(bilinearFirstOrder([sigma, 0], [sigma, 1], k));
+    }
+  }
+
+  // Apply the overall prototype gain to the first section
+  if (prototype.gain !== 1 && sections.length > 0) {
+    sections[0].b = sections[0].b.map(coefficient => coefficient * prototype.gain);
+  }
+
+  return sections;
+}
+
+// Get the analog prototype for a filter type
+function getPrototype(type, order, rippleDb) {
+  if (!Number.isInteger(order) || order < 1) {
+    throw new Error(`Filter order must be a positive integer, got ${order}`);
+  }
+
+  switch (type) {
+    case 'butterworth': return butterworthPrototype(order);
+    case 'chebyshev1': return chebyshev1Prototype(order, rippleDb);
+    default: throw new Error(`Unknown filter type: ${type}`);
+  }
+}
+
+// Design a lowpass filter as second-order sections
+export function designLowpass({ type = 'butterworth', order = 2, cutoff, sampleRate, rippleDb = 0.5 }) {
+  return prototypeToSections(getPrototype(type, order, rippleDb), 'lowpass', cutoff, sampleRate);
+}
+
+// Design a highpass filter as second-order sections
+export function designHighpass({ type = 'butterworth', order = 2, cutoff, sampleRate, rippleDb = 0.5 }) {
+  return prototypeToSections(getPrototype(type, order, rippleDb), 'highpass', cutoff, sampleRate);
+}
+
+// Design a bandpass filter as a highpass at lowCut cascaded with a lowpass at
+// highCut, each of the given order. This matches a true bandpass design for
+// wide bands like the cardiac band (an octave or more between the cutoffs).
+export function designBandpass({ type = 'butterworth', order = 2, lowCut, highCut, sampleRate, rippleDb = 0.5 }) {
+  if (!(lowCut < highCut)) {
+    throw new Error(`Bandpass low cutoff ${lowCut} Hz must be below high cutoff ${highCut} Hz`);
+  }
+
+  return [
+    ...designHighpass({ type, order, cutoff: lowCut, sampleRate, rippleDb }),
+    ...designLowpass({ type, order, cutoff: highCut, sampleRate, rippleDb })
+  ];
+}
+
+// Gain of a section at zero frequency
+function dcGain(section) {
+  const denominator = section.a[0] + section.a[1] + section.a[2];
+  return denominator === 0 ? 0 : (section.b[0] + section.b[1] + section.b[2]) / denominator;
+}
+
+// Steady-state section states for a constant input of 1, so filtering does
+// not start with a step transient (same idea as scipy's sosfilt_zi)
+export function steadyStateConditions(sections) {
+  const states = [];
+  let input = 1;
+
+  for (const section of sections) {
+    const [b0, b1, b2] = section.b;
+    const [, a1, a2] = section.a;
+    const output = dcGain(section) * input;
+
+    const z2 = b2 * input - a2 * output;
+    const z1 = b1 * input - a1 * output + z2;
+    states.push([z1, z2]);
+
+    input = output;
+  }
+
+  return states;
+}
+
+// Filter a signal through the cascade (transposed direct form II).
+// initialStates are per-section [z1, z2]; defaults to zero state.
+export function sosfilt(sections, signal, initialStates = null) {
+  const states = sections.map((_, i) => initialStates ? [...initialStates[i]] : [0, 0]);
+  const output = new Array(signal.length);
+
+  for (let n = 0; n < signal.length; n++) {
+    let x = signal[n];
+
+    for (let s = 0; s < sections.length; s++) {
+      const { b, a } = sections[s];
+      const state = states[s];
+
+      const y = b[0] * x + state[0];
+      state[0] = b[1] * x - a[1] * y + state[1];
+      state[1] = b[2] * x - a[2] * y;
+      x = y;
+    }
+
+    output[n] = x;
+  }
+
+  return output;
+}
+
+// Zero-phase filtering: run the cascade forwards and backwards so the
+// waveform is not delayed or skewed (peak timing and pulse shape survive).
+// The ends are padded with an odd reflection of the signal, and each pass
+// starts from the steady state of its first sample.
+export function filtfilt(sections, signal) {
+  if (signal.length === 0 || sections.length === 0) return [...signal];
+
+  const padLength = Math.min(3 * (2 * sections.length + 1), signal.length - 1);
+  const first = signal[0];
+  const last = signal[signal.length - 1];
+
+  const extended = [];
+  for (let i = padLength; i > 0; i--) {
+    extended.push(2 * first - signal[i]);
+  }
+  for (let i = 0; i < signal.length; i++) {
+    extended.push(signal[i]);
+  }
+  for (let i = 1; i <= padLength; i++) {
+    extended.push(2 * last - signal[signal.length - 1 - i]);
+  }
+
+  const unitStates = steadyStateConditions(sections);
+  const scaleStates = (value) => unitStates.map(([z1, z2]) => [z1 * value, z2 * value]);
+
+  const forward = sosfilt(sections, extended, scaleStates(extended[0]));
+  forward.reverse();
+  const backward = sosfilt(sections, forward, scaleStates(forward[0]));
+  backward.reverse();
+
+  return backward.slice(padLength, padLength + signal.length);
+}
+
+// Magnitude response of the cascade at a frequency (Hz)
+export function magnitudeResponse(sections, frequency, sampleRate) {
+  const omega = 2 * Math.PI * frequency / sampleRate;
+  let magnitude = 1;
+
+  for (const { b, a } of sections) {
+    const evaluate = (c) => {
+      const re = c[0] + c[1] * Math.cos(omega) + c[2] * Math.cos(2 * omega);
+      const im = -(c[1] * Math.sin(omega) + c[2] * Math.sin(2 * omega));
+      return Math.sqrt(re * re + im * im);
+    };
+    magnitude *= evaluate(b) / evaluate(a);
+  }
+
+  return magnitude;
+}
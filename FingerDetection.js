@@ -1,5 +1,3 @@
-import { Camera } from 'expo-camera';
-
 export class FingerDetector {
   constructor() {
     this.minFingerArea = 5000; // Minimum area for finger detection
@@ -15,32 +13,31 @@ export class FingerDetector {
     this.fingerDetected = false;
     this.consecutiveDetections = 0;
     this.requiredDetections = 5; // Need 5 consecutive detections
+    
+    // Colour thresholds for mean-RGB (streamed) detection
+    this.minCoveredRed = 60; // Minimum mean red level of a lit fingertip
+    this.minRedDominance = 1.6; // Red must exceed green and blue by this factor
   }
 
   // Detect finger using color segmentation and contour analysis
+  // imageData is { data, width, height } with RGBA pixel data
   detectFinger(imageData) {
     try {
+      const { data, width, height } = imageData;
+
       // Convert to HSV color space for better skin detection
-      const hsvData = this.rgbToHsv(imageData);
+      const hsvData = this.rgbToHsv(data);
       
       // Create skin mask
       const skinMask = this.createSkinMask(hsvData);
       
       // Find contours in the skin mask
-      const contours = this.findContours(skinMask);
+      const contours = this.findContours(skinMask, width, height);
       
       // Analyze contours to find finger-like shapes
       const fingerContour = this.findFingerContour(contours);
       
-      if (fingerContour) {
-        this.consecutiveDetections++;
-        if (this.consecutiveDetections >= this.requiredDetections) {
-          this.fingerDetected = true;
-        }
-      } else {
-        this.consecutiveDetections = 0;
-        this.fingerDetected = false;
-      }
+      this.updateDetectionState(!!fingerContour);
       
       return {
         fingerDetected: this.fingerDetected,
@@ -54,6 +51,42 @@ export class FingerDetector {
     }
   }
 
+  // Detect finger from the mean colour of the region of interest (0-255).
+  // With the torch on, a fingertip covering the lens glows red: bright red
+  // channel and strongly attenuated green and blue.
+  detectFingerFromColor({ r, g, b }) {
+    try {
+      const isCovered = r >= this.minCoveredRed &&
+                        r >= g * this.minRedDominance &&
+                        r >= b * this.minRedDominance;
+      
+      this.updateDetectionState(isCovered);
+      
+      return {
+        fingerDetected: this.fingerDetected,
+        confidence: this.consecutiveDetections / this.requiredDetections,
+        contour: null
+      };
+      
+    } catch (error) {
+      console.error('Finger detection error:', error);
+      return { fingerDetected: false, confidence: 0, contour: null };
+    }
+  }
+
+  // Require several consecutive positive frames before reporting a finger
+  updateDetectionState(found) {
+    if (found) {
+      this.consecutiveDetections++;
+      if (this.consecutiveDetections >= this.requiredDetections) {
+        this.fingerDetected = true;
+      }
+    } else {
+      this.consecutiveDetections = 0;
+      this.fingerDetected = false;
+    }
+  }
+
   // Convert RGB to HSV color space
   rgbToHsv(imageData) {
     const hsvData = new Uint8ClampedArray(imageData.length);
@@ -122,11 +155,9 @@ export class FingerDetector {
   }
 
   // Find contours in binary image
-  findContours(binaryImage) {
+  findContours(binaryImage, width, height) {
     const contours = [];
     const visited = new Set();
-    const width = Math.sqrt(binaryImage.length);
-    const height = width;
     
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
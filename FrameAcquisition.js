@@ -0,0 +1,250 @@
+// Frame acquisition layer: turns camera frames (or recorded frames) into a
+// stream of { timestamp, r, g, b, clipped } samples for the PPG processors.
+//
+// Nothing in this file depends on React Native, so recorded sessions can be
+// fed through the same code path in plain JS.
+
+// Region of interest as fractions of the frame (centre of the lens)
+export const DEFAULT_ROI = { x: 0.25, y: 0.25, width: 0.5, height: 0.5 };
+
+// Only every Nth pixel in each direction is read; the finger fills the ROI
+// so subsampling loses nothing but saves most of the per-frame work
+export const DEFAULT_PIXEL_STEP = 4;
+
+// Pixel values at or above this are clipped (the sensor is saturated)
+export const CLIPPING_LEVEL = 250;
+
+// Average the R, G and B values of a pixel buffer inside the region of
+// interest, and measure the fraction of clipped pixels per channel.
+// Runs inside the camera frame processor as a worklet, so it must stay
+// self-contained (no closures over module state).
+export function computeMeanRGB(pixels, width, height, options = {}) {
+  'worklet';
+  const roi = options.roi || { x: 0.25, y: 0.25, width: 0.5, height: 0.5 };
+  const step = options.step || DEFAULT_PIXEL_STEP;
+  const bytesPerRow = options.bytesPerRow || width * 4;
+  // iOS delivers BGRA buffers, Android and decoded images RGBA
+  const redOffset = options.channelOrder === 'bgra' ? 2 : 0;
+  const blueOffset = options.channelOrder === 'bgra' ? 0 : 2;
+  const clipLevel = options.clipLevel ?? CLIPPING_LEVEL;
+
+  const startX = Math.max(0, Math.floor(roi.x * width));
+  const startY = Math.max(0, Math.floor(roi.y * height));
+  const endX = Math.min(width, Math.floor((roi.x + roi.width) * width));
+  const endY = Math.min(height, Math.floor((roi.y + roi.height) * height));
+
+  let totalR = 0, totalG = 0, totalB = 0;
+  let clippedR = 0, clippedG = 0, clippedB = 0;
+  let count = 0;
+
+  for (let y = startY; y < endY; y += step) {
+    const rowStart = y * bytesPerRow;
+    for (let x = startX; x < endX; x += step) {
+      const index = rowStart + x * 4;
+      const r = pixels[index + redOffset];
+      const g = pixels[index + 1];
+      const b = pixels[index + blueOffset];
+      totalR += r;
+      totalG += g;
+      totalB += b;
+      if (r >= clipLevel) clippedR++;
+      if (g >= clipLevel) clippedG++;
+      if (b >= clipLevel) clippedB++;
+      count++;
+    }
+  }
+
+  if (count === 0) return null;
+
+  return {
+    r: totalR / count,
+    g: totalG / count,
+    b: totalB / count,
+    clipped: { r: clippedR / count, g: clippedG / count, b: clippedB / count },
+    pixelCount: count
+  };
+}
+
+// Check whether a frame is an already reduced { timestamp, r, g, b } sample
+export function isRGBSample(frame) {
+  return !!frame &&
+    typeof frame.r === 'number' &&
+    typeof frame.g === 'number' &&
+    typeof frame.b === 'number';
+}
+
+// Base acquisition source: listeners receive one sample per delivered frame.
+// Timestamps are reported in seconds relative to the first frame.
+export class FrameAcquisition {
+  constructor() {
+    this.listeners = [];
+    this.isRunning = false;
+
+    // Hardware clocks differ per platform (ns, µs or ms), so the unit is
+    // inferred from the first frame interval instead of being hardcoded
+    this.firstRawTimestamp = null;
+    this.timestampScale = null;
+
+    this.frameCount = 0;
+    this.lastTimestamp = null;
+  }
+
+  // Register a sample listener; returns an unsubscribe function
+  onSample(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // Start delivering samples to listeners
+  start() {
+    this.firstRawTimestamp = null;
+    this.timestampScale = null;
+    this.frameCount = 0;
+    this.lastTimestamp = null;
+    this.isRunning = true;
+  }
+
+  // Stop delivering samples
+  stop() {
+    this.isRunning = false;
+  }
+
+  // Deliver a frame's mean RGB with its raw hardware timestamp
+  emit(sample) {
+    if (!this.isRunning || !isRGBSample(sample)) return;
+
+    const timestamp = this.normalizeTimestamp(sample.timestamp);
+    if (timestamp === null) return;
+
+    const normalized = { ...sample, timestamp };
+    this.frameCount++;
+    this.lastTimestamp = timestamp;
+
+    for (const listener of this.listeners) {
+      try {
+        listener(normalized);
+      } catch (error) {
+        console.error('Frame listener error:', error);
+      }
+    }
+  }
+
+  // Convert a raw hardware timestamp to seconds since the first frame
+  normalizeTimestamp(rawTimestamp) {
+    if (typeof rawTimestamp !== 'number' || !isFinite(rawTimestamp)) return null;
+
+    if (this.firstRawTimestamp === null) {
+      this.firstRawTimestamp = rawTimestamp;
+      return 0;
+    }
+
+    const rawDelta = rawTimestamp - this.firstRawTimestamp;
+    if (rawDelta <= 0) return null;
+
+    if (this.timestampScale === null) {
+      this.timestampScale = this.inferTimestampScale(rawDelta);
+    }
+
+    return rawDelta / this.timestampScale;
+  }
+
+  // Pick the unit that makes one frame interval a plausible duration
+  inferTimestampScale(rawDelta) {
+    const scales = [1e9, 1e6, 1e3, 1];
+    for (const scale of scales) {
+      const seconds = rawDelta / scale;
+      if (seconds >= 0.002 && seconds <= 2) {
+        return scale;
+      }
+    }
+    return 1;
+  }
+
+  // Get acquisition statistics
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      frameCount: this.frameCount,
+      duration: this.lastTimestamp || 0,
+      frameRate: this.lastTimestamp > 0 ? (this.frameCount - 1) / this.lastTimestamp : 0
+    };
+  }
+}
+
+// Pure JS source that plays back recorded frames. Frames are either
+// { timestamp, r, g, b } samples or { timestamp, data, width, height } pixel
+// buffers; timestamps are in seconds.
+export class RecordedFrameSource extends FrameAcquisition {
+  constructor(frames, options = {}) {
+    super();
+    this.frames = frames || [];
+    this.realtime = options.realtime || false;
+    this.roi = options.roi || DEFAULT_ROI;
+    this.playbackTimer = null;
+  }
+
+  // Play back all frames; resolves once the last frame has been delivered.
+  // With realtime playback the original frame spacing is reproduced.
+  start() {
+    super.start();
+
+    if (!this.realtime) {
+      for (const frame of this.frames) {
+        if (!this.isRunning) break;
+        this.emitFrame(frame);
+      }
+      this.isRunning = false;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      let index = 0;
+      const playNext = () => {
+        if (!this.isRunning || index >= this.frames.length) {
+          this.isRunning = false;
+          resolve();
+          return;
+        }
+
+        const frame = this.frames[index++];
+        this.emitFrame(frame);
+
+        const next = this.frames[index];
+        const delay = next ? Math.max(0, (next.timestamp - frame.timestamp) * 1000) : 0;
+        this.playbackTimer = setTimeout(playNext, delay);
+      };
+      playNext();
+    });
+  }
+
+  // Stop playback
+  stop() {
+    super.stop();
+    if (this.playbackTimer) {
+      clearTimeout(this.playbackTimer);
+      this.playbackTimer = null;
+    }
+  }
+
+  // Reduce a recorded frame to a sample and deliver it
+  emitFrame(frame) {
+    if (isRGBSample(frame)) {
+      this.emit(frame);
+      return;
+    }
+
+    if (frame && frame.data) {
+      const means = computeMeanRGB(frame.data, frame.width, frame.height, { roi: this.roi });
+      if (means) {
+        this.emit({ ...means, timestamp: frame.timestamp });
+      }
+    }
+  }
+
+  // Recorded timestamps are already in seconds
+  inferTimestampScale() {
+    return 1;
+  }
+}
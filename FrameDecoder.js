@@ -0,0 +1,53 @@
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import jpeg from 'jpeg-js';
+
+// Width frames are downscaled to before decoding. Decoding a full-size camera
+// still in JS takes far longer than a frame interval, and the finger covers
+// the whole lens anyway, so a small image carries the same PPG information.
+export const DECODE_WIDTH = 160;
+
+// Decode a camera frame (takePictureAsync result or file uri) to RGBA pixels
+export async function decodeCameraFrame(frame, targetWidth = DECODE_WIDTH) {
+  const uri = typeof frame === 'string' ? frame : frame?.uri;
+  if (!uri) {
+    throw new Error('Camera frame has no image uri');
+  }
+
+  // Resize natively, then re-encode as JPEG so we get the bytes back as base64
+  const context = ImageManipulator.manipulate(uri);
+  if (!frame.width || frame.width > targetWidth) {
+    context.resize({ width: targetWidth });
+  }
+  const rendered = await context.renderAsync();
+  const saved = await rendered.saveAsync({
+    base64: true,
+    compress: 1,
+    format: SaveFormat.JPEG,
+  });
+
+  return decodeJpegBase64(saved.base64);
+}
+
+// Decode a base64 encoded JPEG to { data, width, height } with RGBA data
+export function decodeJpegBase64(base64) {
+  const bytes = base64ToBytes(base64);
+  const decoded = jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true });
+
+  return {
+    data: new Uint8ClampedArray(decoded.data.buffer, decoded.data.byteOffset, decoded.data.length),
+    width: decoded.width,
+    height: decoded.height
+  };
+}
+
+// Convert a base64 string to a byte array
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+}
@@ -0,0 +1,158 @@
+// Heart rate variability from the beat-to-beat (inter-beat interval) series.
+//
+// Intervals are in seconds; reported metrics are in milliseconds like
+// clinical HRV reports. A 30-second scan only supports ultra-short-term
+// metrics, so these describe the scan rather than a 5-minute recording.
+//
+// Camera PPG misses beats (motion, weak pulse) and occasionally picks up
+// extra ones, and a single bad interval dominates SDNN/RMSSD, so intervals
+// are corrected against their local median before any metric is computed.
+
+// Intervals needed before metrics are reported
+export const MIN_HRV_INTERVALS = 10;
+
+// Relative deviation from the local median that marks an interval as abnormal
+const INTERVAL_TOLERANCE = 0.2;
+
+// Intervals on each side used for the local median
+const LOCAL_WINDOW = 3;
+
+// Successive differences above this count towards pNN50 (seconds)
+const NN50_THRESHOLD = 0.05;
+
+// Refine a peak's time by fitting a parabola through it and its neighbours
+// (camera frames are 33 ms apart, too coarse for beat-to-beat variation)
+export function interpolatePeakTime(signal, timestamps, index) {
+  if (index <= 0 || index >= signal.length - 1) return timestamps[index];
+
+  const alpha = signal[index - 1];
+  const beta = signal[index];
+  const gamma = signal[index + 1];
+  const denominator = alpha - 2 * beta + gamma;
+  if (denominator === 0) return timestamps[index];
+
+  const offset = Math.max(-0.5, Math.min(0.5, 0.5 * (alpha - gamma) / denominator));
+  const step = offset >= 0
+    ? timestamps[index + 1] - timestamps[index]
+    : timestamps[index] - timestamps[index - 1];
+  return timestamps[index] + offset * step;
+}
+
+// Intervals between consecutive beat times (seconds)
+export function beatIntervals(beatTimes) {
+  const intervals = [];
+  for (let i = 1; i < beatTimes.length; i++) {
+    intervals.push(beatTimes[i] - beatTimes[i - 1]);
+  }
+  return intervals;
+}
+
+// Median of the intervals around index i (excluding i itself)
+function localMedian(intervals, i) {
+  const neighbours = [];
+  for (let k = Math.max(0, i - LOCAL_WINDOW); k <= Math.min(intervals.length - 1, i + LOCAL_WINDOW); k++) {
+    if (k !== i) neighbours.push(intervals[k]);
+  }
+  if (neighbours.length === 0) return intervals[i];
+
+  neighbours.sort((a, b) => a - b);
+  const middle = Math.floor(neighbours.length / 2);
+  return neighbours.length % 2 === 0
+    ? (neighbours[middle - 1] + neighbours[middle]) / 2
+    : neighbours[middle];
+}
+
+// Correct missed, extra and ectopic beats. Returns the normal-to-normal (NN)
+// interval series and how many intervals of each kind were corrected.
+//  - missed beat: an interval of about twice the local median is split
+//  - extra beat: two short intervals adding up to about one are merged
+//  - ectopic beat: any other abnormal interval is dropped
+export function correctIntervals(intervals) {
+  const corrected = [];
+  const corrections = { missed: 0, extra: 0, ectopic: 0 };
+  const near = (value, target) => Math.abs(value - target) <= INTERVAL_TOLERANCE * target;
+
+  for (let i = 0; i < intervals.length; i++) {
+    const interval = intervals[i];
+    const reference = localMedian(intervals, i);
+
+    if (near(interval, reference)) {
+      corrected.push(interval);
+      continue;
+    }
+
+    // Two or three beats merged into one interval
+    const missedBeats = Math.round(interval / reference) - 1;
+    if (missedBeats >= 1 && missedBeats <= 2 && near(interval, reference * (missedBeats + 1))) {
+      for (let k = 0; k <= missedBeats; k++) {
+        corrected.push(interval / (missedBeats + 1));
+      }
+      corrections.missed += missedBeats;
+      continue;
+    }
+
+    // A spurious beat split one interval in two
+    if (i + 1 < intervals.length && near(interval + intervals[i + 1], reference)) {
+      corrected.push(interval + intervals[i + 1]);
+      corrections.extra++;
+      i++;
+      continue;
+    }
+
+    corrections.ectopic++;
+  }
+
+  return { intervals: corrected, corrections };
+}
+
+// Poincaré plot of each NN interval against the next: SD1 is the spread
+// across the identity line (beat-to-beat variation), SD2 along it
+// (longer-term variation)
+function poincare(intervals) {
+  const across = [];
+  const along = [];
+  for (let i = 1; i < intervals.length; i++) {
+    across.push((intervals[i] - intervals[i - 1]) / Math.SQRT2);
+    along.push((intervals[i] + intervals[i - 1]) / Math.SQRT2);
+  }
+
+  const sd = (values) => {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length);
+  };
+
+  const sd1 = sd(across);
+  const sd2 = sd(along);
+  return { sd1: sd1 * 1000, sd2: sd2 * 1000, ratio: sd1 > 0 ? sd2 / sd1 : null };
+}
+
+// HRV metrics from raw inter-beat intervals (seconds). Returns null when
+// fewer than MIN_HRV_INTERVALS intervals survive correction.
+export function calculateHRV(intervals) {
+  if (!intervals || intervals.length === 0) return null;
+
+  const { intervals: nn, corrections } = correctIntervals(intervals);
+  if (nn.length < MIN_HRV_INTERVALS) return null;
+
+  const meanNN = nn.reduce((sum, v) => sum + v, 0) / nn.length;
+  const sdnn = Math.sqrt(nn.reduce((sum, v) => sum + (v - meanNN) * (v - meanNN), 0) / (nn.length - 1));
+
+  let squaredDifferences = 0;
+  let nn50 = 0;
+  for (let i = 1; i < nn.length; i++) {
+    const difference = nn[i] - nn[i - 1];
+    squaredDifferences += difference * difference;
+    if (Math.abs(difference) > NN50_THRESHOLD) nn50++;
+  }
+
+  return {
+    meanNN: meanNN * 1000,
+    meanHeartRate: 60 / meanNN,
+    sdnn: sdnn * 1000,
+    rmssd: Math.sqrt(squaredDifferences / (nn.length - 1)) * 1000,
+    pnn50: (nn50 / (nn.length - 1)) * 100,
+    poincare: poincare(nn),
+    intervalCount: nn.length,
+    corrections
+  };
+}
@@ -0,0 +1,233 @@
+// CSV and JSON export of measurements for offline analysis.
+//
+// A session export holds one scan: its measurement record (results,
+// inputs, provenance), the per-frame RGB samples and accelerometer samples,
+// the filtered signal of the last analysis window and the detected beats.
+// Its JSON has the recorded-session layout ({ samples, motion, metadata })
+// and its CSV keeps the samples under a timestamp,r,g,b header with the
+// metadata as comment lines, so both replay with SessionReplay.js for the
+// same child age and temperature. A history export holds all measurement
+// records of one child. The FHIR format holds the results only, as an HL7
+// FHIR R4 Bundle (FHIRExport.js). Exports are built as { filename,
+// mimeType, content } and written and shared by ExportSharing.js.
+
+import { createFHIRBundle, FHIR_MIME_TYPE } from './FHIRExport.js';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  FHIR: 'fhir',
+};
+
+// Version of the export layout, bumped when it changes
+export const EXPORT_VERSION = 1;
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv',
+  [EXPORT_FORMATS.JSON]: 'application/json',
+  [EXPORT_FORMATS.FHIR]: FHIR_MIME_TYPE,
+};
+
+const FILE_EXTENSIONS = {
+  [EXPORT_FORMATS.CSV]: 'csv',
+  [EXPORT_FORMATS.JSON]: 'json',
+  [EXPORT_FORMATS.FHIR]: 'fhir.json',
+};
+
+// Number with at most the given decimals, or '' when missing
+function formatNumber(value, decimals = 3) {
+  if (!Number.isFinite(value)) return '';
+  const factor = Math.pow(10, decimals);
+  return String(Math.round(value * factor) / factor);
+}
+
+// CSV field, quoted when it contains a separator, quote or line break
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = (values) => values.map(csvField).join(',');
+
+// Columns describing a measurement record: [name, record => value]
+const RECORD_COLUMNS = [
+  ['id', r => r.id],
+  ['time', r => new Date(r.timestamp).toISOString()],
+  ['source', r => r.source],
+  ['age_years', r => formatNumber(r.input.childAge.value, 2)],
+  ['sex', r => r.input.sex],
+  ['height_cm', r => formatNumber(r.input.height.value, 1)],
+  ['temperature_c', r => formatNumber(r.input.temperature.value, 1)],
+  ['heart_rate_bpm', r => formatNumber(r.metrics.heartRate.value, 1)],
+  ['heart_rate_confidence', r => formatNumber(r.metrics.heartRate.confidence)],
+  ['heart_rate_flag', r => r.metrics.heartRate.flag],
+  ['systolic_mmhg', r => formatNumber(r.metrics.bloodPressure.systolic, 1)],
+  ['diastolic_mmhg', r => formatNumber(r.metrics.bloodPressure.diastolic, 1)],
+  ['blood_pressure_category', r => r.metrics.bloodPressure.flag],
+  ['blood_pressure_calibrated', r => r.metrics.bloodPressure.calibrated],
+  ['spo2_percent', r => formatNumber(r.metrics.spo2.value, 1)],
+  ['spo2_confidence', r => formatNumber(r.metrics.spo2.confidence)],
+  ['respiratory_rate_per_min', r => formatNumber(r.metrics.respiratoryRate.value, 1)],
+  ['respiratory_rate_confidence', r => formatNumber(r.metrics.respiratoryRate.confidence)],
+  ['respiratory_rate_flag', r => r.metrics.respiratoryRate.flag],
+  ['hrv_sdnn_ms', r => formatNumber(r.metrics.hrv.sdnn, 1)],
+  ['hrv_rmssd_ms', r => formatNumber(r.metrics.hrv.rmssd, 1)],
+  ['hrv_pnn50_percent', r => formatNumber(r.metrics.hrv.pnn50, 1)],
+  ['beat_count', r => r.metrics.hrv.beatCount],
+  ['signal_quality', r => r.signal.quality],
+  ['signal_confidence', r => formatNumber(r.signal.confidence)],
+  ['perfusion_index_percent', r => formatNumber(r.signal.perfusionIndex)],
+  ['frame_rate_fps', r => formatNumber(r.signal.frameRate.value, 1)],
+  ['algorithm', r => r.algorithm.name],
+  ['algorithm_version', r => r.algorithm.version],
+  ['platform', r => r.device?.platform],
+  ['os_version', r => r.device?.osVersion],
+  ['device_model', r => r.device?.model],
+  ['app_version', r => r.device?.appVersion],
+  ['record_version', r => r.schemaVersion],
+];
+
+// Child details included in exports
+function describeChild(profile) {
+  if (!profile) return null;
+  const { id, name, birthDate, sex, height, weight } = profile;
+  return { id, name, birthDate, sex, height, weight };
+}
+
+// File name part from a child's name, e.g. "Emma Rose" -> "emma-rose"
+function slugify(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug || 'child';
+}
+
+// File name such as pulsekids-session-emma-20261019-1430.csv (local time)
+export function createExportFilename(kind, profile, format, timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}`;
+  return `pulsekids-${kind}-${slugify(profile?.name)}-${stamp}.${FILE_EXTENSIONS[format]}`;
+}
+
+function checkFormat(format) {
+  if (!MIME_TYPES[format]) {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+// Session export data: the recorded-session layout plus the results.
+// recording: from PPGPipeline.getRecording(); record: the scan's
+// measurement record; profile: the child (optional)
+export function buildSessionExport({ record, recording, profile = null }, exportedAt = Date.now()) {
+  if (!record || !recording) {
+    throw new Error('A session export needs a measurement record and its recording');
+  }
+
+  return {
+    format: 'pulsekids-session',
+    version: EXPORT_VERSION,
+    exportedAt: new Date(exportedAt).toISOString(),
+    // childAge and temperature are the replay defaults (SessionReplay.js)
+    metadata: {
+      childAge: record.input.childAge.value,
+      temperature: record.input.temperature.value,
+      child: describeChild(profile)
+    },
+    record,
+    samples: recording.samples,
+    motion: recording.motion,
+    filteredSignal: recording.filteredSignal,
+    beats: recording.beats
+  };
+}
+
+// Session CSV: replay inputs (childAge, temperature as in the JSON
+// metadata), then metadata and results as "# name: value" comment lines, then
+// one row per data point. kind is sample (timestamp, r, g, b), motion
+// (timestamp, x, y, z in g), filtered (timestamp or sample index, value) or
+// beat (timestamp, value = pulse amplitude).
+function sessionToCSV(session) {
+  const { record, metadata } = session;
+  const lines = [
+    `# PulseKids session export (version ${session.version})`,
+    `# childAge: ${metadata.childAge ?? ''}`,
+    `# temperature: ${metadata.temperature ?? ''}`,
+    `# exported_at: ${session.exportedAt}`,
+    `# child: ${metadata.child ? metadata.child.name : ''}`,
+    ...RECORD_COLUMNS.map(([name, get]) => `# ${name}: ${get(record) ?? ''}`),
+    csvRow(['kind', 'timestamp', 'r', 'g', 'b', 'x', 'y', 'z', 'value'])
+  ];
+
+  for (const sample of session.samples) {
+    lines.push(csvRow(['sample', formatNumber(sample.timestamp, 4),
+      formatNumber(sample.r), formatNumber(sample.g), formatNumber(sample.b), '', '', '', '']));
+  }
+  for (const sample of session.motion) {
+    lines.push(csvRow(['motion', formatNumber(sample.timestamp, 4), '', '', '',
+      formatNumber(sample.x, 4), formatNumber(sample.y, 4), formatNumber(sample.z, 4), '']));
+  }
+  if (session.filteredSignal) {
+    const { timestamps, values } = session.filteredSignal;
+    values.forEach((value, i) => {
+      const time = timestamps ? formatNumber(timestamps[i], 4) : i;
+      lines.push(csvRow(['filtered', time, '', '', '', '', '', '', formatNumber(value, 5)]));
+    });
+  }
+  for (const beat of session.beats) {
+    lines.push(csvRow(['beat', formatNumber(beat.time, 4), '', '', '', '', '', '', formatNumber(beat.amplitude)]));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Export one scan as CSV, JSON or FHIR: { filename, mimeType, content }
+export function exportSession(data, format, exportedAt = Date.now()) {
+  checkFormat(format);
+  const session = buildSessionExport(data, exportedAt);
+
+  let content;
+  if (format === EXPORT_FORMATS.FHIR) {
+    content = JSON.stringify(createFHIRBundle({ profile: data.profile, records: [session.record] }, exportedAt), null, 2);
+  } else if (format === EXPORT_FORMATS.JSON) {
+    content = JSON.stringify(session, null, 2);
+  } else {
+    content = sessionToCSV(session);
+  }
+
+  return {
+    filename: createExportFilename('session', data.profile, format, exportedAt),
+    mimeType: MIME_TYPES[format],
+    content
+  };
+}
+
+// Export a child's history (measurement records, any order) as CSV (one
+// row per measurement, oldest first), JSON or FHIR: { filename, mimeType,
+// content }
+export function exportHistory({ profile, entries }, format, exportedAt = Date.now()) {
+  checkFormat(format);
+  const records = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+
+  let content;
+  if (format === EXPORT_FORMATS.FHIR) {
+    content = JSON.stringify(createFHIRBundle({ profile, records }, exportedAt), null, 2);
+  } else if (format === EXPORT_FORMATS.JSON) {
+    content = JSON.stringify({
+      format: 'pulsekids-history',
+      version: EXPORT_VERSION,
+      exportedAt: new Date(exportedAt).toISOString(),
+      child: describeChild(profile),
+      records
+    }, null, 2);
+  } else {
+    content = [
+      csvRow(RECORD_COLUMNS.map(([name]) => name)),
+      ...records.map(record => csvRow(RECORD_COLUMNS.map(([, get]) => get(record))))
+    ].join('\n') + '\n';
+  }
+
+  return {
+    filename: createExportFilename('history', profile, format, exportedAt),
+    mimeType: MIME_TYPES[format],
+    content
+  };
+}
@@ -0,0 +1,80 @@
+// History of completed scans per child profile.
+//
+// Entries are measurement records (MeasurementRecord.js) with the id of the
+// child's profile; all profiles share one list and the functions here never
+// mutate it.
+
+import { createMeasurementRecord, MEASUREMENT_SOURCES } from './MeasurementRecord.js';
+
+// Oldest entries are dropped beyond this many per profile
+export const MAX_HISTORY_PER_PROFILE = 200;
+
+// Create a history entry from a child's measurement record
+export function createHistoryEntry(profile, record) {
+  if (!profile || !profile.id) {
+    throw new Error('A history entry needs a child profile');
+  }
+  if (!record || !Number.isFinite(record.metrics?.heartRate?.value)) {
+    throw new Error('A history entry needs a heart rate');
+  }
+  return { ...record, profileId: profile.id };
+}
+
+// Convert an entry saved before measurement records to a record entry.
+// Its profile (if it still exists) supplies sex and height.
+export function upgradeLegacyHistoryEntry(entry, profile = null) {
+  const bloodPressure = entry.bloodPressure || {};
+  const result = {
+    heartRate: entry.heartRate,
+    heartRateFlag: entry.heartRateFlag,
+    bloodPressure: { ...bloodPressure, calibrated: !!bloodPressure.calibrated },
+    spo2: entry.spo2,
+    confidence: entry.confidence,
+    quality: entry.quality,
+    temperature: entry.temperature,
+    childAge: entry.ageYears,
+    algorithm: entry.algorithm
+  };
+  const stats = {
+    hrv: entry.hrv,
+    respiration: { respiratoryRate: entry.respiratoryRate }
+  };
+  const record = createMeasurementRecord({
+    result,
+    stats,
+    child: { sex: profile?.sex, height: profile?.height },
+    source: MEASUREMENT_SOURCES.CAMERA,
+    timestamp: entry.timestamp,
+    id: entry.id
+  });
+  return { ...record, profileId: entry.profileId };
+}
+
+// Entries of one profile, newest first
+export function getProfileHistory(history, profileId) {
+  return history
+    .filter(entry => entry.profileId === profileId)
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// Add an entry, keeping at most MAX_HISTORY_PER_PROFILE for its profile
+export function addHistoryEntry(history, entry) {
+  const profileEntries = getProfileHistory(history, entry.profileId);
+  const dropped = new Set(
+    profileEntries.slice(MAX_HISTORY_PER_PROFILE - 1).map(old => old.id)
+  );
+  return [...history.filter(old => !dropped.has(old.id)), entry];
+}
+
+// Replace the entry of a record by its id (e.g. once the record's blood
+// pressure is calibrated); entries of other records are kept as they are
+export function updateHistoryEntry(history, record) {
+  return history.map(entry => (
+    entry.id === record.id ? { ...record, profileId: entry.profileId } : entry
+  ));
+}
+
+// Remove all entries of a profile
+export function removeProfileHistory(history, profileId) {
+  return history.filter(entry => entry.profileId !== profileId);
+}
@@ -0,0 +1,118 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { LOW_CONFIDENCE_THRESHOLD } from './MeasurementTrends';
+
+// Recent scans of the active child (measurement records), newest first.
+// onViewTrends adds a button to the trend charts; inset={false} drops the
+// side margins.
+export const MeasurementHistoryCard = ({ entries, maxEntries = 10, onViewTrends, inset = true }) => {
+  const cardStyle = [styles.card, inset && styles.cardInset];
+
+  if (!entries || entries.length === 0) {
+    return (
+      <View style={cardStyle}>
+        <Text style={styles.title}>📒 Past Heart Checks</Text>
+        <Text style={styles.empty}>Completed heart checks will be saved here</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={cardStyle}>
+      <Text style={styles.title}>📒 Past Heart Checks</Text>
+      {entries.slice(0, maxEntries).map(({ id, timestamp, signal, metrics }) => (
+        <View key={id} style={[styles.row, signal.confidence < LOW_CONFIDENCE_THRESHOLD && styles.rowUncertain]}>
+          <Text style={styles.date}>{formatTimestamp(timestamp)}</Text>
+          <Text style={styles.value}>❤️ {metrics.heartRate.value}</Text>
+          <Text style={styles.value}>
+            💙 {metrics.bloodPressure.systolic || '--'}/{metrics.bloodPressure.diastolic || '--'}
+          </Text>
+          <Text style={styles.confidence}>{Math.round((signal.confidence || 0) * 100)}%</Text>
+        </View>
+      ))}
+      {entries.length > maxEntries && (
+        <Text style={styles.empty}>+ {entries.length - maxEntries} earlier</Text>
+      )}
+      {onViewTrends && (
+        <TouchableOpacity style={styles.trendsButton} onPress={onViewTrends} activeOpacity={0.8}>
+          <Text style={styles.trendsButtonText}>📈 View Trends</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  const time = `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return `${date.getDate()}/${date.getMonth() + 1} ${time}`;
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: 25,
+    padding: 22,
+    marginBottom: 25,
+    borderWidth: 2,
+    borderColor: 'rgba(255,255,255,0.3)',
+  },
+  cardInset: {
+    marginHorizontal: 20,
+  },
+  title: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255,255,255,0.2)',
+  },
+  rowUncertain: {
+    opacity: 0.5,
+  },
+  date: {
+    color: 'rgba(255,255,255,0.85)',
+    fontSize: 13,
+    flex: 1.3,
+  },
+  value: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: '600',
+    flex: 1,
+  },
+  confidence: {
+    color: '#FFD700',
+    fontSize: 13,
+    fontWeight: 'bold',
+    textAlign: 'right',
+    flex: 0.6,
+  },
+  empty: {
+    color: 'rgba(255,255,255,0.85)',
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  trendsButton: {
+    backgroundColor: 'rgba(255,255,255,0.3)',
+    alignSelf: 'center',
+    paddingHorizontal: 18,
+    paddingVertical: 10,
+    borderRadius: 18,
+    marginTop: 14,
+  },
+  trendsButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, SafeAreaView, ScrollView, View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { getProfileHistory } from './MeasurementHistory';
+import { buildTrendSeries, TREND_METRICS, TREND_PERIODS } from './MeasurementTrends';
+import { TrendChart } from './TrendChart';
+import { MeasurementHistoryCard } from './MeasurementHistoryCard';
+
+// Full-screen history of one child: heart rate and blood pressure trends
+// over a selectable period, followed by the list of past scans. onExport is
+// called with the shown child's profile id.
+export const MeasurementHistoryScreen = ({ isVisible, profiles, history, initialProfileId, onExport, onClose }) => {
+  const [profileId, setProfileId] = useState(initialProfileId);
+  const [periodKey, setPeriodKey] = useState(TREND_PERIODS[1].key);
+
+  // Open on the child selected in the app
+  useEffect(() => {
+    if (isVisible) setProfileId(initialProfileId);
+  }, [isVisible, initialProfileId]);
+
+  const entries = getProfileHistory(history, profileId);
+  const period = TREND_PERIODS.find(option => option.key === periodKey);
+  const now = Date.now();
+  const heartRateSeries = buildTrendSeries(entries, TREND_METRICS.HEART_RATE, { days: period.days, now });
+  const bloodPressureSeries = buildTrendSeries(entries, TREND_METRICS.BLOOD_PRESSURE, { days: period.days, now });
+
+  return (
+    <Modal visible={isVisible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>📈 Heart Check History</Text>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeButtonText}>✖️ Close</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          {profiles.length > 1 && (
+            <View style={styles.chips}>
+              {profiles.map(profile => (
+                <TouchableOpacity
+                  key={profile.id}
+                  style={[styles.chip, profile.id === profileId && styles.chipActive]}
+                  onPress={() => setProfileId(profile.id)}
+                >
+                  <Text style={styles.chipText}>{profile.name}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          <View style={styles.chips}>
+            {TREND_PERIODS.map(option => (
+              <TouchableOpacity
+                key={option.key}
+                style={[styles.chip, option.key === periodKey && styles.chipActive]}
+                onPress={() => setPeriodKey(option.key)}
+              >
+                <Text style={styles.chipText}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TrendChart
+            series={heartRateSeries}
+            title="❤️ Heart Rate"
+            unit="BPM"
+            valueLabels={['heart rate']}
+          />
+          <TrendChart
+            series={bloodPressureSeries}
+            title="💙 Blood Pressure"
+            unit="mmHg"
+            valueLabels={['systolic', 'diastolic']}
+          />
+          <Text style={styles.note}>
+            Hollow dots are uncertain readings (low measurement quality). Look at the trend over
+            several checks rather than a single reading, and talk to your doctor about changes.
+          </Text>
+
+          <MeasurementHistoryCard entries={entries} maxEntries={50} inset={false} />
+
+          {onExport && entries.length > 0 && (
+            <TouchableOpacity style={styles.exportButton} onPress={() => onExport(profileId)} activeOpacity={0.8}>
+              <Text style={styles.closeButtonText}>📤 Export History</Text>
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FF69B4',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+  },
+  title: {
+    color: 'white',
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    backgroundColor: 'rgba(255,255,255,0.3)',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 18,
+  },
+  closeButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingBottom: 50,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 14,
+  },
+  chip: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 18,
+    margin: 4,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  chipActive: {
+    backgroundColor: 'rgba(255,20,147,0.6)',
+    borderColor: 'white',
+  },
+  chipText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  exportButton: {
+    backgroundColor: 'rgba(255,255,255,0.3)',
+    alignSelf: 'center',
+    paddingHorizontal: 18,
+    paddingVertical: 10,
+    borderRadius: 18,
+  },
+  note: {
+    color: 'rgba(255,255,255,0.9)',
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+});
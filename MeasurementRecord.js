@@ -0,0 +1,171 @@
+// Versioned record of one measurement.
+//
+// A record is what a scan produces for everything downstream: the results
+// screen, the saved history and exports. It is a plain JSON object holding
+// every value with its unit, the confidence and flag of each metric, the
+// inputs the readings were interpreted with (child's age, sex, height and
+// body temperature) and where it came from (algorithm name and version,
+// device, start and end time). Bump MEASUREMENT_RECORD_VERSION when the
+// layout changes and upgrade saved records in a storage migration.
+
+import { createId } from './ChildProfiles.js';
+import { classifyBloodPressure } from './BloodPressurePercentiles.js';
+
+export const MEASUREMENT_RECORD_VERSION = 1;
+
+export const MEASUREMENT_UNITS = {
+  heartRate: 'bpm',
+  bloodPressure: 'mmHg',
+  spo2: '%',
+  respiratoryRate: 'breaths/min',
+  hrv: 'ms',
+  age: 'years',
+  height: 'cm',
+  temperature: '°C',
+  frameRate: 'fps',
+};
+
+// Where a measurement came from
+export const MEASUREMENT_SOURCES = {
+  CAMERA: 'camera',
+  DEMO: 'demo',
+  REPLAY: 'replay',
+};
+
+const quantity = (value, unit) => ({ value: Number.isFinite(value) ? value : null, unit });
+
+// Child the record was interpreted for, { age, sex, height }, as the blood
+// pressure classification (BloodPressurePercentiles.js) takes it
+export function getRecordChild({ input }) {
+  return { age: input.childAge.value, sex: input.sex, height: input.height.value };
+}
+
+// Blood pressure metric; its flag is the pediatric category
+// (BloodPressurePercentiles.js) for the child in the inputs
+function createBloodPressureMetric({ systolic, diastolic, calibrated }, confidence, input) {
+  const classification = classifyBloodPressure({ systolic, diastolic }, getRecordChild({ input }));
+  return {
+    systolic: Number.isFinite(systolic) ? systolic : null,
+    diastolic: Number.isFinite(diastolic) ? diastolic : null,
+    unit: MEASUREMENT_UNITS.bloodPressure,
+    confidence,
+    flag: classification ? classification.category : null,
+    calibrated: !!calibrated
+  };
+}
+
+// HRV metric from calculateHRV (HeartRateVariability.js); sdnn, rmssd,
+// sd1 and sd2 are in ms, pnn50 in %
+function createHRVMetric(hrv) {
+  return {
+    sdnn: hrv?.sdnn ?? null,
+    rmssd: hrv?.rmssd ?? null,
+    sd1: hrv?.poincare?.sd1 ?? null,
+    sd2: hrv?.poincare?.sd2 ?? null,
+    pnn50: hrv?.pnn50 ?? null,
+    unit: MEASUREMENT_UNITS.hrv,
+    confidence: null,
+    beatCount: hrv?.intervalCount ?? null,
+    correctedBeatCount: hrv?.corrections
+      ? hrv.corrections.missed + hrv.corrections.extra + hrv.corrections.ectopic
+      : null
+  };
+}
+
+// Create a record from a pipeline result (PPGPipeline.js) with a heart rate.
+// stats: the algorithm's session statistics (getStats) for HRV and
+// respiratory rate, null if not available
+// child: { sex, height } for the blood pressure category (age and
+// temperature come from the result)
+// algorithm: { name, version }; device: { platform, osVersion, model,
+// appVersion } or null; source: one of MEASUREMENT_SOURCES
+// startedAt / timestamp: start and end of the measurement (ms since epoch)
+export function createMeasurementRecord({
+  result,
+  stats = null,
+  child = {},
+  algorithm = {},
+  device = null,
+  source = null,
+  startedAt = null,
+  timestamp = Date.now(),
+  id = createId(timestamp)
+}) {
+  if (!result || !Number.isFinite(result.heartRate)) {
+    throw new Error('A measurement record needs a heart rate');
+  }
+
+  const input = {
+    childAge: quantity(result.childAge, MEASUREMENT_UNITS.age),
+    sex: child.sex || null,
+    height: quantity(child.height, MEASUREMENT_UNITS.height),
+    temperature: quantity(result.temperature, MEASUREMENT_UNITS.temperature)
+  };
+  const spo2 = result.spo2 || {};
+  const respiration = stats?.respiration || {};
+
+  // Blood pressure is estimated from the same window as the heart rate and
+  // carries its confidence
+  return {
+    schemaVersion: MEASUREMENT_RECORD_VERSION,
+    id,
+    source,
+    startedAt,
+    timestamp,
+    algorithm: {
+      name: algorithm.name ?? result.algorithm ?? null,
+      version: algorithm.version ?? null
+    },
+    device,
+    input,
+    signal: {
+      quality: result.quality,
+      confidence: result.confidence,
+      frameRate: quantity(result.frameRate, MEASUREMENT_UNITS.frameRate),
+      motionDetected: !!result.motionDetected,
+      artifactFraction: result.artifactFraction ?? null,
+      perfusionIndex: result.perfusionIndex ?? null,
+      activeChannel: result.activeChannel ?? null
+    },
+    metrics: {
+      heartRate: {
+        value: result.heartRate,
+        unit: MEASUREMENT_UNITS.heartRate,
+        confidence: result.confidence,
+        flag: result.heartRateFlag ?? null
+      },
+      bloodPressure: createBloodPressureMetric(result.bloodPressure || {}, result.confidence, input),
+      spo2: {
+        value: spo2.spo2 ?? null,
+        unit: MEASUREMENT_UNITS.spo2,
+        confidence: spo2.confidence ?? null,
+        reason: spo2.reason ?? null,
+        experimental: true
+      },
+      respiratoryRate: {
+        value: respiration.respiratoryRate ?? null,
+        unit: MEASUREMENT_UNITS.respiratoryRate,
+        confidence: respiration.confidence ?? null,
+        flag: respiration.respiratoryRateFlag ?? null
+      },
+      hrv: createHRVMetric(stats?.hrv)
+    }
+  };
+}
+
+// Copy of a record with a new blood pressure reading ({ systolic,
+// diastolic, calibrated }), e.g. once a cuff calibration is applied
+export function updateRecordBloodPressure(record, bloodPressure) {
+  const current = record.metrics.bloodPressure;
+  return {
+    ...record,
+    metrics: {
+      ...record.metrics,
+      bloodPressure: createBloodPressureMetric(
+        { calibrated: current.calibrated, ...bloodPressure },
+        current.confidence,
+        record.input
+      )
+    }
+  };
+}
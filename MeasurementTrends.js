@@ -0,0 +1,157 @@
+// Trend series of a child's past measurements for the history charts.
+//
+// A series holds the readings of one metric in a time period, the healthy
+// bands for the child at each reading (a band changes when the child moves
+// into the next age bucket or, for blood pressure, grows) and the value and
+// time scales to draw them.
+
+import { getHeartRateRange, getBloodPressureRange } from './ReferenceRanges.js';
+import { getBloodPressureCutoffs } from './BloodPressurePercentiles.js';
+import { getRecordChild } from './MeasurementRecord.js';
+
+export const TREND_METRICS = {
+  HEART_RATE: 'heartRate',
+  BLOOD_PRESSURE: 'bloodPressure',
+};
+
+export const TREND_PERIODS = [
+  { key: 'week', label: '7 days', days: 7 },
+  { key: 'month', label: '30 days', days: 30 },
+  { key: 'all', label: 'All', days: null },
+];
+
+// Readings below this confidence are drawn as uncertain
+export const LOW_CONFIDENCE_THRESHOLD = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Values of a measurement record: [heart rate] or [systolic, diastolic]
+function getValues(entry, metric) {
+  if (metric === TREND_METRICS.HEART_RATE) {
+    const { value } = entry.metrics.heartRate;
+    return Number.isFinite(value) ? [value] : null;
+  }
+  const { systolic, diastolic } = entry.metrics.bloodPressure;
+  return Number.isFinite(systolic) && Number.isFinite(diastolic) ? [systolic, diastolic] : null;
+}
+
+// Healthy ranges for a record's child ({ age, sex, height }), in the same
+// order as the values. Blood pressure is healthy below the elevated cut-off
+// the results card classifies by (BloodPressurePercentiles.js); its lower
+// end, and the whole range under the percentile ages, is the age range.
+function getRanges(child, metric) {
+  if (metric === TREND_METRICS.HEART_RATE) return [getHeartRateRange(child.age)];
+  const { systolic, diastolic } = getBloodPressureRange(child.age);
+  const cutoffs = getBloodPressureCutoffs(child);
+  if (!cutoffs) return [systolic, diastolic];
+  return [
+    { min: systolic.min, max: cutoffs.systolic.elevated - 1 },
+    { min: diastolic.min, max: cutoffs.diastolic.elevated - 1 }
+  ];
+}
+
+const sameRanges = (a, b) => a.every((range, i) => range.min === b[i].min && range.max === b[i].max);
+
+// Consecutive readings with the same healthy ranges share a band; a band
+// runs from its first reading to the first reading of the next band, and
+// the bands together cover the whole period
+function buildBands(points, metric, start, end) {
+  const bands = [];
+  for (const point of points) {
+    if (point.ageYears === null || point.ageYears === undefined) continue;
+
+    const ranges = getRanges(point.child, metric);
+    const last = bands[bands.length - 1];
+    if (last && sameRanges(last.ranges, ranges)) continue;
+    if (last) last.end = point.timestamp;
+    bands.push({
+      ageYears: point.ageYears,
+      start: bands.length ? point.timestamp : start,
+      end,
+      ranges
+    });
+  }
+  return bands;
+}
+
+// Value axis covering readings and bands, rounded out to multiples of 10
+function buildValueScale(points, bands) {
+  const values = [
+    ...points.flatMap(point => point.values),
+    ...bands.flatMap(band => band.ranges.flatMap(range => [range.min, range.max]))
+  ];
+  if (values.length === 0) return { min: 0, max: 100 };
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const padding = Math.max(5, (max - min) * 0.1);
+  return {
+    min: Math.max(0, Math.floor((min - padding) / 10) * 10),
+    max: Math.ceil((max + padding) / 10) * 10
+  };
+}
+
+// Build the trend series of one metric from a profile's history entries
+// (measurement records).
+// options.days limits it to the last days before options.now (null: all).
+export function buildTrendSeries(entries, metric, options = {}) {
+  if (!Object.values(TREND_METRICS).includes(metric)) {
+    throw new Error(`Unknown trend metric "${metric}"`);
+  }
+  const { days = null, now = Date.now() } = options;
+  const from = days ? now - days * DAY_MS : -Infinity;
+
+  const points = entries
+    .filter(entry => entry.timestamp >= from && entry.timestamp <= now)
+    .map(entry => ({ entry, values: getValues(entry, metric) }))
+    .filter(({ values }) => values)
+    .sort((a, b) => a.entry.timestamp - b.entry.timestamp)
+    .map(({ entry, values }) => {
+      const { confidence } = entry.metrics[metric];
+      return {
+        id: entry.id,
+        timestamp: entry.timestamp,
+        values,
+        ageYears: entry.input.childAge.value,
+        child: getRecordChild(entry),
+        confidence,
+        lowConfidence: !(confidence >= LOW_CONFIDENCE_THRESHOLD)
+      };
+    });
+
+  // A fixed period ends now; "all" spans the readings
+  const start = days ? from : (points.length ? points[0].timestamp : now);
+  const end = days ? now : (points.length ? points[points.length - 1].timestamp : now);
+  const bands = buildBands(points, metric, start, end);
+
+  return { metric, start, end, points, bands, scale: buildValueScale(points, bands) };
+}
+
+// Position of a time on the chart's x axis (0-1)
+export function getTimePosition(timestamp, series) {
+  if (series.end <= series.start) return 0.5;
+  return Math.min(1, Math.max(0, (timestamp - series.start) / (series.end - series.start)));
+}
+
+// Position of a value on the chart's y axis (0 at the bottom, 1 at the top)
+export function getValuePosition(value, series) {
+  const { min, max } = series.scale;
+  return Math.min(1, Math.max(0, (value - min) / (max - min)));
+}
+
+// Count and average of the readings; averages leave out low-confidence ones
+export function summarizeTrend(series) {
+  const confident = series.points.filter(point => !point.lowConfidence);
+  const valueCount = series.points[0]?.values.length || 0;
+  const averages = Array.from({ length: valueCount }, (_, i) => (
+    confident.length
+      ? Math.round(confident.reduce((sum, point) => sum + point.values[i], 0) / confident.length)
+      : null
+  ));
+
+  return {
+    count: series.points.length,
+    lowConfidenceCount: series.points.length - confident.length,
+    averages
+  };
+}
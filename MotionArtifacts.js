@@ -0,0 +1,163 @@
+// Motion artifact detection for the PPG buffer.
+//
+// A moving finger changes how much light reaches the camera, so it shows up
+// as a sudden level shift in all three color channels at once (the pulse
+// itself barely touches red and blue). Pressing too hard or lifting the
+// finger saturates or darkens the image, and when the accelerometer is
+// available its spikes catch movement before the image shows it.
+//
+// Detection returns time segments (seconds, same clock as the samples)
+// padded on both sides, since the filters smear a shift over neighbouring
+// samples.
+
+import { median } from './PulseMorphology.js';
+import { CLIPPING_LEVEL } from './FrameAcquisition.js';
+
+// A channel step counts as a shift above this many robust standard
+// deviations of the sample-to-sample changes...
+const SHIFT_SIGMA = 8;
+// ...and above this fraction of the channel level
+const MIN_RELATIVE_SHIFT = 0.01;
+
+// Green (the PPG channel) at or above this level is clipped; all channels
+// below the dark level means the light path is blocked
+const SATURATION_LEVEL = CLIPPING_LEVEL / 255;
+const DARK_LEVEL = 0.02;
+
+// Deviation of the acceleration magnitude from its median (g)
+const ACCELERATION_THRESHOLD = 0.08;
+
+// Seconds added before and after each detection
+const SEGMENT_PADDING = 0.5;
+
+// Times of sudden level shifts present in all three channels
+function findLevelShifts(samples) {
+  const channels = ['r', 'g', 'b'];
+  const thresholds = channels.map(channel => {
+    const steps = [];
+    let level = 0;
+    for (let i = 1; i < samples.length; i++) {
+      steps.push(Math.abs(samples[i][channel] - samples[i - 1][channel]));
+      level += samples[i][channel];
+    }
+    level /= Math.max(1, samples.length - 1);
+    // 1.4826 * MAD estimates the standard deviation for normal noise
+    const sigma = 1.4826 * (median(steps) ?? 0);
+    return Math.max(SHIFT_SIGMA * sigma, MIN_RELATIVE_SHIFT * level);
+  });
+
+  const times = [];
+  for (let i = 1; i < samples.length; i++) {
+    const shifted = channels.every((channel, c) => (
+      Math.abs(samples[i][channel] - samples[i - 1][channel]) > thresholds[c]
+    ));
+    if (shifted) times.push(samples[i].timestamp);
+  }
+  return times;
+}
+
+// Times where the image is clipped or dark
+function findSaturation(samples) {
+  return samples
+    .filter(sample => sample.g >= SATURATION_LEVEL ||
+      (sample.r <= DARK_LEVEL && sample.g <= DARK_LEVEL && sample.b <= DARK_LEVEL))
+    .map(sample => sample.timestamp);
+}
+
+// Times of accelerometer spikes ({ timestamp, x, y, z } in g)
+function findAccelerationSpikes(motionSamples) {
+  if (motionSamples.length < 3) return [];
+
+  const magnitudes = motionSamples.map(({ x, y, z }) => Math.sqrt(x * x + y * y + z * z));
+  const rest = median(magnitudes);
+  return motionSamples
+    .filter((_, i) => Math.abs(magnitudes[i] - rest) > ACCELERATION_THRESHOLD)
+    .map(sample => sample.timestamp);
+}
+
+// Turn detection times into padded, merged segments
+function toSegments(detections) {
+  const sorted = [...detections].sort((a, b) => a.time - b.time);
+  const segments = [];
+
+  for (const { time, reason } of sorted) {
+    const start = time - SEGMENT_PADDING;
+    const end = time + SEGMENT_PADDING;
+    const last = segments[segments.length - 1];
+
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+      if (!last.reasons.includes(reason)) last.reasons.push(reason);
+    } else {
+      segments.push({ start, end, reasons: [reason] });
+    }
+  }
+
+  return segments;
+}
+
+// Detect corrupted segments in buffer samples ({ timestamp, r, g, b } with
+// channels in 0-1) and optional accelerometer samples on the same clock.
+// Returns [{ start, end, reasons }] with reasons among 'level_shift',
+// 'saturation' and 'acceleration'.
+export function detectMotionArtifacts(samples, motionSamples = []) {
+  if (!samples || samples.length < 3) return [];
+
+  const detections = [
+    ...findLevelShifts(samples).map(time => ({ time, reason: 'level_shift' })),
+    ...findSaturation(samples).map(time => ({ time, reason: 'saturation' })),
+    ...findAccelerationSpikes(motionSamples).map(time => ({ time, reason: 'acceleration' }))
+  ];
+
+  return toSegments(detections);
+}
+
+// The segment containing a time, or null
+export function findSegment(time, segments) {
+  return segments.find(segment => time >= segment.start && time <= segment.end) || null;
+}
+
+// Per-sample flags: true where a timestamp falls inside a segment
+export function buildArtifactMask(timestamps, segments) {
+  return timestamps.map(time => findSegment(time, segments) !== null);
+}
+
+// Replace masked samples by linear interpolation between the nearest clean
+// samples, so a shift does not ring through the filters
+export function repairMaskedSamples(values, mask) {
+  const repaired = [...values];
+  let i = 0;
+
+  while (i < values.length) {
+    if (!mask[i]) {
+      i++;
+      continue;
+    }
+
+    let end = i;
+    while (end < values.length && mask[end]) end++;
+
+    const before = i > 0 ? values[i - 1] : null;
+    const after = end < values.length ? values[end] : null;
+    for (let k = i; k < end; k++) {
+      if (before !== null && after !== null) {
+        repaired[k] = before + (after - before) * (k - i + 1) / (end - i + 1);
+      } else {
+        repaired[k] = before !== null ? before : after;
+      }
+    }
+
+    i = end;
+  }
+
+  return repaired;
+}
+
+// Whether any masked sample lies in mask[start..end]
+export function hasMaskedSample(mask, start, end) {
+  if (!mask) return false;
+  for (let i = Math.max(0, start); i <= Math.min(mask.length - 1, end); i++) {
+    if (mask[i]) return true;
+  }
+  return false;
+}
@@ -1,9 +1,21 @@
+import { designBandpass, filtfilt } from './FilterDesign.js';
+import { estimateSpectralHeartRate, fuseHeartRateEstimates } from './SpectralAnalysis.js';
+import { isRGBSample } from './FrameAcquisition.js';
+import { getHeartRateSearchBand } from './ReferenceRanges.js';
+
+// Version of the processing, recorded with every measurement. Bump it when
+// a change gives different results for the same input.
+export const ADVANCED_PPG_VERSION = '1.1.0';
+
 export class AdvancedPPGProcessor {
-  constructor() {
+  // options.signalGenerator: SyntheticPPGGenerator to read frames from in
+  // demo mode
+  constructor(options = {}) {
+    this.version = ADVANCED_PPG_VERSION;
     this.sampleRate = 30;
     this.bufferSize = 900; // 30 seconds at 30fps
-    this.minHeartRate = 50;
-    this.maxHeartRate = 180;
+    this.childAge = 5;
+    this.minSamples = 90; // 3 seconds minimum
     
     this.redBuffer = [];
     this.greenBuffer = [];
@@ -13,66 +25,79 @@ export class AdvancedPPGProcessor {
     this.bpHistory = [];
     
     this.measurementStartTime = null;
+    this.signalGenerator = options.signalGenerator || null;
   }
 
-  async processFrame(imageUri, timestamp) {
-    try {
-      // Extract RGB values from camera frame
-      const rgbValues = await this.extractRGBFromImage(imageUri);
-      
-      if (!rgbValues) return null;
-      
-      this.addToBuffer(rgbValues, timestamp);
-      
-      if (this.redBuffer.length >= 90) { // 3 seconds minimum
-        return this.calculateVitalSigns();
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('Frame processing error:', error);
-      return null;
+  // Pipeline stages (see PPGPipeline.js): acquire -> detect -> extract ->
+  // filter -> estimate -> assess
+
+  // Acquire a frame: mean RGB samples ({ timestamp in seconds, r, g, b in
+  // 0-255 }) pass straight through; other frames are read from the signal
+  // generator (demo mode). Returns { sample } or null.
+  async acquire(frame) {
+    if (isRGBSample(frame)) {
+      return { sample: frame };
     }
+
+    const rgbValues = await this.extractRGBFromImage(frame);
+    if (!rgbValues) return null;
+
+    return {
+      sample: {
+        timestamp: rgbValues.timestamp / 1000,
+        r: rgbValues.red,
+        g: rgbValues.green,
+        b: rgbValues.blue
+      }
+    };
   }
 
+  setChildAge(age) {
+    this.childAge = age;
+  }
+
+  // Physiologically possible heart rates for the child's age (BPM); infants
+  // reach rates far above those of older children
+  getHeartRateSearchBand() {
+    return getHeartRateSearchBand(this.childAge);
+  }
+
+  // This algorithm has no finger detection: the finger is assumed to cover
+  // the lens
+  detect() {
+    return { fingerDetected: true };
+  }
+
+  // Add the frame's mean RGB to the buffers
+  extract(input) {
+    const { sample } = input;
+    this.addToBuffer({ red: sample.r, green: sample.g, blue: sample.b }, sample.timestamp);
+    return true;
+  }
+
+  // Fraction (0-1) of the minimum data collected so far
+  getCollectingProgress() {
+    return Math.min(1, this.redBuffer.length / this.minSamples);
+  }
+
+  // Reads frames from the configured signal generator (demo mode). Camera
+  // stills are decoded by RealPPGProcessor; without a generator there is no
+  // image data to read here.
   async extractRGBFromImage(imageUri) {
-    // In React Native, we need to use a native module or Canvas API
-    // For now, implementing a simulation that mimics real PPG signal
-    
+    if (!this.signalGenerator) return null;
+
     const timestamp = Date.now();
     if (!this.measurementStartTime) {
       this.measurementStartTime = timestamp;
     }
-    
+
     const elapsed = (timestamp - this.measurementStartTime) / 1000;
-    
-    // Simulate realistic PPG signal with proper cardiac characteristics
-    const baseHR = 75 + Math.sin(elapsed / 10) * 10; // 65-85 BPM variation
-    const cardiacFreq = baseHR / 60;
-    
-    // Primary cardiac signal (systolic peak)
-    const systolic = Math.sin(2 * Math.PI * cardiacFreq * elapsed);
-    
-    // Dicrotic notch (aortic valve closure)
-    const dicrotic = 0.4 * Math.sin(2 * Math.PI * cardiacFreq * elapsed + Math.PI * 0.6);
-    
-    // Respiratory modulation
-    const respiratory = 0.15 * Math.sin(2 * Math.PI * 0.3 * elapsed);
-    
-    // Vascular compliance effects
-    const compliance = 0.1 * Math.sin(2 * Math.PI * cardiacFreq * elapsed + Math.PI);
-    
-    // Combine signals
-    const ppgSignal = systolic + dicrotic + respiratory + compliance;
-    
-    // Add realistic noise
-    const noise = 0.05 * (Math.random() - 0.5);
-    
-    // Convert to RGB values (green channel most sensitive)
+    const sample = this.signalGenerator.sampleAt(elapsed);
+
     return {
-      red: 128 + 20 * ppgSignal + 8 * noise,
-      green: 128 + 35 * ppgSignal + 4 * noise,
-      blue: 128 + 15 * ppgSignal + 12 * noise,
+      red: sample.r,
+      green: sample.g,
+      blue: sample.b,
       timestamp: timestamp
     };
   }
@@ -91,38 +116,57 @@ export class AdvancedPPGProcessor {
     }
   }
 
-  calculateVitalSigns() {
-    const signal = [...this.greenBuffer];
-    
+  // Filter stage: the green channel filtered and normalized, or null until
+  // enough samples are buffered
+  filter() {
+    if (this.redBuffer.length < this.minSamples) return null;
+
     // Advanced signal processing
-    const filtered = this.advancedFilter(signal);
-    const normalized = this.normalizeSignal(filtered);
-    
-    // Calculate heart rate
-    const heartRate = this.calculateHeartRate(normalized);
-    
+    const filtered = this.advancedFilter([...this.greenBuffer]);
+    return { signal: this.normalizeSignal(filtered) };
+  }
+
+  // Estimate stage: heart rate and blood pressure from the window
+  estimate(window) {
+    const { signal } = window;
+
+    // Calculate heart rate from validated peaks and from the spectrum in parallel
+    const searchBand = this.getHeartRateSearchBand();
+    const peakHeartRate = this.calculateHeartRate(signal);
+    const spectral = estimateSpectralHeartRate(signal, this.sampleRate, {
+      minBPM: searchBand.min,
+      maxBPM: searchBand.max
+    });
+    const fused = fuseHeartRateEstimates(peakHeartRate, spectral);
+    const heartRate = fused.heartRate ? Math.round(fused.heartRate) : null;
+
     // Calculate blood pressure using pulse wave analysis
-    const bloodPressure = this.calculateBloodPressure(normalized, heartRate);
-    
-    // Calculate confidence
-    const confidence = this.calculateConfidence(normalized, heartRate);
-    
-    // Assess signal quality
-    const quality = this.assessSignalQuality(normalized, confidence);
-    
+    const bloodPressure = this.calculateBloodPressure(signal, heartRate);
+
     return {
       heartRate: heartRate,
+      heartRateAgreement: fused.agreement,
       bloodPressure: bloodPressure,
+      signalData: this.getDisplaySignal(signal)
+    };
+  }
+
+  // Assess stage: confidence, lowered when the two heart rate estimates
+  // disagree, and signal quality
+  assess(window, estimates) {
+    const confidence = this.calculateConfidence(window.signal, estimates.heartRate) *
+      (0.5 + 0.5 * estimates.heartRateAgreement);
+
+    return {
       confidence: confidence,
-      quality: quality,
-      signalData: this.getDisplaySignal(normalized),
-      isValid: heartRate >= this.minHeartRate && heartRate <= this.maxHeartRate
+      quality: this.assessSignalQuality(window.signal, confidence)
     };
   }
 
   advancedFilter(signal) {
-    // Multi-stage filtering
-    let filtered = this.butterworthFilter(signal, 0.5, 4.0);
+    // Multi-stage filtering; the passband reaches the fastest rate searched
+    const highCut = Math.max(4.0, this.getHeartRateSearchBand().max / 60 + 0.5);
+    let filtered = this.butterworthFilter(signal, 0.5, highCut);
     filtered = this.movingAverageFilter(filtered, 3);
     filtered = this.savitzkyGolayFilter(filtered);
     
@@ -130,40 +174,16 @@ export class AdvancedPPGProcessor {
   }
 
   butterworthFilter(signal, lowCut, highCut) {
-    // Simplified Butterworth implementation
-    const nyquist = this.sampleRate / 2;
-    const low = lowCut / nyquist;
-    const high = highCut / nyquist;
-    
-    // High-pass filter (remove DC component)
-    let filtered = this.highPassFilter(signal, low);
-    
-    // Low-pass filter (remove high-frequency noise)
-    filtered = this.lowPassFilter(filtered, high);
-    
-    return filtered;
-  }
-
-  highPassFilter(signal, cutoff) {
-    const alpha = cutoff / (cutoff + 1);
-    const filtered = [signal[0]];
-    
-    for (let i = 1; i < signal.length; i++) {
-      filtered[i] = alpha * (filtered[i-1] + signal[i] - signal[i-1]);
-    }
-    
-    return filtered;
-  }
-
-  lowPassFilter(signal, cutoff) {
-    const alpha = cutoff;
-    const filtered = [signal[0]];
-    
-    for (let i = 1; i < signal.length; i++) {
-      filtered[i] = alpha * signal[i] + (1 - alpha) * filtered[i-1];
-    }
+    // Zero-phase Butterworth bandpass designed for the actual sample rate
+    const sections = designBandpass({
+      type: 'butterworth',
+      order: 2,
+      lowCut,
+      highCut,
+      sampleRate: this.sampleRate
+    });
     
-    return filtered;
+    return filtfilt(sections, signal);
   }
 
   movingAverageFilter(signal, windowSize) {
@@ -236,7 +256,8 @@ export class AdvancedPPGProcessor {
     // Multi-criteria peak detection
     const peaks = [];
     const threshold = this.calculateAdaptiveThreshold(signal);
-    const minPeakDistance = Math.floor(this.sampleRate * 0.4); // 400ms minimum
+    // Closest beats at the fastest rate searched
+    const minPeakDistance = Math.floor(this.sampleRate * 0.9 * 60 / this.getHeartRateSearchBand().max);
     
     // First pass: basic peak detection
     for (let i = 1; i < signal.length - 1; i++) {
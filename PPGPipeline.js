@@ -0,0 +1,303 @@
+// Unified PPG processing pipeline.
+//
+// Every algorithm runs the same stages on each frame:
+//
+//   acquire  -> frame in; mean RGB sample (or decoded image) out
+//   detect   -> is a finger covering the lens?
+//   extract  -> add the frame's PPG sample to the algorithm's buffer
+//   filter   -> analysis window (filtered signal), null while collecting
+//   estimate -> heart rate, blood pressure, ... from the window
+//   assess   -> confidence and quality of the estimates
+//
+// An algorithm is an object implementing these stages (RealPPGProcessor
+// and AdvancedPPGProcessor both do). The pipeline drives the stages and
+// turns their output into one result schema, so algorithms can be swapped
+// through configuration and compared on the same input. Any stage can be
+// replaced through options.stages; replacements are called with the
+// algorithm as `this`. A completed scan is summarized in a versioned
+// measurement record (MeasurementRecord.js) by getMeasurementRecord(), and
+// its input and signals are kept for export by getRecording().
+
+import { RealPPGProcessor } from './RealPPGAlgorithm.js';
+import { AdvancedPPGProcessor } from './PPGAlgorithm.js';
+import { classifyHeartRate, READING_FLAGS, NORMAL_TEMPERATURE } from './ReferenceRanges.js';
+import { createMeasurementRecord } from './MeasurementRecord.js';
+import { isRGBSample } from './FrameAcquisition.js';
+import { clampTemperature } from './Temperature.js';
+
+export const PIPELINE_STAGES = ['acquire', 'detect', 'extract', 'filter', 'estimate', 'assess'];
+
+// Algorithms available by name; factories receive options.algorithmOptions
+export const PPG_ALGORITHMS = {
+  real: () => new RealPPGProcessor(),
+  advanced: (options) => new AdvancedPPGProcessor(options),
+};
+
+export const DEFAULT_ALGORITHM = 'real';
+
+// Make an algorithm available to the pipeline by name
+export function registerAlgorithm(name, factory) {
+  PPG_ALGORITHMS[name] = factory;
+}
+
+// Qualities for which no reading is reported
+const UNREADABLE_QUALITIES = ['collecting', 'motion', 'error', 'insufficient_data'];
+
+// Build a result in the pipeline schema; fields the stages do not provide
+// get their defaults and unknown fields are dropped
+export function createPipelineResult(fields = {}) {
+  const result = {
+    algorithm: null,
+    fingerDetected: false,
+    isValid: false,
+    message: null,
+    heartRate: null,
+    heartRateFlag: null,
+    bloodPressure: { systolic: null, diastolic: null, calibrated: false },
+    bloodPressureCalibration: null,
+    spo2: null,
+    confidence: 0,
+    quality: 'unknown',
+    motionDetected: false,
+    artifactFraction: 0,
+    perfusionIndex: null,
+    activeChannel: null,
+    guidance: null,
+    frameRate: null,
+    signalData: [],
+    temperature: null,
+    childAge: null
+  };
+
+  for (const key of Object.keys(result)) {
+    if (fields[key] !== undefined && fields[key] !== null) {
+      result[key] = key === 'bloodPressure' ? { ...result.bloodPressure, ...fields[key] } : fields[key];
+    }
+  }
+  return result;
+}
+
+// Whether a result carries a reading that can be shown: a finger, a heart
+// rate that is physiologically possible and a window that was analysed
+export function isValidReading(result) {
+  return result.fingerDetected &&
+    Number.isFinite(result.heartRate) &&
+    result.heartRateFlag !== READING_FLAGS.IMPLAUSIBLE &&
+    !UNREADABLE_QUALITIES.includes(result.quality);
+}
+
+export class PPGPipeline {
+  // options.algorithm: name in PPG_ALGORITHMS or an algorithm instance
+  // options.algorithmOptions: passed to the algorithm factory
+  // options.stages: { stageName: function } replacing algorithm stages
+  // options.device: device description recorded with measurements
+  constructor(options = {}) {
+    const { algorithm = DEFAULT_ALGORITHM, algorithmOptions = {}, stages = {}, device = null } = options;
+
+    if (typeof algorithm === 'string') {
+      const create = PPG_ALGORITHMS[algorithm];
+      if (!create) {
+        throw new Error(`Unknown PPG algorithm "${algorithm}"`);
+      }
+      this.algorithm = create(algorithmOptions);
+      this.algorithmName = algorithm;
+    } else {
+      this.algorithm = algorithm;
+      this.algorithmName = algorithm.constructor.name;
+    }
+
+    this.stages = {};
+    for (const stage of PIPELINE_STAGES) {
+      const implementation = stages[stage] || this.algorithm[stage];
+      if (typeof implementation !== 'function') {
+        throw new Error(`PPG algorithm "${this.algorithmName}" has no ${stage} stage`);
+      }
+      this.stages[stage] = implementation.bind(this.algorithm);
+    }
+
+    this.algorithmVersion = this.algorithm.version ?? null;
+    this.device = device;
+
+    this.childAge = 5;
+    this.temperature = null;
+    this.startedAt = null;
+    this.lastValidResult = null;
+    this.calibrationSample = null;
+    this.resetRecording();
+  }
+
+  // Run one frame through the stages; returns a result in the pipeline
+  // schema, or null when the frame was skipped
+  async processFrame(frame, timestamp) {
+    if (this.startedAt === null) this.startedAt = Date.now();
+    if (isRGBSample(frame)) this.recording.samples.push({ ...frame });
+    try {
+      const input = await this.stages.acquire(frame, timestamp);
+      if (!input) return null;
+
+      const detection = this.stages.detect(input);
+      if (!detection || !detection.fingerDetected) {
+        return this.buildResult({
+          fingerDetected: false,
+          message: 'Please place your finger properly on the camera',
+          quality: 'poor'
+        });
+      }
+
+      if (!this.stages.extract(input, detection)) return null;
+
+      const live = this.callAlgorithm('getLiveStatus') || {};
+      const window = this.stages.filter();
+      if (!window) {
+        const collected = this.callAlgorithm('getCollectingProgress') || 0;
+        return this.buildResult({
+          ...live,
+          fingerDetected: true,
+          message: `Collecting data... ${Math.round(collected * 100)}%`,
+          confidence: collected,
+          quality: 'collecting'
+        });
+      }
+
+      if (window.rejected) {
+        return this.buildResult({ ...live, ...window, fingerDetected: true, quality: window.rejected });
+      }
+
+      this.recording.window = window;
+      const estimates = this.stages.estimate(window);
+      const assessment = this.stages.assess(window, estimates);
+      return this.buildResult({ ...live, ...estimates, ...assessment, fingerDetected: true });
+
+    } catch (error) {
+      console.error('PPG pipeline error:', error);
+      return this.buildResult({
+        fingerDetected: false,
+        message: 'Processing error occurred',
+        quality: 'error'
+      });
+    }
+  }
+
+  // Complete stage output into a schema result
+  buildResult(fields) {
+    const heartRateFlag = fields.heartRateFlag !== undefined
+      ? fields.heartRateFlag
+      : classifyHeartRate(fields.heartRate, this.childAge, this.temperature);
+
+    const result = createPipelineResult({
+      ...fields,
+      heartRateFlag,
+      algorithm: this.algorithmName,
+      temperature: this.temperature,
+      childAge: this.childAge
+    });
+    result.isValid = isValidReading(result);
+    if (result.isValid) {
+      // Keep the blood pressure sample of the window behind this reading, so
+      // a cuff reading is paired with the estimate on screen
+      this.lastValidResult = result;
+      this.calibrationSample = result.bloodPressure.systolic !== null
+        ? this.callAlgorithm('getCalibrationSample') || null
+        : null;
+    }
+    return result;
+  }
+
+  // Call an optional algorithm method; undefined when it is not supported
+  callAlgorithm(method, ...args) {
+    return typeof this.algorithm[method] === 'function' ? this.algorithm[method](...args) : undefined;
+  }
+
+  setChildAge(age) {
+    this.childAge = age;
+    this.callAlgorithm('setChildAge', age);
+  }
+
+  // Body temperature in °C, or null when it was not taken (the algorithm
+  // then assumes a normal temperature). Values outside the plausible range
+  // are limited to it, so results are recorded with the temperature used.
+  setTemperature(temperature) {
+    this.temperature = Number.isFinite(temperature) ? clampTemperature(temperature) : null;
+    this.callAlgorithm('setTemperature', this.temperature ?? NORMAL_TEMPERATURE);
+  }
+
+  setCalibration(calibration) {
+    this.callAlgorithm('setCalibration', calibration);
+  }
+
+  // Uncalibrated blood pressure estimate and features of the last valid
+  // result ({ estimate, features }), or null when it has none
+  getCalibrationSample() {
+    return this.calibrationSample;
+  }
+
+  // Add an accelerometer sample ({ x, y, z } in g, optionally timestamp in
+  // seconds). Without a timestamp it is placed at the newest frame, which it
+  // arrived alongside, so the recording can be replayed; samples before the
+  // first frame are dropped.
+  addMotionSample(sample) {
+    const { samples } = this.recording;
+    const timestamp = typeof sample.timestamp === 'number'
+      ? sample.timestamp
+      : (samples.length > 0 ? samples[samples.length - 1].timestamp : null);
+    if (timestamp === null) return;
+
+    const stamped = { timestamp, x: sample.x, y: sample.y, z: sample.z };
+    this.recording.motion.push(stamped);
+    this.callAlgorithm('addMotionSample', { ...stamped });
+  }
+
+  getStats() {
+    return this.callAlgorithm('getStats') || null;
+  }
+
+  // Measurement record of the scan since the last reset, built from the
+  // last valid result and the session statistics; null before a valid
+  // reading. options: { source, child: { sex, height }, timestamp }
+  getMeasurementRecord(options = {}) {
+    if (!this.lastValidResult) return null;
+
+    return createMeasurementRecord({
+      ...options,
+      result: this.lastValidResult,
+      stats: this.getStats(),
+      algorithm: { name: this.algorithmName, version: this.algorithmVersion },
+      device: this.device,
+      startedAt: this.startedAt
+    });
+  }
+
+  // Input and signals of the scan since the last reset, for export:
+  // { samples: [{ timestamp, r, g, b, ... }], motion: [{ timestamp, x, y, z }],
+  //   filteredSignal: { timestamps, values } of the last analysis window
+  //   (timestamps null if the algorithm keeps none) or null,
+  //   beats: [{ time, amplitude, baseline }] detected over the scan }
+  // Sample and beat times are seconds since the first frame.
+  getRecording() {
+    const { samples, motion, window } = this.recording;
+    const stats = this.getStats();
+    const filtered = window ? (window.filtered || window.signal) : null;
+
+    return {
+      samples: samples.map(sample => ({ ...sample })),
+      motion: motion.map(sample => ({ ...sample })),
+      filteredSignal: filtered ? {
+        timestamps: window.timestamps ? Array.from(window.timestamps) : null,
+        values: Array.from(filtered)
+      } : null,
+      beats: stats?.beats || []
+    };
+  }
+
+  resetRecording() {
+    this.recording = { samples: [], motion: [], window: null };
+  }
+
+  reset() {
+    this.startedAt = null;
+    this.lastValidResult = null;
+    this.calibrationSample = null;
+    this.resetRecording();
+    this.callAlgorithm('reset');
+  }
+}
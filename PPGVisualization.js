@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, Dimensions, Animated } from 'react-native';
+import { BP_CATEGORIES, BP_CATEGORY_LABELS } from './BloodPressurePercentiles';
 
 const { width } = Dimensions.get('window');
 
@@ -7,11 +8,13 @@ export const PPGVisualization = ({
   signalData, 
   heartRate, 
   bloodPressure,
+  bloodPressureClassification = null,
   confidence, 
   isScanning,
   signalQuality = 'good',
   temperature = 37.0,
-  childAge = 5
+  childAge = 5,
+  frameRate = 30
 }) => {
   const [animatedValues] = useState(() => ({
     pulse: new Animated.Value(1),
@@ -101,27 +104,18 @@ export const PPGVisualization = ({
     return '#FF4444';
   };
 
+  // Pediatric classification (percentiles for age, sex and height)
   const getBPStatus = () => {
-    if (!bloodPressure || !bloodPressure.systolic) return 'Unknown';
-    
-    const sys = bloodPressure.systolic;
-    const dia = bloodPressure.diastolic;
-    
-    if (sys < 120 && dia < 80) return 'Normal';
-    if (sys < 130 && dia < 80) return 'Elevated';
-    if (sys < 140 || dia < 90) return 'High Stage 1';
-    if (sys < 180 || dia < 120) return 'High Stage 2';
-    return 'Crisis';
+    if (!bloodPressure || !bloodPressure.systolic || !bloodPressureClassification) return 'Unknown';
+    return BP_CATEGORY_LABELS[bloodPressureClassification.category];
   };
 
   const getBPColor = () => {
-    const status = getBPStatus();
-    switch (status) {
-      case 'Normal': return '#FF69B4';
-      case 'Elevated': return '#FFB800';
-      case 'High Stage 1': return '#FF8800';
-      case 'High Stage 2': return '#FF4444';
-      case 'Crisis': return '#cc0000';
+    switch (bloodPressureClassification?.category) {
+      case BP_CATEGORIES.NORMAL: return '#FF69B4';
+      case BP_CATEGORIES.ELEVATED: return '#FFB800';
+      case BP_CATEGORIES.STAGE_1: return '#FF8800';
+      case BP_CATEGORIES.STAGE_2: return '#FF4444';
       default: return '#888888';
     }
   };
@@ -252,11 +246,11 @@ export const PPGVisualization = ({
             <Text style={styles.metricLabel}>Confidence</Text>
           </View>
           <View style={styles.metric}>
-            <Text style={styles.metricValue}>30</Text>
+            <Text style={styles.metricValue}>{Math.round(frameRate || 0)}</Text>
             <Text style={styles.metricLabel}>FPS</Text>
           </View>
           <View style={styles.metric}>
-            <Text style={styles.metricValue}>{signalData?.length ? Math.round((signalData.length / 30)) : 0}s</Text>
+            <Text style={styles.metricValue}>{signalData?.length && frameRate ? Math.round((signalData.length / frameRate)) : 0}s</Text>
             <Text style={styles.metricLabel}>Duration</Text>
           </View>
         </View>
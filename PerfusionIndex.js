@@ -0,0 +1,124 @@
+// Perfusion index, clipping detection and channel selection.
+//
+// With the torch on, red light floods through the fingertip and the red
+// channel often sits at 255: a clipped channel has no pulse left in it.
+// Each channel is assessed over the last few seconds for
+//  - perfusion index (PI): pulsatile amplitude as a percentage of the level
+//  - clipping: fraction of pixels at the sensor's maximum
+// The PPG is taken from the unclipped channel with the strongest pulse, and
+// the assessment drives live placement guidance.
+
+import { CLIPPING_LEVEL } from './FrameAcquisition.js';
+
+export const CHANNELS = ['r', 'g', 'b'];
+
+// Placement guidance reported while scanning
+export const PLACEMENT_GUIDANCE = {
+  PRESS_LIGHTER: 'press_lighter',
+  COVER_FLASH: 'cover_flash',
+};
+
+// Seconds of recent samples each assessment covers (a couple of beats)
+export const PERFUSION_WINDOW = 2.5;
+
+// A channel with more clipped pixels than this is unusable
+const MAX_CLIPPED_FRACTION = 0.1;
+
+// Channel level (0-1) below which there is too little light to use it
+const MIN_CHANNEL_LEVEL = 0.04;
+
+// Perfusion index (%) below which the pulse is too weak to measure
+const MIN_PERFUSION_INDEX = 0.05;
+
+// Another channel must beat the active one by this factor to take over,
+// so the PPG does not flip between channels on noise
+const SWITCH_MARGIN = 1.25;
+
+// Fraction of clipped pixels for a sample's channel; samples without pixel
+// counts (e.g. recorded means) are judged by their level
+function clippedFraction(sample, channel) {
+  if (sample.clipped && typeof sample.clipped[channel] === 'number') {
+    return sample.clipped[channel];
+  }
+  return sample[channel] >= CLIPPING_LEVEL / 255 ? 1 : 0;
+}
+
+// Pulsatile amplitude of a channel: peak-to-peak after removing the linear
+// trend, so slow drift is not counted as pulse
+function pulsatileAmplitude(values) {
+  const n = values.length;
+  const meanIndex = (n - 1) / 2;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (i - meanIndex) * (values[i] - mean);
+    variance += (i - meanIndex) * (i - meanIndex);
+  }
+  const slope = variance > 0 ? covariance / variance : 0;
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < n; i++) {
+    const detrended = values[i] - slope * (i - meanIndex);
+    min = Math.min(min, detrended);
+    max = Math.max(max, detrended);
+  }
+  return max - min;
+}
+
+// Assess every channel over the samples ({ r, g, b } in 0-1, optional
+// clipped fractions). Returns { r, g, b } of
+// { perfusionIndex (%), clipped (0-1), level (0-1), usable }, or null.
+export function assessChannels(samples) {
+  if (!samples || samples.length < 3) return null;
+
+  const assessment = {};
+  for (const channel of CHANNELS) {
+    const values = samples.map(sample => sample[channel]);
+    const level = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const clipped = samples.reduce((sum, sample) => sum + clippedFraction(sample, channel), 0) / samples.length;
+    const perfusionIndex = level > 0 ? 100 * pulsatileAmplitude(values) / level : 0;
+
+    assessment[channel] = {
+      perfusionIndex,
+      clipped,
+      level,
+      usable: clipped <= MAX_CLIPPED_FRACTION && level >= MIN_CHANNEL_LEVEL
+    };
+  }
+  return assessment;
+}
+
+// Pick the usable channel with the highest perfusion index, keeping the
+// current channel unless another is clearly better
+export function selectBestChannel(assessment, current = 'g') {
+  if (!assessment) return current;
+
+  const usable = CHANNELS.filter(channel => assessment[channel].usable);
+  if (usable.length === 0) return current;
+
+  const best = usable.reduce((a, b) => (assessment[b].perfusionIndex > assessment[a].perfusionIndex ? b : a));
+  if (assessment[current].usable &&
+      assessment[best].perfusionIndex < SWITCH_MARGIN * assessment[current].perfusionIndex) {
+    return current;
+  }
+  return best;
+}
+
+// Guidance for the child or parent, or null when placement looks right.
+// Green only clips when light reaches the lens around the finger; a very
+// weak pulse with the lens covered usually means the finger presses so hard
+// that it squeezes the blood out of the fingertip.
+export function getPlacementGuidance(assessment, channel) {
+  if (!assessment) return null;
+
+  if (assessment.g.clipped > MAX_CLIPPED_FRACTION) {
+    return PLACEMENT_GUIDANCE.COVER_FLASH;
+  }
+  if (assessment[channel].perfusionIndex < MIN_PERFUSION_INDEX) {
+    return PLACEMENT_GUIDANCE.PRESS_LIGHTER;
+  }
+  return null;
+}
@@ -0,0 +1,196 @@
+// Pulse waveform morphology: beat segmentation and per-beat shape features.
+//
+// Works on a blood-volume waveform (rising with each systole), uniformly
+// sampled. Camera PPG measures reflected light, which falls as blood volume
+// rises, so callers invert the intensity signal first.
+//
+// Each beat runs from one foot (onset of the systolic upstroke) to the next:
+//
+//        peak
+//        /\   notch
+//       /  \__/\
+//      /        \___
+//   foot            \ next foot
+//
+// All functions are pure so recorded sessions give identical results.
+
+// Median of the finite numbers in values (null when there are none)
+export function median(values) {
+  const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+// Systolic peaks: local maxima above the signal median, at least
+// minDistance samples apart (the higher of two close maxima wins, so a
+// diastolic wave right after the systolic peak is not taken as a beat)
+function findSystolicPeaks(signal, minDistance) {
+  const threshold = median(signal);
+  const peaks = [];
+
+  for (let i = 1; i < signal.length - 1; i++) {
+    if (!(signal[i] > signal[i - 1] && signal[i] >= signal[i + 1] && signal[i] > threshold)) {
+      continue;
+    }
+
+    const last = peaks[peaks.length - 1];
+    if (last === undefined || i - last >= minDistance) {
+      peaks.push(i);
+    } else if (signal[i] > signal[last]) {
+      peaks[peaks.length - 1] = i;
+    }
+  }
+
+  return peaks;
+}
+
+// Index of the smallest value in signal[start..end]
+function argMin(signal, start, end) {
+  let index = start;
+  for (let i = start + 1; i <= end; i++) {
+    if (signal[i] < signal[index]) index = i;
+  }
+  return index;
+}
+
+// Split the waveform into beats { foot, peak, nextFoot } (sample indices).
+// heartRate (BPM) sets the minimum spacing between systolic peaks; without
+// it beats up to 220 BPM are accepted.
+export function segmentBeats(signal, sampleRate, heartRate = null) {
+  if (!signal || signal.length < 3 || !(sampleRate > 0)) return [];
+
+  const expectedPeriod = heartRate > 0 ? 60 / heartRate : 60 / 220;
+  const minDistance = Math.max(1, Math.round(0.6 * expectedPeriod * sampleRate));
+  const peaks = findSystolicPeaks(signal, minDistance);
+
+  // Feet are the minima between consecutive systolic peaks
+  const feet = [];
+  for (let k = 1; k < peaks.length; k++) {
+    feet.push(argMin(signal, peaks[k - 1], peaks[k]));
+  }
+
+  const beats = [];
+  for (let k = 1; k < feet.length; k++) {
+    beats.push({ foot: feet[k - 1], peak: peaks[k], nextFoot: feet[k] });
+  }
+
+  return beats;
+}
+
+// Dicrotic notch between the systolic peak and the next foot: the first
+// local minimum on the descending limb, or, when the notch is smoothed into
+// a shoulder, the point of strongest upward curvature
+function findDicroticNotch(signal, peak, nextFoot) {
+  const end = peak + Math.floor(0.8 * (nextFoot - peak));
+
+  for (let i = peak + 2; i < end; i++) {
+    if (signal[i] < signal[i - 1] && signal[i] <= signal[i + 1]) {
+      return { index: i, type: 'minimum' };
+    }
+  }
+
+  let best = null;
+  let bestCurvature = 0;
+  for (let i = peak + 2; i < end; i++) {
+    const curvature = signal[i + 1] - 2 * signal[i] + signal[i - 1];
+    if (curvature > bestCurvature) {
+      bestCurvature = curvature;
+      best = i;
+    }
+  }
+
+  return best === null ? null : { index: best, type: 'inflection' };
+}
+
+// Time constant (seconds) of the diastolic runoff: log-linear fit of the
+// height above the next foot from `start` until it falls to 10% of its
+// initial value
+function fitDiastolicDecay(signal, start, nextFoot, sampleRate) {
+  const floor = signal[nextFoot];
+  const initial = signal[start] - floor;
+  if (!(initial > 0)) return null;
+
+  const times = [];
+  const logs = [];
+  for (let i = start; i < nextFoot; i++) {
+    const height = signal[i] - floor;
+    if (height < 0.1 * initial) break;
+    times.push((i - start) / sampleRate);
+    logs.push(Math.log(height));
+  }
+
+  if (times.length < 3) return null;
+
+  const n = times.length;
+  const meanTime = times.reduce((sum, t) => sum + t, 0) / n;
+  const meanLog = logs.reduce((sum, l) => sum + l, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (times[i] - meanTime) * (logs[i] - meanLog);
+    variance += (times[i] - meanTime) * (times[i] - meanTime);
+  }
+
+  const slope = variance > 0 ? covariance / variance : 0;
+  return slope < 0 ? -1 / slope : null;
+}
+
+// Shape features of a single beat
+export function measureBeat(signal, sampleRate, beat) {
+  const { foot, peak, nextFoot } = beat;
+  const footLevel = signal[foot];
+  const amplitude = signal[peak] - footLevel;
+  if (!(amplitude > 0)) return null;
+
+  const notch = findDicroticNotch(signal, peak, nextFoot);
+  const decayStart = notch ? notch.index : peak;
+
+  return {
+    ...beat,
+    duration: (nextFoot - foot) / sampleRate,
+    amplitude,
+    riseTime: (peak - foot) / sampleRate,
+    // Notch height relative to the foot-to-peak amplitude (0-1)
+    notchHeight: notch ? (signal[notch.index] - footLevel) / amplitude : null,
+    notchTime: notch ? (notch.index - foot) / sampleRate : null,
+    notchType: notch ? notch.type : null,
+    decayTime: fitDiastolicDecay(signal, decayStart, nextFoot, sampleRate)
+  };
+}
+
+// Whether any sample of the beat is flagged in the exclusion mask
+function overlapsMask(beat, excluded) {
+  for (let i = beat.foot; i <= beat.nextFoot; i++) {
+    if (excluded[i]) return true;
+  }
+  return false;
+}
+
+// Per-beat features plus their medians over the window. Beats touching a
+// sample flagged in `excluded` (e.g. motion artifacts) are left out.
+// Returns null when fewer than two complete beats are found.
+export function extractMorphologyFeatures(signal, sampleRate, heartRate = null, excluded = null) {
+  const beats = segmentBeats(signal, sampleRate, heartRate)
+    .filter(beat => !excluded || !overlapsMask(beat, excluded))
+    .map(beat => measureBeat(signal, sampleRate, beat))
+    .filter(Boolean);
+
+  if (beats.length < 2) return null;
+
+  const medianOf = (key) => median(beats.map(beat => beat[key]));
+
+  return {
+    beatCount: beats.length,
+    duration: medianOf('duration'),
+    amplitude: medianOf('amplitude'),
+    riseTime: medianOf('riseTime'),
+    notchHeight: medianOf('notchHeight'),
+    notchTime: medianOf('notchTime'),
+    decayTime: medianOf('decayTime'),
+    beats
+  };
+}
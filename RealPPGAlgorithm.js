@@ -1,29 +1,85 @@
 import { FingerDetector } from './FingerDetection.js';
+import { measureFrameTiming, resampleUniform } from './SignalResampling.js';
+import { designBandpass, filtfilt } from './FilterDesign.js';
+import { estimateSpectralHeartRate, fuseHeartRateEstimates } from './SpectralAnalysis.js';
+import { classifyHeartRate, classifyRespiratoryRate, getHeartRateSearchBand, MAX_CHILD_AGE } from './ReferenceRanges.js';
+import { extractMorphologyFeatures, segmentBeats } from './PulseMorphology.js';
+import { BeatQualityTracker } from './SignalQuality.js';
+import { assessChannels, selectBestChannel, getPlacementGuidance, PERFUSION_WINDOW } from './PerfusionIndex.js';
+import { isRGBSample, CLIPPING_LEVEL } from './FrameAcquisition.js';
+import { calculateHRV, beatIntervals, interpolatePeakTime } from './HeartRateVariability.js';
+import { estimateRespiratoryRate } from './RespiratoryRate.js';
+import { estimateSpO2 } from './SpO2Estimation.js';
+import { detectMotionArtifacts, buildArtifactMask, repairMaskedSamples, hasMaskedSample } from './MotionArtifacts.js';
+import { applyCalibration, getCalibrationFeatures, getCalibrationStatus } from './BloodPressureCalibration.js';
+import { clampTemperature } from './Temperature.js';
+
+// Version of the processing, recorded with every measurement. Bump it when
+// a change gives different results for the same recorded session.
+export const REAL_PPG_VERSION = '1.0.0';
 
 export class RealPPGProcessor {
   constructor() {
+    this.version = REAL_PPG_VERSION;
     this.fingerDetector = new FingerDetector();
     this.signalBuffer = [];
-    this.maxBufferSize = 300; // 10 seconds at 30fps
-    this.samplingRate = 30; // Hz
-    this.minValidSamples = 90; // 3 seconds minimum
+    this.maxBufferDuration = 10; // seconds of signal kept for analysis
+    this.maxBufferSize = 600; // hard cap (10 seconds at 60fps)
+    this.samplingRate = 30; // Hz, uniform rate the buffer is resampled to
+    this.minValidDuration = 3; // seconds minimum
+    this.minValidSamples = 45; // 3 seconds at 15fps
+    
+    // Measured camera timing (frames arrive irregularly and get dropped)
+    this.frameTiming = measureFrameTiming([]);
+    
+    // Bandpass filter design (order per cutoff; applied forward and backward)
+    this.filterType = 'butterworth';
+    this.filterOrder = 2;
+    this.filterCache = {};
     
     // Heart rate calculation parameters
-    this.minHeartRate = 60; // BPM
-    this.maxHeartRate = 200; // BPM
     this.heartRateHistory = [];
     this.maxHistorySize = 10;
     
+    // Last peak/spectral heart rate estimates and how well they agreed
+    this.heartRateEstimate = { peak: null, spectral: null, heartRate: null, agreement: 0, source: 'none' };
+    
+    // Beats ({ time, amplitude, baseline }) collected over the whole scan for
+    // HRV and respiratory rate; the 10 s analysis window is re-analysed every
+    // frame, so each beat is recorded once
+    this.sessionBeats = [];
+    this.beatEdgeMargin = 0.5; // seconds; peaks this close to the window edges are not final yet
+    
     // Blood pressure calculation parameters
     this.bpHistory = [];
     this.maxBPHistorySize = 5;
     
-    // Signal quality parameters
-    this.snrThreshold = 3.0;
-    this.stabilityThreshold = 0.8;
-    this.amplitudeThreshold = 0.1;
+    // Color channel the PPG is read from (the unclipped channel with the
+    // strongest pulse), its latest assessment and placement guidance
+    this.activeChannel = 'g';
+    this.channelAssessment = null;
+    this.placementGuidance = null;
+    
+    // Motion artifacts: accelerometer samples ({ timestamp, x, y, z } in g)
+    // and the corrupted segments of the buffer they and the image reveal
+    this.motionSamples = [];
+    this.artifactSegments = [];
+    this.motionPromptWindow = 1.0; // seconds; motion this recent asks the child to hold still
+    this.maxArtifactFraction = 0.5; // more corrupted than this and the window is not analysed
+    
+    // SpO2 calibration table entry for this device
+    this.spo2DeviceId = 'generic';
+    
+    // Per-child cuff calibration, and the last uncalibrated estimate with its
+    // features (paired with a cuff reading to calibrate)
+    this.calibration = null;
+    this.lastBloodPressureSample = null;
     
-    // Temperature and age compensation
+    // Per-beat signal quality over the scan (template matching)
+    this.beatQuality = new BeatQualityTracker();
+    
+    // Body temperature (°C) and age (years, month precision) for interpretation
+    // and compensation
     this.temperature = 37.0;
     this.childAge = 5;
     
@@ -33,94 +89,81 @@ export class RealPPGProcessor {
     this.processingInterval = 33; // ~30fps
   }
 
-  // Main processing function for each video frame
-  async processFrame(frame) {
-    try {
-      const currentTime = Date.now();
-      
-      // Limit processing frequency
-      if (currentTime - this.lastProcessTime < this.processingInterval) {
-        return null;
-      }
-      this.lastProcessTime = currentTime;
-
-      // Extract image data from frame
-      const imageData = await this.extractImageData(frame);
-      if (!imageData) return null;
-
-      // Detect finger placement
-      const fingerDetection = this.fingerDetector.detectFinger(imageData);
-      if (!fingerDetection.fingerDetected) {
-        return {
-          fingerDetected: false,
-          message: 'Please place your finger properly on the camera',
-          confidence: 0,
-          quality: 'poor'
-        };
-      }
+  // Pipeline stages (see PPGPipeline.js): acquire -> detect -> extract ->
+  // filter -> estimate -> assess
+
+  // Acquire a frame: a streamed { timestamp, r, g, b } sample from the frame
+  // acquisition layer passes straight through; a captured still image
+  // (timestamp in ms) is decoded. Returns { sample } or { image, timestamp },
+  // or null when the frame is skipped.
+  async acquire(frame, timestamp = Date.now()) {
+    // Streamed samples are already reduced to ROI mean RGB with hardware timestamps
+    if (isRGBSample(frame)) {
+      return { sample: frame };
+    }
 
-      // Extract PPG signal from the detected finger region
-      const ppgSignal = this.extractPPGSignal(imageData, fingerDetection.contour);
-      if (!ppgSignal) return null;
-
-      // Add to signal buffer
-      this.addToBuffer(ppgSignal);
-
-      // Process signals when we have enough data
-      if (this.signalBuffer.length >= this.minValidSamples) {
-        const vitalSigns = this.calculateVitalSigns();
-        return {
-          fingerDetected: true,
-          heartRate: vitalSigns.heartRate,
-          bloodPressure: vitalSigns.bloodPressure,
-          confidence: vitalSigns.confidence,
-          quality: vitalSigns.quality,
-          signalData: this.getDisplaySignal(),
-          temperature: this.temperature,
-          childAge: this.childAge
-        };
-      }
+    const currentTime = Date.now();
 
-      return {
-        fingerDetected: true,
-        message: `Collecting data... ${this.signalBuffer.length}/${this.minValidSamples}`,
-        confidence: this.signalBuffer.length / this.minValidSamples,
-        quality: 'collecting'
-      };
+    // Limit processing frequency
+    if (currentTime - this.lastProcessTime < this.processingInterval) {
+      return null;
+    }
+    this.lastProcessTime = currentTime;
 
-    } catch (error) {
-      console.error('PPG processing error:', error);
-      return {
-        fingerDetected: false,
-        message: 'Processing error occurred',
-        confidence: 0,
-        quality: 'error'
-      };
+    // Extract image data from frame
+    const imageData = await this.extractImageData(frame);
+    if (!imageData) return null;
+
+    return { image: imageData, timestamp: timestamp / 1000.0 };
+  }
+
+  // Detect finger placement from the colour of the lit fingertip (samples)
+  // or the finger region of the image
+  detect(input) {
+    if (input.sample) {
+      return this.fingerDetector.detectFingerFromColor(input.sample);
     }
+    return this.fingerDetector.detectFinger(input.image);
+  }
+
+  // Extract the frame's PPG sample into the buffer and update the artifact
+  // and channel assessments. Returns whether a sample was added.
+  extract(input, detection) {
+    const ppgSignal = input.sample
+      ? this.createPPGSample(input.sample.r, input.sample.g, input.sample.b, input.sample.timestamp, input.sample.clipped)
+      : this.extractPPGSignal(input.image, detection.contour, input.timestamp);
+    if (!ppgSignal) return false;
+
+    this.addToBuffer(ppgSignal);
+    this.updateArtifacts();
+    this.updateChannelQuality();
+    return true;
+  }
+
+  // Fraction (0-1) of the minimum data collected so far
+  getCollectingProgress() {
+    return Math.min(1, this.getBufferDuration() / this.minValidDuration);
+  }
+
+  // Live status reported with every result while a finger is detected
+  getLiveStatus() {
+    return {
+      motionDetected: this.isMotionDetected(),
+      ...this.getChannelStatus()
+    };
   }
 
   // Extract image data from camera frame
   async extractImageData(frame) {
     try {
-      // For expo-camera, we need to get the pixel data
-      // This is a simplified version - in production you'd use more efficient methods
-      const { width, height } = frame;
-      const imageData = new Uint8ClampedArray(width * height * 4);
-      
-      // Convert frame to RGBA data
-      // Note: This is a placeholder - actual implementation depends on frame format
-      for (let i = 0; i < imageData.length; i += 4) {
-        const pixelIndex = i / 4;
-        const x = pixelIndex % width;
-        const y = Math.floor(pixelIndex / width);
-        
-        // Extract RGB values (this is simplified)
-        imageData[i] = 128;     // R
-        imageData[i + 1] = 128; // G
-        imageData[i + 2] = 128; // B
-        imageData[i + 3] = 255; // A
-      }
-      
+      // Decode the captured JPEG into RGBA pixels with the real frame size.
+      // The decoder needs Expo's native image module, so it is only loaded
+      // here: streamed and replayed samples never reach this path, which
+      // keeps the processor runnable in plain Node.
+      const { decodeCameraFrame } = await import('./FrameDecoder.js');
+      const imageData = await decodeCameraFrame(frame);
+      if (!imageData.width || !imageData.height) return null;
+
       return imageData;
     } catch (error) {
       console.error('Image extraction error:', error);
@@ -129,45 +172,38 @@ export class RealPPGProcessor {
   }
 
   // Extract PPG signal from finger region
-  extractPPGSignal(imageData, fingerContour) {
+  extractPPGSignal(imageData, fingerContour, timestamp) {
     try {
       if (!fingerContour || fingerContour.length === 0) return null;
 
-      // Calculate average RGB values in the finger region
+      // Calculate average RGB values and clipped pixels in the finger region
       let totalR = 0, totalG = 0, totalB = 0;
+      let clippedR = 0, clippedG = 0, clippedB = 0;
       let validPixels = 0;
 
+      const { data, width } = imageData;
       for (const point of fingerContour) {
-        const index = (point.y * Math.sqrt(imageData.length / 4) + point.x) * 4;
-        if (index >= 0 && index < imageData.length - 3) {
-          totalR += imageData[index];
-          totalG += imageData[index + 1];
-          totalB += imageData[index + 2];
+        const index = (point.y * width + point.x) * 4;
+        if (index >= 0 && index < data.length - 3) {
+          totalR += data[index];
+          totalG += data[index + 1];
+          totalB += data[index + 2];
+          if (data[index] >= CLIPPING_LEVEL) clippedR++;
+          if (data[index + 1] >= CLIPPING_LEVEL) clippedG++;
+          if (data[index + 2] >= CLIPPING_LEVEL) clippedB++;
           validPixels++;
         }
       }
 
       if (validPixels === 0) return null;
 
-      const avgR = totalR / validPixels;
-      const avgG = totalG / validPixels;
-      const avgB = totalB / validPixels;
-
-      // PPG signal is primarily in the green channel due to hemoglobin absorption
-      // Use normalized green channel as primary signal
-      const ppgValue = avgG / 255.0;
-      
-      // Add some realistic PPG characteristics
-      const timestamp = Date.now() / 1000.0;
-      const noise = (Math.random() - 0.5) * 0.02; // Small noise
-      
-      return {
+      return this.createPPGSample(
+        totalR / validPixels,
+        totalG / validPixels,
+        totalB / validPixels,
         timestamp,
-        value: ppgValue + noise,
-        r: avgR / 255.0,
-        g: avgG / 255.0,
-        b: avgB / 255.0
-      };
+        { r: clippedR / validPixels, g: clippedG / validPixels, b: clippedB / validPixels }
+      );
 
     } catch (error) {
       console.error('PPG extraction error:', error);
@@ -175,69 +211,205 @@ export class RealPPGProcessor {
     }
   }
 
+  // Build a buffer sample from mean RGB values (0-255), a timestamp in
+  // seconds and the fraction of clipped pixels per channel (if known)
+  createPPGSample(avgR, avgG, avgB, timestamp, clipped = null) {
+    // PPG signal is primarily in the green channel due to hemoglobin absorption;
+    // analysis reads whichever channel is active (see updateChannelQuality)
+    const ppgValue = avgG / 255.0;
+    
+    return {
+      timestamp,
+      value: ppgValue,
+      r: avgR / 255.0,
+      g: avgG / 255.0,
+      b: avgB / 255.0,
+      clipped
+    };
+  }
+
   // Add PPG signal to buffer
   addToBuffer(ppgSignal) {
+    // Samples must be strictly increasing in time for resampling
+    const last = this.signalBuffer[this.signalBuffer.length - 1];
+    if (last && ppgSignal.timestamp <= last.timestamp) return;
+
     this.signalBuffer.push(ppgSignal);
     
-    // Maintain buffer size
-    if (this.signalBuffer.length > this.maxBufferSize) {
+    // Maintain buffer duration and size
+    while (this.signalBuffer.length > this.maxBufferSize ||
+           this.getBufferDuration() > this.maxBufferDuration) {
       this.signalBuffer.shift();
     }
   }
 
-  // Calculate vital signs from PPG signal
-  calculateVitalSigns() {
-    try {
-      if (this.signalBuffer.length < this.minValidSamples) {
-        return {
-          heartRate: null,
-          bloodPressure: null,
-          confidence: 0,
-          quality: 'insufficient_data'
-        };
-      }
+  // Time span covered by the buffer (seconds)
+  getBufferDuration() {
+    if (this.signalBuffer.length < 2) return 0;
+    return this.signalBuffer[this.signalBuffer.length - 1].timestamp - this.signalBuffer[0].timestamp;
+  }
 
-      // Extract PPG values and timestamps
-      const values = this.signalBuffer.map(s => s.value);
-      const timestamps = this.signalBuffer.map(s => s.timestamp);
+  // Enough samples and enough seconds of signal to estimate vital signs
+  hasEnoughData() {
+    return this.signalBuffer.length >= this.minValidSamples &&
+           this.getBufferDuration() >= this.minValidDuration;
+  }
 
-      // Apply signal processing
-      const filteredSignal = this.applySignalProcessing(values);
-      
-      // Calculate heart rate
-      const heartRate = this.calculateHeartRate(filteredSignal, timestamps);
-      
-      // Calculate blood pressure
-      const bloodPressure = this.calculateBloodPressure(filteredSignal, heartRate);
-      
-      // Calculate confidence and quality
-      const confidence = this.calculateConfidence(filteredSignal, heartRate);
-      const quality = this.assessSignalQuality(filteredSignal, confidence);
+  // Interpolate the buffer onto a uniform grid at samplingRate using the
+  // actual frame timestamps, and measure the delivered frame rate
+  resampleBuffer() {
+    this.frameTiming = measureFrameTiming(this.signalBuffer.map(s => s.timestamp));
+    return resampleUniform(this.signalBuffer, this.samplingRate);
+  }
 
-      // Update history
-      if (heartRate) {
-        this.updateHeartRateHistory(heartRate);
-      }
-      if (bloodPressure) {
-        this.updateBPHistory(bloodPressure);
-      }
+  // Filter stage: the analysis window resampled to a uniform rate, with
+  // motion-corrupted stretches bridged, bandpass filtered. Returns null
+  // until enough data is collected, or { rejected: 'motion' } when too much
+  // of the window is corrupted.
+  filter() {
+    if (!this.hasEnoughData()) return null;
+
+    // Resample to a uniform rate so filters and peak distances are correct
+    // whatever frame rate the camera actually delivers
+    const resampled = this.resampleBuffer();
+
+    // Samples inside motion artifact segments are excluded from analysis
+    const timestamps = resampled.timestamps;
+    const artifactMask = buildArtifactMask(timestamps, this.artifactSegments);
+    const artifactFraction = artifactMask.filter(Boolean).length / Math.max(1, artifactMask.length);
+    if (artifactFraction > this.maxArtifactFraction) {
+      return { rejected: 'motion', artifactFraction };
+    }
 
-      return {
-        heartRate,
-        bloodPressure,
-        confidence,
-        quality
-      };
+    // Bridge corrupted stretches so they do not ring through the filters
+    const samples = this.repairArtifacts(resampled.samples, artifactMask);
 
-    } catch (error) {
-      console.error('Vital signs calculation error:', error);
-      return {
-        heartRate: null,
-        bloodPressure: null,
-        confidence: 0,
-        quality: 'error'
-      };
+    // Extract PPG values from the active channel
+    const values = samples.map(s => s[this.activeChannel]);
+
+    return {
+      timestamps,
+      samples,
+      values,
+      filtered: this.applySignalProcessing(values),
+      artifactMask,
+      artifactFraction
+    };
+  }
+
+  // Estimate stage: heart rate and blood pressure from the window, recording
+  // its beats for scan-level HRV, respiratory rate and signal quality
+  estimate(window) {
+    const { timestamps, values, filtered, artifactMask } = window;
+
+    // Calculate heart rate
+    const heartRate = this.calculateHeartRate(filtered, timestamps, artifactMask);
+    const heartRateFlag = this.assessHeartRate(heartRate);
+
+    // Record this window's beats for scan-level HRV and respiratory rate
+    this.recordSessionBeats(values, filtered, timestamps, artifactMask);
+
+    // Calculate blood pressure
+    const pulseWave = this.extractPulseWaveform(values);
+    const bloodPressure = this.calculateBloodPressure(filtered, heartRate, pulseWave, artifactMask);
+
+    // Score this window's new beats against the session's average beat
+    this.updateBeatQuality(pulseWave, values, timestamps, heartRate, artifactMask);
+
+    // Update history
+    if (heartRate) {
+      this.updateHeartRateHistory(heartRate);
     }
+    if (bloodPressure) {
+      this.updateBPHistory(bloodPressure);
+    }
+
+    return {
+      heartRate,
+      heartRateFlag,
+      bloodPressure,
+      bloodPressureCalibration: getCalibrationStatus(this.calibration),
+      artifactFraction: window.artifactFraction,
+      frameRate: this.frameTiming.effectiveFrameRate,
+      signalData: this.getDisplaySignal()
+    };
+  }
+
+  // Assess stage: confidence and quality of the estimates. SpO2 is only
+  // reported for a trustworthy pulse, so it is estimated here once the
+  // confidence is known.
+  assess(window, estimates) {
+    const confidence = this.calculateConfidence(estimates.heartRate);
+    const quality = this.assessSignalQuality(window.filtered, confidence);
+
+    // Experimental SpO2 from the red and green channels (gated on confidence)
+    const spo2 = this.calculateSpO2(window.samples, confidence);
+
+    return { confidence, quality, spo2 };
+  }
+
+  // Re-detect motion artifacts over the buffer and mark the affected samples
+  updateArtifacts() {
+    const start = this.signalBuffer.length > 0 ? this.signalBuffer[0].timestamp : 0;
+    this.motionSamples = this.motionSamples.filter(sample => sample.timestamp >= start);
+    this.artifactSegments = detectMotionArtifacts(this.signalBuffer, this.motionSamples);
+
+    let s = 0;
+    for (const sample of this.signalBuffer) {
+      while (s < this.artifactSegments.length && this.artifactSegments[s].end < sample.timestamp) s++;
+      const segment = this.artifactSegments[s];
+      sample.artifact = segment && sample.timestamp >= segment.start ? segment.reasons : null;
+    }
+  }
+
+  // Assess the channels over the last few seconds: perfusion index and
+  // clipping, the best channel to read the PPG from, and placement guidance
+  updateChannelQuality() {
+    if (this.signalBuffer.length === 0) return;
+
+    const latest = this.signalBuffer[this.signalBuffer.length - 1].timestamp;
+    const recent = this.signalBuffer.filter(sample => sample.timestamp >= latest - PERFUSION_WINDOW);
+
+    this.channelAssessment = assessChannels(recent);
+    const channel = selectBestChannel(this.channelAssessment, this.activeChannel);
+    if (channel !== this.activeChannel) {
+      // Beat amplitudes, baselines and the average beat are channel levels,
+      // so beats of the previous channel would not mix with the new ones
+      this.sessionBeats = [];
+      this.beatQuality.reset();
+      this.activeChannel = channel;
+    }
+    this.placementGuidance = getPlacementGuidance(this.channelAssessment, this.activeChannel);
+  }
+
+  // Perfusion index of the active channel, the channel and placement guidance
+  getChannelStatus() {
+    return {
+      perfusionIndex: this.channelAssessment ? this.channelAssessment[this.activeChannel].perfusionIndex : null,
+      activeChannel: this.activeChannel,
+      guidance: this.placementGuidance
+    };
+  }
+
+  // Whether motion was detected within the last motionPromptWindow seconds
+  isMotionDetected() {
+    if (this.artifactSegments.length === 0 || this.signalBuffer.length === 0) return false;
+
+    const latest = this.signalBuffer[this.signalBuffer.length - 1].timestamp;
+    const lastSegment = this.artifactSegments[this.artifactSegments.length - 1];
+    return lastSegment.end >= latest - this.motionPromptWindow;
+  }
+
+  // Interpolate every channel across masked samples
+  repairArtifacts(samples, mask) {
+    if (!mask.some(Boolean)) return samples;
+
+    const repaired = samples.map(sample => ({ ...sample }));
+    for (const field of ['value', 'r', 'g', 'b']) {
+      const values = repairMaskedSamples(samples.map(sample => sample[field]), mask);
+      values.forEach((value, i) => { repaired[i][field] = value; });
+    }
+    return repaired;
   }
 
   // Apply comprehensive signal processing
@@ -247,8 +419,10 @@ export class RealPPGProcessor {
       const mean = signal.reduce((sum, val) => sum + val, 0) / signal.length;
       let processed = signal.map(val => val - mean);
 
-      // 2. Apply bandpass filter (0.8 - 3 Hz for heart rate)
-      processed = this.bandpassFilter(processed, 0.8, 3.0, this.samplingRate);
+      // 2. Apply bandpass filter (0.8 - 3 Hz for heart rate, wider for infants)
+      const searchBand = this.getHeartRateSearchBand();
+      const highFreq = Math.max(3.0, searchBand.max / 60 + 0.5);
+      processed = this.bandpassFilter(processed, 0.8, highFreq, this.samplingRate);
 
       // 3. Apply Savitzky-Golay smoothing
       processed = this.savitzkyGolayFilter(processed, 5, 2);
@@ -264,32 +438,28 @@ export class RealPPGProcessor {
     }
   }
 
-  // Bandpass filter using Butterworth design
+  // Blood-volume waveform for morphology analysis. The heart rate band cuts
+  // off the harmonics that carry the dicrotic notch, so this uses a wider
+  // band and no smoothing, and inverts the signal (reflected light falls as
+  // blood volume rises).
+  extractPulseWaveform(signal) {
+    try {
+      const mean = signal.reduce((sum, val) => sum + val, 0) / signal.length;
+      const highFreq = Math.min(8.0, 0.4 * this.samplingRate);
+      const filtered = this.bandpassFilter(signal.map(val => val - mean), 0.5, highFreq, this.samplingRate);
+      return this.normalizeSignal(filtered.map(val => -val));
+
+    } catch (error) {
+      console.error('Pulse waveform error:', error);
+      return [];
+    }
+  }
+
+  // Bandpass filter using Butterworth design (zero-phase, forward-backward)
   bandpassFilter(signal, lowFreq, highFreq, sampleRate) {
     try {
-      const nyquist = sampleRate / 2;
-      const lowNorm = lowFreq / nyquist;
-      const highNorm = highFreq / nyquist;
-      
-      // Simple IIR filter implementation
-      const order = 4;
-      const filtered = new Array(signal.length);
-      
-      // Initialize with first few samples
-      for (let i = 0; i < order; i++) {
-        filtered[i] = signal[i];
-      }
-      
-      // Apply filter coefficients (simplified)
-      for (let i = order; i < signal.length; i++) {
-        filtered[i] = 0.1 * signal[i] + 
-                      0.2 * signal[i-1] + 
-                      0.4 * signal[i-2] + 
-                      0.2 * signal[i-3] + 
-                      0.1 * signal[i-4];
-      }
-      
-      return filtered;
+      const sections = this.getBandpassSections(lowFreq, highFreq, sampleRate);
+      return filtfilt(sections, signal);
 
     } catch (error) {
       console.error('Bandpass filter error:', error);
@@ -297,6 +467,21 @@ export class RealPPGProcessor {
     }
   }
 
+  // Design (and cache) bandpass coefficients for the given rate and cutoffs
+  getBandpassSections(lowFreq, highFreq, sampleRate) {
+    const key = `${this.filterType}:${this.filterOrder}:${lowFreq}:${highFreq}:${sampleRate}`;
+    if (!this.filterCache[key]) {
+      this.filterCache[key] = designBandpass({
+        type: this.filterType,
+        order: this.filterOrder,
+        lowCut: lowFreq,
+        highCut: highFreq,
+        sampleRate
+      });
+    }
+    return this.filterCache[key];
+  }
+
   // Savitzky-Golay smoothing filter
   savitzkyGolayFilter(signal, windowSize, order) {
     try {
@@ -343,44 +528,162 @@ export class RealPPGProcessor {
     }
   }
 
+  // Calculate heart rate by fusing peak detection with the spectral estimate
+  calculateHeartRate(signal, timestamps, artifactMask = null) {
+    try {
+      const searchBand = this.getHeartRateSearchBand();
+      
+      // Time-domain and frequency-domain estimates run in parallel
+      const peakHeartRate = this.calculatePeakHeartRate(signal, timestamps, artifactMask);
+      const spectral = estimateSpectralHeartRate(signal, this.samplingRate, {
+        minBPM: searchBand.min,
+        maxBPM: searchBand.max
+      });
+      
+      const fused = fuseHeartRateEstimates(peakHeartRate, spectral);
+      this.heartRateEstimate = {
+        peak: peakHeartRate,
+        spectral: spectral ? spectral.heartRate : null,
+        spectralConfidence: spectral ? spectral.confidence : 0,
+        ...fused
+      };
+      
+      if (!fused.heartRate) return null;
+      
+      return Math.round(fused.heartRate);
+
+    } catch (error) {
+      console.error('Heart rate calculation error:', error);
+      return null;
+    }
+  }
+
   // Calculate heart rate using peak detection
-  calculateHeartRate(signal, timestamps) {
+  calculatePeakHeartRate(signal, timestamps, artifactMask = null) {
     try {
       // Find peaks in the signal
       const peaks = this.findPeaks(signal, timestamps);
       
       if (peaks.length < 2) return null;
       
-      // Calculate intervals between peaks
+      // Calculate intervals between peaks, skipping any that touch an artifact
       const intervals = [];
       for (let i = 1; i < peaks.length; i++) {
+        if (hasMaskedSample(artifactMask, peaks[i-1].index, peaks[i].index)) continue;
         const interval = peaks[i].timestamp - peaks[i-1].timestamp;
         intervals.push(interval);
       }
       
+      if (intervals.length === 0) return null;
+      
       // Calculate average interval
       const avgInterval = intervals.reduce((sum, val) => sum + val, 0) / intervals.length;
       
       // Convert to heart rate (BPM)
-      const heartRate = 60 / avgInterval;
-      
-      // Apply age-specific constraints
-      const ageAdjustedHR = this.applyAgeConstraints(heartRate);
-      
-      return Math.round(ageAdjustedHR);
+      return 60 / avgInterval;
 
     } catch (error) {
-      console.error('Heart rate calculation error:', error);
+      console.error('Peak heart rate calculation error:', error);
       return null;
     }
   }
 
+  // Experimental ratio-of-ratios SpO2 from resampled { r, g, b } samples
+  calculateSpO2(samples, confidence) {
+    try {
+      const searchBand = this.getHeartRateSearchBand();
+      return estimateSpO2(samples, this.samplingRate, {
+        signalConfidence: confidence,
+        deviceId: this.spo2DeviceId,
+        highCut: Math.max(3.0, searchBand.max / 60 + 0.5)
+      });
+
+    } catch (error) {
+      console.error('SpO2 calculation error:', error);
+      return null;
+    }
+  }
+
+  // Add newly detected beats to the scan's beat series. Peaks near the window
+  // edges move as the window slides (filter edge effects), so only peaks
+  // inside the margins are recorded, and a peak within the minimum beat
+  // distance of the last recorded beat is the same beat seen again.
+  // Amplitude and baseline come from the unfiltered signal, which still
+  // carries the breathing modulation the bandpass filter removes.
+  recordSessionBeats(rawSignal, signal, timestamps, artifactMask = null) {
+    if (timestamps.length === 0) return;
+
+    const peaks = this.findPeaks(signal, timestamps);
+    const windowStart = timestamps[0] + this.beatEdgeMargin;
+    const windowEnd = timestamps[timestamps.length - 1] - this.beatEdgeMargin;
+    const minBeatDistance = 0.9 * 60 / this.getHeartRateSearchBand().max;
+
+    // Typical beat length in samples, for the span each beat is measured over
+    const beatLength = peaks.length >= 2
+      ? (peaks[peaks.length - 1].index - peaks[0].index) / (peaks.length - 1)
+      : this.samplingRate;
+
+    for (const peak of peaks) {
+      if (peak.timestamp < windowStart || peak.timestamp > windowEnd) continue;
+      if (artifactMask && artifactMask[peak.index]) continue;
+
+      const beatTime = interpolatePeakTime(signal, timestamps, peak.index);
+      const last = this.sessionBeats[this.sessionBeats.length - 1];
+      if (last !== undefined && beatTime - last.time < minBeatDistance) continue;
+
+      const start = Math.max(0, Math.round(peak.index - beatLength / 2));
+      const end = Math.min(rawSignal.length - 1, Math.round(peak.index + beatLength / 2));
+      const span = rawSignal.slice(start, end + 1);
+
+      this.sessionBeats.push({
+        time: beatTime,
+        amplitude: Math.max(...span) - Math.min(...span),
+        baseline: span.reduce((sum, val) => sum + val, 0) / span.length
+      });
+    }
+  }
+
+  // Heart rate variability over the scan so far (null until enough beats)
+  calculateHRV() {
+    return calculateHRV(beatIntervals(this.sessionBeats.map(beat => beat.time)));
+  }
+
+  // Breathing rates the estimate searches (breaths/min); like the heart rate
+  // band, wider than the normal range so abnormal rates can be measured
+  getRespiratorySearchBand() {
+    if (this.childAge < 1) return { min: 15, max: 80 };
+    if (this.childAge < 6) return { min: 10, max: 60 };
+    if (this.childAge < 12) return { min: 6, max: 50 };
+    return { min: 6, max: 40 };
+  }
+
+  // Respiratory rate over the scan so far, flagged against the age's normal
+  // range: { respiratoryRate, respiratoryRateFlag, confidence, estimates }
+  calculateRespiratoryRate() {
+    try {
+      const band = this.getRespiratorySearchBand();
+      const estimate = estimateRespiratoryRate(this.sessionBeats, { minRate: band.min, maxRate: band.max });
+      const respiratoryRate = estimate.respiratoryRate ? Math.round(estimate.respiratoryRate) : null;
+
+      return {
+        ...estimate,
+        respiratoryRate,
+        respiratoryRateFlag: classifyRespiratoryRate(respiratoryRate, this.childAge)
+      };
+
+    } catch (error) {
+      console.error('Respiratory rate calculation error:', error);
+      return { respiratoryRate: null, respiratoryRateFlag: null, confidence: 0, estimates: {} };
+    }
+  }
+
   // Find peaks in the signal
   findPeaks(signal, timestamps) {
     try {
       const peaks = [];
       const minPeakHeight = 0.6;
-      const minPeakDistance = 0.3; // seconds
+      // Allow beats up to the top of the age's search band (infants exceed 200 BPM)
+      const minPeakDistance = 0.9 * 60 / this.getHeartRateSearchBand().max; // seconds
       
       for (let i = 1; i < signal.length - 1; i++) {
         const current = signal[i];
@@ -409,32 +712,28 @@ export class RealPPGProcessor {
     }
   }
 
-  // Apply age-specific heart rate constraints
-  applyAgeConstraints(heartRate) {
-    let minHR, maxHR;
-    
-    if (this.childAge <= 1) {
-      minHR = 100; maxHR = 160;
-    } else if (this.childAge <= 3) {
-      minHR = 80; maxHR = 140;
-    } else if (this.childAge <= 5) {
-      minHR = 70; maxHR = 120;
-    } else if (this.childAge <= 7) {
-      minHR = 65; maxHR = 110;
-    } else {
-      minHR = 60; maxHR = 100;
-    }
-    
-    return Math.max(minHR, Math.min(maxHR, heartRate));
+  // Physiologically possible heart rates for the child's age (BPM); wider
+  // than the healthy range so abnormal rates can still be measured
+  getHeartRateSearchBand() {
+    return getHeartRateSearchBand(this.childAge);
+  }
+
+  // Flag the heart rate against the healthy range for the age and body
+  // temperature (the value itself is never adjusted): below_range, in_range,
+  // above_range or implausible
+  assessHeartRate(heartRate) {
+    return classifyHeartRate(heartRate, this.childAge, this.temperature);
   }
 
   // Calculate blood pressure using pulse wave analysis
-  calculateBloodPressure(signal, heartRate) {
+  calculateBloodPressure(signal, heartRate, pulseWave = [], artifactMask = null) {
+    // A window without an estimate leaves no sample to calibrate against
+    this.lastBloodPressureSample = null;
     try {
       if (!heartRate) return null;
       
       // Extract pulse wave characteristics
-      const pulseFeatures = this.extractPulseWaveFeatures(signal);
+      const pulseFeatures = this.extractPulseWaveFeatures(signal, pulseWave, heartRate, artifactMask);
       
       // Calculate systolic and diastolic BP using empirical formulas
       const systolic = this.calculateSystolicBP(pulseFeatures, heartRate);
@@ -444,9 +743,18 @@ export class RealPPGProcessor {
       const tempCompensatedSystolic = this.applyTemperatureCompensation(systolic);
       const tempCompensatedDiastolic = this.applyTemperatureCompensation(diastolic);
       
+      // Keep the uncalibrated estimate so a cuff reading can be paired with it
+      const estimate = { systolic: tempCompensatedSystolic, diastolic: tempCompensatedDiastolic };
+      const features = getCalibrationFeatures(heartRate, pulseFeatures.morphology);
+      this.lastBloodPressureSample = { estimate, features };
+      
+      // Apply the child's cuff calibration, if any
+      const calibrated = applyCalibration(this.calibration, estimate, features);
+      
       return {
-        systolic: Math.round(tempCompensatedSystolic),
-        diastolic: Math.round(tempCompensatedDiastolic)
+        systolic: Math.round(calibrated.systolic),
+        diastolic: Math.round(calibrated.diastolic),
+        calibrated: !!this.calibration
       };
 
     } catch (error) {
@@ -455,25 +763,32 @@ export class RealPPGProcessor {
     }
   }
 
-  // Extract pulse wave features
-  extractPulseWaveFeatures(signal) {
+  // Extract pulse wave features (statistics of the filtered signal plus beat
+  // morphology of the blood-volume waveform)
+  extractPulseWaveFeatures(signal, pulseWave = [], heartRate = null, artifactMask = null) {
     try {
       const features = {};
       
+      // Statistics use clean samples only
+      const cleanSignal = artifactMask ? signal.filter((_, i) => !artifactMask[i]) : signal;
+      
       // Calculate signal statistics
-      const mean = signal.reduce((sum, val) => sum + val, 0) / signal.length;
-      const variance = signal.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / signal.length;
+      const mean = cleanSignal.reduce((sum, val) => sum + val, 0) / cleanSignal.length;
+      const variance = cleanSignal.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / cleanSignal.length;
       const stdDev = Math.sqrt(variance);
       
       // Calculate signal characteristics
       features.amplitude = stdDev;
       features.mean = mean;
       features.variance = variance;
-      features.peakToPeak = Math.max(...signal) - Math.min(...signal);
+      features.peakToPeak = Math.max(...cleanSignal) - Math.min(...cleanSignal);
       
       // Calculate signal shape features
-      features.skewness = this.calculateSkewness(signal, mean, stdDev);
-      features.kurtosis = this.calculateKurtosis(signal, mean, stdDev);
+      features.skewness = this.calculateSkewness(cleanSignal, mean, stdDev);
+      features.kurtosis = this.calculateKurtosis(cleanSignal, mean, stdDev);
+      
+      // Beat morphology of clean beats (null when fewer than two)
+      features.morphology = extractMorphologyFeatures(pulseWave, this.samplingRate, heartRate, artifactMask);
       
       return features;
 
@@ -543,11 +858,10 @@ export class RealPPGProcessor {
     }
   }
 
-  // Calculate diastolic BP
+  // Calculate diastolic BP from systolic and the pulse morphology
   calculateDiastolicBP(pulseFeatures, systolic) {
     try {
-      // Diastolic is typically 60-80% of systolic
-      const ratio = 0.65 + (Math.random() - 0.5) * 0.1; // 60-70%
+      const ratio = this.estimateDiastolicRatio(pulseFeatures.morphology);
       return Math.round(systolic * ratio);
 
     } catch (error) {
@@ -556,13 +870,37 @@ export class RealPPGProcessor {
     }
   }
 
-  // Get age-specific BP adjustments
+  // Diastolic/systolic ratio from waveform morphology. A higher dicrotic
+  // notch means more pressure is left when the aortic valve closes, and a
+  // slower diastolic runoff (relative to the beat) means less of it drains
+  // away before the next beat; both raise diastolic. Centered on the typical
+  // pediatric ratio of 0.65 and kept within 0.55-0.75.
+  estimateDiastolicRatio(morphology) {
+    let ratio = 0.65;
+    if (!morphology) return ratio;
+
+    if (morphology.notchHeight !== null) {
+      ratio += 0.2 * (morphology.notchHeight - 0.5);
+    }
+    if (morphology.decayTime !== null && morphology.duration > 0) {
+      const relativeDecay = Math.min(2, morphology.decayTime / morphology.duration);
+      ratio += 0.1 * (relativeDecay - 0.5);
+    }
+
+    return Math.max(0.55, Math.min(0.75, ratio));
+  }
+
+  // Get age-specific BP adjustments (mmHg systolic, following the rise of
+  // normal blood pressure from newborns to adolescents)
   getAgeAdjustment() {
-    if (this.childAge <= 1) return -20;
-    if (this.childAge <= 3) return -15;
-    if (this.childAge <= 5) return -10;
-    if (this.childAge <= 7) return -5;
-    return 0;
+    if (this.childAge < 1 / 12) return -25;
+    if (this.childAge < 1) return -20;
+    if (this.childAge < 3) return -15;
+    if (this.childAge < 6) return -10;
+    if (this.childAge < 8) return -5;
+    if (this.childAge < 12) return 0;
+    if (this.childAge < 15) return 5;
+    return 10;
   }
 
   // Apply temperature compensation
@@ -579,111 +917,33 @@ export class RealPPGProcessor {
     }
   }
 
-  // Calculate confidence score
-  calculateConfidence(signal, heartRate) {
+  // Score the beats of the blood-volume waveform that are new since the
+  // last window (motion-corrupted beats are scored as unusable)
+  updateBeatQuality(pulseWave, rawSignal, timestamps, heartRate, artifactMask) {
     try {
-      let confidence = 0;
-      
-      // Signal quality factors
-      const snr = this.calculateSNR(signal);
-      const stability = this.calculateStability(signal);
-      const amplitude = this.calculateAmplitude(signal);
-      
-      // SNR contribution (30%)
-      if (snr > this.snrThreshold) {
-        confidence += 0.3;
-      } else {
-        confidence += (snr / this.snrThreshold) * 0.3;
-      }
-      
-      // Stability contribution (30%)
-      if (stability > this.stabilityThreshold) {
-        confidence += 0.3;
-      } else {
-        confidence += (stability / this.stabilityThreshold) * 0.3;
-      }
-      
-      // Amplitude contribution (20%)
-      if (amplitude > this.amplitudeThreshold) {
-        confidence += 0.2;
-      } else {
-        confidence += (amplitude / this.amplitudeThreshold) * 0.2;
-      }
-      
-      // Heart rate validity (20%)
-      if (heartRate && heartRate >= this.minHeartRate && heartRate <= this.maxHeartRate) {
-        confidence += 0.2;
-      }
-      
-      return Math.min(1.0, Math.max(0.0, confidence));
+      const beats = segmentBeats(pulseWave, this.samplingRate, heartRate);
+      this.beatQuality.update(pulseWave, rawSignal, timestamps, beats, {
+        margin: this.beatEdgeMargin,
+        excluded: artifactMask
+      });
 
     } catch (error) {
-      console.error('Confidence calculation error:', error);
-      return 0.5;
+      console.error('Beat quality error:', error);
     }
   }
 
-  // Calculate Signal-to-Noise Ratio
-  calculateSNR(signal) {
+  // Confidence (0-1) from the per-beat signal quality of the scan so far,
+  // lowered when the peak and spectral heart rates disagree
+  calculateConfidence(heartRate) {
     try {
-      const mean = signal.reduce((sum, val) => sum + val, 0) / signal.length;
-      const signalPower = signal.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / signal.length;
-      
-      // Estimate noise power from high-frequency components
-      const noisePower = this.estimateNoisePower(signal);
-      
-      if (noisePower === 0) return 10; // High SNR if no noise
-      
-      return 10 * Math.log10(signalPower / noisePower);
+      if (!heartRate) return 0;
 
-    } catch (error) {
-      return 5;
-    }
-  }
-
-  // Estimate noise power from high-frequency components
-  estimateNoisePower(signal) {
-    try {
-      let noiseSum = 0;
-      let count = 0;
-      
-      for (let i = 1; i < signal.length; i++) {
-        const diff = Math.abs(signal[i] - signal[i-1]);
-        noiseSum += diff * diff;
-        count++;
-      }
-      
-      return count > 0 ? noiseSum / count : 0.01;
-
-    } catch (error) {
-      return 0.01;
-    }
-  }
-
-  // Calculate signal stability
-  calculateStability(signal) {
-    try {
-      const mean = signal.reduce((sum, val) => sum + val, 0) / signal.length;
-      const variance = signal.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / signal.length;
-      const stdDev = Math.sqrt(variance);
-      
-      // Stability is inverse of coefficient of variation
-      return mean > 0 ? Math.max(0, 1 - (stdDev / mean)) : 0;
+      const { confidence } = this.beatQuality.getSummary();
+      return confidence * (0.5 + 0.5 * this.heartRateEstimate.agreement);
 
     } catch (error) {
-      return 0.5;
-    }
-  }
-
-  // Calculate signal amplitude
-  calculateAmplitude(signal) {
-    try {
-      const min = Math.min(...signal);
-      const max = Math.max(...signal);
-      return max - min;
-
-    } catch (error) {
-      return 0.5;
+      console.error('Confidence calculation error:', error);
+      return 0;
     }
   }
 
@@ -726,7 +986,7 @@ export class RealPPGProcessor {
       
       return recentSignals.map((signal, index) => ({
         x: index,
-        y: signal.value,
+        y: signal[this.activeChannel],
         timestamp: signal.timestamp
       }));
 
@@ -736,14 +996,38 @@ export class RealPPGProcessor {
     }
   }
 
-  // Set temperature for compensation
+  // Set the body temperature (°C): the heart rate is interpreted against it
+  // and blood pressure compensated for it
   setTemperature(temp) {
-    this.temperature = Math.max(35, Math.min(42, temp));
+    this.temperature = clampTemperature(temp);
+  }
+
+  // Add an accelerometer sample ({ x, y, z } in g). Without a timestamp it is
+  // placed at the newest frame, which it arrived alongside.
+  addMotionSample(sample) {
+    const timestamp = typeof sample.timestamp === 'number'
+      ? sample.timestamp
+      : (this.signalBuffer.length > 0 ? this.signalBuffer[this.signalBuffer.length - 1].timestamp : null);
+    if (timestamp === null) return;
+
+    this.motionSamples.push({ timestamp, x: sample.x, y: sample.y, z: sample.z });
+  }
+
+  // Set (or clear with null) the child's blood pressure calibration
+  setCalibration(calibration) {
+    this.calibration = calibration || null;
+  }
+
+  // Uncalibrated estimate and features of the last analysed window, to pair
+  // with a cuff reading ({ estimate, features } or null). PPGPipeline keeps
+  // the one that belongs to its last valid result.
+  getCalibrationSample() {
+    return this.lastBloodPressureSample;
   }
 
-  // Set child age for age-specific calculations
+  // Set child age (years, month precision) for age-specific calculations
   setChildAge(age) {
-    this.childAge = Math.max(0, Math.min(7, age));
+    this.childAge = Math.max(0, Math.min(MAX_CHILD_AGE, age));
   }
 
   // Reset processor state
@@ -751,6 +1035,16 @@ export class RealPPGProcessor {
     this.signalBuffer = [];
     this.heartRateHistory = [];
     this.bpHistory = [];
+    this.lastBloodPressureSample = null;
+    this.sessionBeats = [];
+    this.beatQuality.reset();
+    this.motionSamples = [];
+    this.artifactSegments = [];
+    this.activeChannel = 'g';
+    this.channelAssessment = null;
+    this.placementGuidance = null;
+    this.heartRateEstimate = { peak: null, spectral: null, heartRate: null, agreement: 0, source: 'none' };
+    this.frameTiming = measureFrameTiming([]);
     this.fingerDetector.reset();
     this.isProcessing = false;
   }
@@ -760,8 +1054,21 @@ export class RealPPGProcessor {
     return {
       bufferSize: this.signalBuffer.length,
       maxBufferSize: this.maxBufferSize,
+      bufferDuration: this.getBufferDuration(),
       samplingRate: this.samplingRate,
+      effectiveFrameRate: this.frameTiming.effectiveFrameRate,
+      nominalFrameRate: this.frameTiming.nominalFrameRate,
+      droppedFrames: this.frameTiming.droppedFrames,
+      maxFrameGap: this.frameTiming.maxGap,
       heartRateHistory: [...this.heartRateHistory],
+      heartRateEstimate: { ...this.heartRateEstimate },
+      beatCount: this.sessionBeats.length,
+      beats: this.sessionBeats.map(beat => ({ ...beat })),
+      signalQuality: this.beatQuality.getSummary(),
+      activeChannel: this.activeChannel,
+      channelAssessment: this.channelAssessment,
+      hrv: this.calculateHRV(),
+      respiration: this.calculateRespiratoryRate(),
       bpHistory: [...this.bpHistory],
       temperature: this.temperature,
       childAge: this.childAge
@@ -0,0 +1,156 @@
+// Pediatric reference ranges shared by the processors and the results screen.
+// Ranges are used to flag readings, never to alter them.
+
+// Ages are in years with month precision (0.25 = 3 months). Each bucket
+// covers ages from the previous bucket's maxAge up to, not including, its own.
+// The tables cover children up to MAX_CHILD_AGE; older ages use the last bucket.
+export const MAX_CHILD_AGE = 18;
+
+const MONTH = 1 / 12;
+
+// Healthy heart rate by age (BPM): 1st-99th centiles of Fleming et al.,
+// Lancet 2011, for children awake at rest
+export const HEART_RATE_RANGES = [
+  { maxAge: 3 * MONTH, min: 107, max: 181 },
+  { maxAge: 6 * MONTH, min: 104, max: 175 },
+  { maxAge: 9 * MONTH, min: 98, max: 168 },
+  { maxAge: 1, min: 93, max: 161 },
+  { maxAge: 1.5, min: 88, max: 156 },
+  { maxAge: 2, min: 82, max: 149 },
+  { maxAge: 3, min: 76, max: 142 },
+  { maxAge: 4, min: 70, max: 136 },
+  { maxAge: 6, min: 65, max: 131 },
+  { maxAge: 8, min: 59, max: 123 },
+  { maxAge: 12, min: 52, max: 115 },
+  { maxAge: 15, min: 47, max: 108 },
+  { maxAge: Infinity, min: 43, max: 104 },
+];
+
+// Body temperature (°C) taken as normal, and the temperature from which a
+// child has a fever
+export const NORMAL_TEMPERATURE = 37.0;
+export const FEVER_TEMPERATURE = 38.0;
+
+// Heart rate rises by about 10 BPM per °C of fever in children (Thompson et
+// al., Arch Dis Child 2009)
+export const FEVER_HEART_RATE_PER_DEGREE = 10;
+
+// Heart rates outside these limits (BPM) cannot come from a child's pulse and
+// point to a measurement problem rather than a medical one
+export const PLAUSIBLE_HEART_RATE = { min: 30, max: 250 };
+
+// Normal respiratory rate by age (breaths per minute): 1st-99th centiles of
+// Fleming et al., Lancet 2011
+export const RESPIRATORY_RATE_RANGES = [
+  { maxAge: 3 * MONTH, min: 25, max: 66 },
+  { maxAge: 6 * MONTH, min: 24, max: 64 },
+  { maxAge: 9 * MONTH, min: 23, max: 61 },
+  { maxAge: 1, min: 22, max: 58 },
+  { maxAge: 1.5, min: 21, max: 53 },
+  { maxAge: 2, min: 19, max: 46 },
+  { maxAge: 3, min: 18, max: 38 },
+  { maxAge: 4, min: 17, max: 33 },
+  { maxAge: 6, min: 17, max: 29 },
+  { maxAge: 8, min: 16, max: 27 },
+  { maxAge: 12, min: 14, max: 25 },
+  { maxAge: 15, min: 12, max: 23 },
+  { maxAge: Infinity, min: 11, max: 22 },
+];
+
+// Respiratory rates a PPG estimate can plausibly report (breaths per minute)
+export const PLAUSIBLE_RESPIRATORY_RATE = { min: 4, max: 100 };
+
+// Typical blood pressure by age (mmHg), from the PALS normal ranges
+export const BLOOD_PRESSURE_RANGES = [
+  { maxAge: MONTH, systolic: { min: 67, max: 84 }, diastolic: { min: 35, max: 53 } },
+  { maxAge: 1, systolic: { min: 72, max: 104 }, diastolic: { min: 37, max: 56 } },
+  { maxAge: 3, systolic: { min: 86, max: 106 }, diastolic: { min: 42, max: 63 } },
+  { maxAge: 6, systolic: { min: 89, max: 112 }, diastolic: { min: 46, max: 72 } },
+  { maxAge: 10, systolic: { min: 97, max: 115 }, diastolic: { min: 57, max: 76 } },
+  { maxAge: 12, systolic: { min: 102, max: 120 }, diastolic: { min: 61, max: 80 } },
+  { maxAge: Infinity, systolic: { min: 110, max: 131 }, diastolic: { min: 64, max: 83 } },
+];
+
+// Flags reported with every heart rate and respiratory rate reading
+export const READING_FLAGS = {
+  BELOW_RANGE: 'below_range',
+  IN_RANGE: 'in_range',
+  ABOVE_RANGE: 'above_range',
+  IMPLAUSIBLE: 'implausible',
+};
+
+// Find the bucket of an age-indexed table for an age in years
+function findAgeBucket(table, age) {
+  return table.find(bucket => age < bucket.maxAge) || table[table.length - 1];
+}
+
+// Classify a reading against a healthy range and plausibility limits
+function classifyReading(value, range, plausible) {
+  if (!value) return null;
+
+  if (value < plausible.min || value > plausible.max) {
+    return READING_FLAGS.IMPLAUSIBLE;
+  }
+
+  if (value < range.min) return READING_FLAGS.BELOW_RANGE;
+  if (value > range.max) return READING_FLAGS.ABOVE_RANGE;
+  return READING_FLAGS.IN_RANGE;
+}
+
+// Physiologically possible heart rates { min, max } (BPM) for an age in
+// years: the band the processors search for the pulse. Wider than the
+// healthy range so abnormal rates can still be measured.
+export function getHeartRateSearchBand(age) {
+  if (age < 0.5) return { min: 90, max: 240 };
+  if (age < 1) return { min: 80, max: 230 };
+  if (age < 3) return { min: 65, max: 210 };
+  if (age < 8) return { min: 50, max: 190 };
+  if (age < 12) return { min: 40, max: 180 };
+  return { min: 35, max: 180 };
+}
+
+// Expected rise of the heart rate (BPM) at a body temperature in °C; 0
+// without a fever or without a temperature
+export function getFeverHeartRateIncrease(temperature) {
+  if (!(temperature >= FEVER_TEMPERATURE)) return 0;
+  return Math.round(FEVER_HEART_RATE_PER_DEGREE * (temperature - NORMAL_TEMPERATURE));
+}
+
+// Healthy heart rate range { min, max } in BPM for an age in years. With a
+// body temperature (°C) the upper limit is raised for fever; the lower limit
+// stays, as a slow heart rate during fever still needs attention.
+export function getHeartRateRange(age, temperature = null) {
+  const { min, max } = findAgeBucket(HEART_RATE_RANGES, age);
+  return { min, max: max + getFeverHeartRateIncrease(temperature) };
+}
+
+// Classify a measured heart rate against the healthy range for the age and,
+// optionally, the body temperature in °C
+export function classifyHeartRate(heartRate, age, temperature = null) {
+  return classifyReading(heartRate, getHeartRateRange(age, temperature), PLAUSIBLE_HEART_RATE);
+}
+
+// Whether a heart rate above the resting range for the age may be explained
+// by fever at a body temperature in °C (even if it is still too high for it)
+export function isFeverRelatedHeartRate(heartRate, age, temperature) {
+  if (getFeverHeartRateIncrease(temperature) === 0) return false;
+  return classifyHeartRate(heartRate, age) === READING_FLAGS.ABOVE_RANGE;
+}
+
+// Normal respiratory rate range { min, max } in breaths/min for an age in years
+export function getRespiratoryRateRange(age) {
+  const { min, max } = findAgeBucket(RESPIRATORY_RATE_RANGES, age);
+  return { min, max };
+}
+
+// Classify an estimated respiratory rate against the normal range for the age
+export function classifyRespiratoryRate(respiratoryRate, age) {
+  return classifyReading(respiratoryRate, getRespiratoryRateRange(age), PLAUSIBLE_RESPIRATORY_RATE);
+}
+
+// Typical blood pressure { systolic: { min, max }, diastolic: { min, max } }
+// in mmHg for an age in years
+export function getBloodPressureRange(age) {
+  const { systolic, diastolic } = findAgeBucket(BLOOD_PRESSURE_RANGES, age);
+  return { systolic: { ...systolic }, diastolic: { ...diastolic } };
+}
@@ -0,0 +1,137 @@
+// Respiratory rate from breathing-induced modulation of the PPG.
+//
+// Breathing changes the pulse in three ways, each sampled once per beat:
+//  - amplitude modulation (AM): pulse amplitude follows stroke volume
+//  - baseline modulation (BM): venous return shifts the signal baseline
+//  - frequency modulation (FM): respiratory sinus arrhythmia speeds the
+//    heart up on inspiration
+// Each series is interpolated onto a uniform grid and its dominant spectral
+// frequency is taken as a candidate rate. Candidates that agree are
+// averaged; when they disagree there is no reliable estimate.
+
+import { resampleUniform } from './SignalResampling.js';
+import { estimateSpectralHeartRate } from './SpectralAnalysis.js';
+
+// Uniform rate the per-beat series are interpolated to (Hz)
+const SERIES_SAMPLE_RATE = 4;
+
+// Seconds of beats needed for an estimate (a few breaths at the slowest rate)
+export const MIN_RESPIRATORY_DURATION = 15;
+
+// Candidates within this many breaths/min of each other agree
+const AGREEMENT_TOLERANCE = 4;
+
+// Candidates with less spectral concentration than this are ignored
+const MIN_CANDIDATE_CONFIDENCE = 0.25;
+
+// Remove the mean and linear trend of a uniformly sampled series
+function detrend(values) {
+  const n = values.length;
+  const meanIndex = (n - 1) / 2;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (i - meanIndex) * (values[i] - mean);
+    variance += (i - meanIndex) * (i - meanIndex);
+  }
+  const slope = variance > 0 ? covariance / variance : 0;
+
+  return values.map((v, i) => v - mean - slope * (i - meanIndex));
+}
+
+// Per-beat modulation series as { timestamp, value } samples.
+// beats: [{ time, amplitude, baseline }] in time order.
+function modulationSeries(beats) {
+  const am = beats.map(beat => ({ timestamp: beat.time, value: beat.amplitude }));
+  const bm = beats.map(beat => ({ timestamp: beat.time, value: beat.baseline }));
+
+  // Intervals placed at their midpoint; implausible jumps (missed or extra
+  // beats) are left out rather than read as breathing
+  const intervals = [];
+  for (let i = 1; i < beats.length; i++) {
+    intervals.push({
+      timestamp: (beats[i].time + beats[i - 1].time) / 2,
+      value: beats[i].time - beats[i - 1].time
+    });
+  }
+  const sorted = intervals.map(interval => interval.value).sort((a, b) => a - b);
+  const typical = sorted[Math.floor(sorted.length / 2)];
+  const fm = intervals.filter(interval => Math.abs(interval.value - typical) <= 0.3 * typical);
+
+  return { am, bm, fm };
+}
+
+// Dominant breathing rate of one modulation series, or null
+function estimateFromSeries(series, minRate, maxRate) {
+  if (series.length < 4) return null;
+
+  const duration = series[series.length - 1].timestamp - series[0].timestamp;
+  if (duration < MIN_RESPIRATORY_DURATION) return null;
+
+  const uniform = resampleUniform(series, SERIES_SAMPLE_RATE, ['value']);
+  const values = detrend(uniform.samples.map(sample => sample.value));
+
+  // Same spectral peak picking as heart rate, over the whole series as one
+  // segment; a subharmonic ratio above 1 disables the harmonic correction
+  // since breathing modulation is close to sinusoidal
+  const estimate = estimateSpectralHeartRate(values, SERIES_SAMPLE_RATE, {
+    minBPM: minRate,
+    maxBPM: maxRate,
+    segmentDuration: duration,
+    minFFTSize: 1024,
+    subharmonicRatio: 1.01
+  });
+  if (!estimate || estimate.confidence < MIN_CANDIDATE_CONFIDENCE) return null;
+
+  return { rate: estimate.heartRate, confidence: estimate.confidence };
+}
+
+// Estimate respiratory rate (breaths/min) from the scan's beats.
+// Returns { respiratoryRate, confidence, estimates: { am, bm, fm } } where
+// respiratoryRate is null when no two modulations agree.
+export function estimateRespiratoryRate(beats, options = {}) {
+  const { minRate = 6, maxRate = 60 } = options;
+  const empty = { respiratoryRate: null, confidence: 0, estimates: { am: null, bm: null, fm: null } };
+
+  if (!beats || beats.length < 4) return empty;
+
+  // Modulation is sampled once per beat, so breathing must be slower than
+  // half the heart rate to be resolved
+  const duration = beats[beats.length - 1].time - beats[0].time;
+  const beatRate = 60 * (beats.length - 1) / duration;
+  const upperRate = Math.min(maxRate, 0.5 * beatRate);
+  if (!(duration > 0) || upperRate <= minRate) return empty;
+
+  const { am, bm, fm } = modulationSeries(beats);
+  const estimates = {
+    am: estimateFromSeries(am, minRate, upperRate),
+    bm: estimateFromSeries(bm, minRate, upperRate),
+    fm: estimateFromSeries(fm, minRate, upperRate)
+  };
+
+  // Largest group of candidates that agree with each other
+  const candidates = Object.values(estimates).filter(Boolean);
+  let best = [];
+  for (const candidate of candidates) {
+    const group = candidates.filter(other => Math.abs(other.rate - candidate.rate) <= AGREEMENT_TOLERANCE);
+    const groupConfidence = (g) => g.reduce((sum, c) => sum + c.confidence, 0);
+    if (group.length > best.length ||
+        (group.length === best.length && groupConfidence(group) > groupConfidence(best))) {
+      best = group;
+    }
+  }
+
+  if (best.length < 2) return { ...empty, estimates };
+
+  // Confidence-weighted mean of the agreeing candidates
+  const totalConfidence = best.reduce((sum, c) => sum + c.confidence, 0);
+  const respiratoryRate = best.reduce((sum, c) => sum + c.rate * c.confidence, 0) / totalConfidence;
+
+  return {
+    respiratoryRate,
+    confidence: (totalConfidence / best.length) * (best.length / 3),
+    estimates
+  };
+}
@@ -0,0 +1,222 @@
+// Offline replay of recorded PPG sessions.
+//
+// A recorded session is the stream of ROI mean RGB samples the camera
+// delivered ({ timestamp in seconds, r, g, b in 0-255 }), optionally with
+// the accelerometer samples recorded alongside. Replay plays the samples
+// through RecordedFrameSource into a PPGPipeline, the same path live camera
+// samples take in the app, and snapshots the result at regular steps of
+// session time. Any registered algorithm can be replayed, so algorithms
+// can be compared on the same recording. Nothing here touches native
+// modules, so recorded sessions can be rerun as regression checks in plain
+// Node.
+
+import { RecordedFrameSource } from './FrameAcquisition.js';
+import { PPGPipeline, DEFAULT_ALGORITHM } from './PPGPipeline.js';
+import { MEASUREMENT_SOURCES } from './MeasurementRecord.js';
+
+// Seconds of session time between result snapshots
+export const DEFAULT_WINDOW_STEP = 1;
+
+// Parse a finite number, or null
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Keep only complete { timestamp, r, g, b } samples, in time order
+function cleanSamples(samples) {
+  return samples
+    .map(sample => ({
+      ...sample,
+      timestamp: toNumber(sample.timestamp),
+      r: toNumber(sample.r),
+      g: toNumber(sample.g),
+      b: toNumber(sample.b)
+    }))
+    .filter(sample => [sample.timestamp, sample.r, sample.g, sample.b].every(v => v !== null))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Keep only complete { timestamp, x, y, z } accelerometer samples
+function cleanMotionSamples(samples) {
+  return samples
+    .map(sample => ({
+      timestamp: toNumber(sample.timestamp),
+      x: toNumber(sample.x),
+      y: toNumber(sample.y),
+      z: toNumber(sample.z)
+    }))
+    .filter(sample => [sample.timestamp, sample.x, sample.y, sample.z].every(v => v !== null))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// "# name: value" comment line of a CSV
+const CSV_METADATA_LINE = /^#\s*([A-Za-z_]\w*)\s*:\s*(.*)$/;
+
+// Metadata from "# name: value" comment lines; numeric values become
+// numbers and empty ones null
+function parseCSVMetadata(lines) {
+  const metadata = {};
+  for (const line of lines) {
+    const match = line.match(CSV_METADATA_LINE);
+    if (!match) continue;
+    const value = match[2].trim();
+    const number = Number(value);
+    metadata[match[1]] = value === '' ? null : (Number.isFinite(number) ? number : value);
+  }
+  return metadata;
+}
+
+// Parse CSV text with a header row naming at least timestamp, r, g and b:
+// { rows, metadata }
+function parseCSV(text) {
+  const allLines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const lines = allLines.filter(line => !line.startsWith('#'));
+  if (lines.length < 2) {
+    throw new Error('Recorded session CSV has no samples');
+  }
+
+  const columns = lines[0].split(',').map(name => name.trim().toLowerCase());
+  for (const required of ['timestamp', 'r', 'g', 'b']) {
+    if (!columns.includes(required)) {
+      throw new Error(`Recorded session CSV is missing the "${required}" column`);
+    }
+  }
+
+  const rows = lines.slice(1).map(line => {
+    const values = line.split(',');
+    const sample = {};
+    columns.forEach((name, i) => {
+      sample[name] = values[i];
+    });
+    return sample;
+  });
+  return { rows, metadata: parseCSVMetadata(allLines.filter(line => line.startsWith('#'))) };
+}
+
+// Parse a recorded session from JSON or CSV text. JSON is either an array
+// of samples or { samples, motion, metadata }; CSV has a header row and
+// may carry metadata as "# name: value" comment lines (e.g. childAge and
+// temperature, the replay defaults). A CSV with a kind column (session
+// exports, MeasurementExport.js) holds accelerometer samples in its motion
+// rows.
+// Returns { samples, motion, metadata } with samples sorted by time.
+export function parseRecordedSession(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    throw new Error('Recorded session is empty');
+  }
+
+  let samples;
+  let motion = [];
+  let metadata = {};
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    if (Array.isArray(parsed)) {
+      samples = parsed;
+    } else {
+      samples = parsed.samples || [];
+      motion = parsed.motion || [];
+      metadata = parsed.metadata || {};
+    }
+  } else {
+    const csv = parseCSV(trimmed);
+    samples = csv.rows.filter(row => !row.kind || row.kind === 'sample');
+    motion = csv.rows.filter(row => row.kind === 'motion');
+    metadata = csv.metadata;
+  }
+
+  const cleaned = cleanSamples(samples);
+  if (cleaned.length === 0) {
+    throw new Error('Recorded session has no valid { timestamp, r, g, b } samples');
+  }
+
+  return { samples: cleaned, motion: cleanMotionSamples(motion), metadata };
+}
+
+// Compact per-window summary of a pipeline result
+function summarizeResult(time, result) {
+  return {
+    time,
+    heartRate: result?.heartRate ?? null,
+    systolic: result?.bloodPressure.systolic ?? null,
+    diastolic: result?.bloodPressure.diastolic ?? null,
+    confidence: result?.confidence ?? 0,
+    quality: result?.quality || 'collecting',
+    motionDetected: !!result?.motionDetected,
+    isValid: result?.isValid ?? false
+  };
+}
+
+// Replay a session ({ samples, motion, metadata } or a bare sample array)
+// through a pipeline.
+//  options.algorithm: name in PPG_ALGORITHMS (default 'real') or an
+//    algorithm instance
+//  options.childAge / options.temperature: default to the session metadata
+//  options.calibration: blood pressure calibration
+//  options.windowStep: seconds of session time between snapshots
+//  options.onWindow: called with each window summary as it is produced
+// Returns { algorithm, frameCount, duration, windows, finalResult, stats,
+// record } where record is the measurement record of the whole session
+// (null without a valid reading).
+export async function replaySession(session, options = {}) {
+  const recorded = Array.isArray(session) ? { samples: session, motion: [], metadata: {} } : session;
+  const metadata = recorded.metadata || {};
+  const samples = cleanSamples(recorded.samples || []);
+  const motion = cleanMotionSamples(recorded.motion || []);
+
+  const {
+    algorithm = DEFAULT_ALGORITHM,
+    childAge = metadata.childAge,
+    temperature = metadata.temperature,
+    calibration = null,
+    windowStep = DEFAULT_WINDOW_STEP,
+    onWindow = null
+  } = options;
+
+  const pipeline = new PPGPipeline({ algorithm });
+  if (typeof childAge === 'number') pipeline.setChildAge(childAge);
+  if (typeof temperature === 'number') pipeline.setTemperature(temperature);
+  if (calibration) pipeline.setCalibration(calibration);
+
+  // The frame source re-bases timestamps to the first frame; accelerometer
+  // samples recorded on the same clock are shifted to match
+  const origin = samples.length > 0 ? samples[0].timestamp : 0;
+  const source = new RecordedFrameSource(samples);
+  const delivered = [];
+  source.onSample(sample => delivered.push(sample));
+  await source.start();
+
+  const windows = [];
+  let result = null;
+  let nextWindow = windowStep;
+  let motionIndex = 0;
+
+  for (const sample of delivered) {
+    while (motionIndex < motion.length && motion[motionIndex].timestamp - origin <= sample.timestamp) {
+      pipeline.addMotionSample({ ...motion[motionIndex], timestamp: motion[motionIndex].timestamp - origin });
+      motionIndex++;
+    }
+
+    result = (await pipeline.processFrame(sample)) || result;
+
+    if (sample.timestamp >= nextWindow) {
+      const summary = summarizeResult(sample.timestamp, result);
+      windows.push(summary);
+      if (onWindow) onWindow(summary);
+      while (nextWindow <= sample.timestamp) nextWindow += windowStep;
+    }
+  }
+
+  const acquisition = source.getStats();
+  return {
+    algorithm: pipeline.algorithmName,
+    frameCount: acquisition.frameCount,
+    duration: acquisition.duration,
+    windows,
+    finalResult: result,
+    stats: pipeline.getStats(),
+    record: pipeline.getMeasurementRecord({ source: MEASUREMENT_SOURCES.REPLAY })
+  };
+}
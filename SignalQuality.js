@@ -0,0 +1,195 @@
+// Per-beat signal quality index (SQI) by template matching.
+//
+// A clean pulse repeats the same shape beat after beat, so each beat is
+// compared with the session's average beat. Each beat is scored on:
+//  - correlation with the template (shape consistency; the main factor)
+//  - skewness (a real pulse rises fast and decays slowly, so it skews
+//    positive; noise and motion are roughly symmetric)
+//  - perfusion (pulsatile fraction of the raw light level; weak pulses are
+//    easily swamped by noise)
+// The session confidence is the mean beat SQI, scaled down until enough
+// good beats have been seen.
+
+// Points each beat is resampled to for comparison
+export const BEAT_TEMPLATE_LENGTH = 40;
+
+// Beats averaged from the current window before the session template takes over
+const MIN_TEMPLATE_BEATS = 5;
+
+// Beats need at least this correlation to join the session template
+const MIN_TEMPLATE_CORRELATION = 0.6;
+
+// A beat with an SQI at or above this is acceptable
+export const ACCEPTABLE_BEAT_SQI = 0.5;
+
+// Acceptable beats needed for full session confidence
+const MIN_ACCEPTABLE_BEATS = 5;
+
+// Correlation mapped to 0-1 between these limits
+const CORRELATION_FLOOR = 0.5;
+const CORRELATION_CEILING = 0.9;
+
+// Skewness mapped to 0-1 between these limits
+const SKEWNESS_FLOOR = -0.5;
+const SKEWNESS_CEILING = 0.5;
+
+// Perfusion (AC/DC) that earns a full score
+const GOOD_PERFUSION = 0.005;
+
+// Beats reported in the breakdown
+const MAX_REPORTED_BEATS = 60;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+// Zero mean, unit variance
+function standardize(shape) {
+  const mean = shape.reduce((sum, v) => sum + v, 0) / shape.length;
+  const sd = Math.sqrt(shape.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / shape.length);
+  return shape.map(v => (sd > 0 ? (v - mean) / sd : 0));
+}
+
+// Beat signal[foot..nextFoot] resampled to BEAT_TEMPLATE_LENGTH points and
+// standardized (zero mean, unit variance)
+export function beatShape(signal, beat) {
+  const { foot, nextFoot } = beat;
+  const span = nextFoot - foot;
+  const shape = new Array(BEAT_TEMPLATE_LENGTH);
+
+  for (let k = 0; k < BEAT_TEMPLATE_LENGTH; k++) {
+    const position = foot + (span * k) / (BEAT_TEMPLATE_LENGTH - 1);
+    const i = Math.min(nextFoot - 1, Math.floor(position));
+    const fraction = position - i;
+    shape[k] = signal[i] + (signal[i + 1] - signal[i]) * fraction;
+  }
+
+  return standardize(shape);
+}
+
+// Pearson correlation of two standardized shapes
+export function shapeCorrelation(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum / a.length;
+}
+
+// Skewness of a standardized shape
+function shapeSkewness(shape) {
+  return shape.reduce((sum, v) => sum + v * v * v, 0) / shape.length;
+}
+
+// Element-wise mean of shapes
+function averageShape(shapes) {
+  const mean = new Array(BEAT_TEMPLATE_LENGTH).fill(0);
+  for (const shape of shapes) {
+    for (let k = 0; k < BEAT_TEMPLATE_LENGTH; k++) mean[k] += shape[k] / shapes.length;
+  }
+  return mean;
+}
+
+// Combine the three measures into a beat SQI (0-1). Template correlation
+// gates the score; skewness and perfusion refine it.
+export function scoreBeat({ correlation, skewness, perfusion }) {
+  const correlationScore = clamp01((correlation - CORRELATION_FLOOR) / (CORRELATION_CEILING - CORRELATION_FLOOR));
+  const skewnessScore = clamp01((skewness - SKEWNESS_FLOOR) / (SKEWNESS_CEILING - SKEWNESS_FLOOR));
+  const perfusionScore = clamp01(perfusion / GOOD_PERFUSION);
+
+  return correlationScore * (0.5 + 0.25 * skewnessScore + 0.25 * perfusionScore);
+}
+
+// Scores every beat of the scan once and keeps the session's average beat
+export class BeatQualityTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.beats = [];
+    this.templateSum = new Array(BEAT_TEMPLATE_LENGTH).fill(0);
+    this.templateCount = 0;
+    this.lastBeatTime = -Infinity;
+  }
+
+  // Session template, or null until MIN_TEMPLATE_BEATS beats have joined it
+  getTemplate() {
+    if (this.templateCount < MIN_TEMPLATE_BEATS) return null;
+    return standardize(this.templateSum.map(v => v / this.templateCount));
+  }
+
+  // Score the window's new beats.
+  //  pulseWave: blood-volume waveform the beats were segmented from
+  //  rawSignal: unfiltered light level on the same grid (for perfusion)
+  //  timestamps: sample times (seconds)
+  //  beats: [{ foot, peak, nextFoot }] from segmentBeats
+  //  options.margin: seconds at the window edges where beats are not final
+  //  options.excluded: per-sample mask of corrupted samples
+  update(pulseWave, rawSignal, timestamps, beats, options = {}) {
+    const { margin = 0.5, excluded = null } = options;
+    if (beats.length === 0 || timestamps.length === 0) return;
+
+    const windowStart = timestamps[0] + margin;
+    const windowEnd = timestamps[timestamps.length - 1] - margin;
+    const shapes = beats.map(beat => beatShape(pulseWave, beat));
+    const touchesMask = (beat) => !!excluded && excluded.slice(beat.foot, beat.nextFoot + 1).some(Boolean);
+
+    // Until the session template is ready, compare against the window's
+    // own clean beats
+    const template = this.getTemplate() ||
+      standardize(averageShape(shapes.filter((_, i) => !touchesMask(beats[i]))));
+
+    beats.forEach((beat, i) => {
+      const footTime = timestamps[beat.foot];
+      const endTime = timestamps[beat.nextFoot];
+      const minSpacing = 0.5 * (endTime - footTime);
+      if (footTime < windowStart || endTime > windowEnd || footTime - this.lastBeatTime < minSpacing) return;
+
+      this.lastBeatTime = footTime;
+
+      // Corrupted beats count against the session
+      if (touchesMask(beat)) {
+        this.beats.push({ time: footTime, correlation: 0, skewness: 0, perfusion: 0, sqi: 0, artifact: true });
+        return;
+      }
+
+      const raw = rawSignal.slice(beat.foot, beat.nextFoot + 1);
+      const level = raw.reduce((sum, v) => sum + v, 0) / raw.length;
+      const measures = {
+        correlation: shapeCorrelation(shapes[i], template),
+        skewness: shapeSkewness(shapes[i]),
+        perfusion: level > 0 ? (Math.max(...raw) - Math.min(...raw)) / level : 0
+      };
+
+      this.beats.push({ time: footTime, ...measures, sqi: scoreBeat(measures), artifact: false });
+
+      if (measures.correlation >= MIN_TEMPLATE_CORRELATION) {
+        for (let k = 0; k < BEAT_TEMPLATE_LENGTH; k++) this.templateSum[k] += shapes[i][k];
+        this.templateCount++;
+      }
+    });
+  }
+
+  // Session quality breakdown; confidence is 0-1
+  getSummary() {
+    const count = this.beats.length;
+    if (count === 0) {
+      return { confidence: 0, beatCount: 0, acceptableBeats: 0, artifactBeats: 0, meanSQI: 0,
+        meanCorrelation: null, meanSkewness: null, meanPerfusion: null, beats: [] };
+    }
+
+    const clean = this.beats.filter(beat => !beat.artifact);
+    const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+    const acceptableBeats = this.beats.filter(beat => beat.sqi >= ACCEPTABLE_BEAT_SQI).length;
+    const meanSQI = mean(this.beats.map(beat => beat.sqi));
+
+    return {
+      confidence: meanSQI * Math.min(1, acceptableBeats / MIN_ACCEPTABLE_BEATS),
+      beatCount: count,
+      acceptableBeats,
+      artifactBeats: count - clean.length,
+      meanSQI,
+      meanCorrelation: mean(clean.map(beat => beat.correlation)),
+      meanSkewness: mean(clean.map(beat => beat.skewness)),
+      meanPerfusion: mean(clean.map(beat => beat.perfusion)),
+      beats: this.beats.slice(-MAX_REPORTED_BEATS)
+    };
+  }
+}
@@ -0,0 +1,96 @@
+// Resampling of irregularly timed PPG samples onto a uniform time grid.
+// Camera frames arrive with jitter and drops, while the filters and peak
+// detection downstream assume a fixed sample rate.
+
+const DEFAULT_FIELDS = ['value', 'r', 'g', 'b'];
+
+// Median interval between consecutive timestamps (seconds)
+export function medianInterval(timestamps) {
+  const intervals = [];
+  for (let i = 1; i < timestamps.length; i++) {
+    const interval = timestamps[i] - timestamps[i - 1];
+    if (interval > 0) intervals.push(interval);
+  }
+
+  if (intervals.length === 0) return 0;
+
+  intervals.sort((a, b) => a - b);
+  const middle = Math.floor(intervals.length / 2);
+  return intervals.length % 2 === 0
+    ? (intervals[middle - 1] + intervals[middle]) / 2
+    : intervals[middle];
+}
+
+// Measure the delivered frame rate and timing irregularities
+export function measureFrameTiming(timestamps) {
+  if (timestamps.length < 2) {
+    return { effectiveFrameRate: 0, nominalFrameRate: 0, droppedFrames: 0, maxGap: 0 };
+  }
+
+  const duration = timestamps[timestamps.length - 1] - timestamps[0];
+  const typicalInterval = medianInterval(timestamps);
+
+  // Frames missing between two delivered frames show up as multiples of the
+  // typical interval
+  let droppedFrames = 0;
+  let maxGap = 0;
+  for (let i = 1; i < timestamps.length; i++) {
+    const interval = timestamps[i] - timestamps[i - 1];
+    maxGap = Math.max(maxGap, interval);
+    if (typicalInterval > 0) {
+      droppedFrames += Math.max(0, Math.round(interval / typicalInterval) - 1);
+    }
+  }
+
+  return {
+    // Frames actually delivered per second, drops included
+    effectiveFrameRate: duration > 0 ? (timestamps.length - 1) / duration : 0,
+    // Rate the camera is running at when it does not drop frames
+    nominalFrameRate: typicalInterval > 0 ? 1 / typicalInterval : 0,
+    droppedFrames,
+    maxGap
+  };
+}
+
+// Linearly interpolate samples ({ timestamp, ...fields }) onto a uniform grid
+// at targetRate Hz spanning the first to the last sample
+export function resampleUniform(samples, targetRate, fields = DEFAULT_FIELDS) {
+  if (!samples || samples.length < 2 || !(targetRate > 0)) {
+    return { samples: [], timestamps: [] };
+  }
+
+  const start = samples[0].timestamp;
+  const end = samples[samples.length - 1].timestamp;
+  const step = 1 / targetRate;
+  const count = Math.floor((end - start) / step + 1e-9) + 1;
+
+  const resampled = new Array(count);
+  const timestamps = new Array(count);
+  let j = 0;
+
+  for (let i = 0; i < count; i++) {
+    const t = start + i * step;
+
+    // Advance to the pair of samples that brackets t
+    while (j < samples.length - 2 && samples[j + 1].timestamp < t) {
+      j++;
+    }
+
+    const before = samples[j];
+    const after = samples[j + 1];
+    const span = after.timestamp - before.timestamp;
+    const weight = span > 0 ? Math.min(1, Math.max(0, (t - before.timestamp) / span)) : 0;
+
+    const point = { timestamp: t };
+    for (const field of fields) {
+      if (typeof before[field] === 'number' && typeof after[field] === 'number') {
+        point[field] = before[field] + (after[field] - before[field]) * weight;
+      }
+    }
+
+    resampled[i] = point;
+    timestamps[i] = t;
+  }
+
+  return { samples: resampled, timestamps };
+}
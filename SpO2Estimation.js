@@ -0,0 +1,149 @@
+// Experimental oxygen saturation from the camera's color channels.
+//
+// Ratio of ratios: oxygenated and deoxygenated hemoglobin absorb red light
+// differently but green light about equally, so
+//
+//   R = (AC_red / DC_red) / (AC_ref / DC_ref)
+//
+// falls as saturation rises. R maps to SpO2 through a linear calibration
+// SpO2 = a - b * R that depends on the camera's filters and the flash
+// spectrum, so each device needs its own entry in the calibration table.
+// Phone cameras have no infrared channel and R is small and noisy, hence
+// the strict gating: no value is reported unless every check passes.
+
+import { designBandpass, filtfilt } from './FilterDesign.js';
+import { CLIPPING_LEVEL } from './FrameAcquisition.js';
+
+// Calibration per device (SpO2 = a - b * R). Entries for specific phone
+// models are added as they are validated against a reference oximeter;
+// 'generic' is a typical smartphone red/green fit and is only indicative.
+export const SPO2_CALIBRATION_TABLE = {
+  generic: { a: 110, b: 25, referenceChannel: 'g', validated: false },
+};
+
+// Readings are only reported inside this range (%)
+const SPO2_RANGE = { min: 70, max: 100 };
+
+// Minimum pulsatile fraction (AC/DC) per channel for a usable ratio
+const MIN_PERFUSION = { red: 0.0005, reference: 0.001 };
+
+// Normalized channel level at which the sensor is clipping
+const SATURATION_LEVEL = CLIPPING_LEVEL / 255;
+
+// Maximum coefficient of variation of R across sub-windows
+const MAX_RATIO_VARIATION = 0.1;
+
+// Minimum heart rate confidence and SpO2 confidence for a reading
+const MIN_SIGNAL_CONFIDENCE = 0.5;
+const MIN_SPO2_CONFIDENCE = 0.5;
+
+// Sub-windows R is computed over to check it is stable (seconds)
+const SUB_WINDOW_DURATION = 4;
+
+// Calibration for a device id, falling back to the generic entry
+export function getSpO2Calibration(deviceId = 'generic') {
+  return SPO2_CALIBRATION_TABLE[deviceId] || SPO2_CALIBRATION_TABLE.generic;
+}
+
+// DC level (mean) and AC level (RMS of the cardiac band) of a channel
+function pulsatileComponents(values, sections) {
+  const dc = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const ac = filtfilt(sections, values.map(v => v - dc));
+  const rms = Math.sqrt(ac.reduce((sum, v) => sum + v * v, 0) / ac.length);
+  return { dc, ac: rms };
+}
+
+// Ratio of ratios for one stretch of samples
+function ratioOfRatios(red, reference, sections) {
+  const redComponents = pulsatileComponents(red, sections);
+  const referenceComponents = pulsatileComponents(reference, sections);
+  if (!(redComponents.dc > 0) || !(referenceComponents.dc > 0)) return null;
+
+  const redPerfusion = redComponents.ac / redComponents.dc;
+  const referencePerfusion = referenceComponents.ac / referenceComponents.dc;
+  return {
+    ratio: referencePerfusion > 0 ? redPerfusion / referencePerfusion : null,
+    redPerfusion,
+    referencePerfusion,
+    redLevel: redComponents.dc,
+    referenceLevel: referenceComponents.dc
+  };
+}
+
+// Estimate SpO2 from uniformly sampled { r, g, b } samples (0-1).
+// signalConfidence is the heart rate confidence of the same window.
+// Returns { spo2, ratio, confidence, reason, experimental }: spo2 is null
+// whenever a gate fails, with reason naming the first failed check.
+export function estimateSpO2(samples, sampleRate, options = {}) {
+  const {
+    signalConfidence = 0,
+    deviceId = 'generic',
+    lowCut = 0.8,
+    highCut = 3.0
+  } = options;
+
+  const calibration = getSpO2Calibration(deviceId);
+  const result = (spo2, reason, extra = {}) => ({
+    spo2,
+    ratio: null,
+    confidence: 0,
+    reason,
+    experimental: true,
+    validated: calibration.validated,
+    ...extra
+  });
+
+  if (!samples || samples.length < SUB_WINDOW_DURATION * sampleRate) {
+    return result(null, 'insufficient_data');
+  }
+  if (signalConfidence < MIN_SIGNAL_CONFIDENCE) {
+    return result(null, 'poor_signal');
+  }
+
+  const red = samples.map(sample => sample.r);
+  const reference = samples.map(sample => sample[calibration.referenceChannel]);
+  const sections = designBandpass({ lowCut, highCut: Math.min(highCut, 0.45 * sampleRate), sampleRate });
+
+  const overall = ratioOfRatios(red, reference, sections);
+  if (!overall || overall.ratio === null) return result(null, 'no_signal');
+
+  if (overall.redLevel >= SATURATION_LEVEL || overall.referenceLevel >= SATURATION_LEVEL) {
+    return result(null, 'saturated');
+  }
+  if (overall.redPerfusion < MIN_PERFUSION.red || overall.referencePerfusion < MIN_PERFUSION.reference) {
+    return result(null, 'low_perfusion');
+  }
+
+  // R must hold steady across half-overlapping sub-windows
+  const windowLength = Math.round(SUB_WINDOW_DURATION * sampleRate);
+  const step = Math.max(1, Math.floor(windowLength / 2));
+  const ratios = [];
+  for (let start = 0; start + windowLength <= samples.length; start += step) {
+    const window = ratioOfRatios(
+      red.slice(start, start + windowLength),
+      reference.slice(start, start + windowLength),
+      sections
+    );
+    if (window && window.ratio !== null) ratios.push(window.ratio);
+  }
+
+  const meanRatio = ratios.reduce((sum, r) => sum + r, 0) / ratios.length;
+  const variation = ratios.length > 1
+    ? Math.sqrt(ratios.reduce((sum, r) => sum + (r - meanRatio) * (r - meanRatio), 0) / (ratios.length - 1)) / meanRatio
+    : 0;
+  if (ratios.length < 2 || variation > MAX_RATIO_VARIATION) {
+    return result(null, 'unstable_ratio', { ratio: overall.ratio });
+  }
+
+  const confidence = signalConfidence * (1 - variation / MAX_RATIO_VARIATION);
+  if (confidence < MIN_SPO2_CONFIDENCE) {
+    return result(null, 'low_confidence', { ratio: overall.ratio, confidence });
+  }
+
+  const spo2 = calibration.a - calibration.b * overall.ratio;
+  if (spo2 < SPO2_RANGE.min) {
+    return result(null, 'out_of_range', { ratio: overall.ratio, confidence });
+  }
+
+  return result(Math.round(Math.min(SPO2_RANGE.max, spo2)), null, { ratio: overall.ratio, confidence });
+}
@@ -0,0 +1,268 @@
+// Frequency-domain heart rate estimation (Welch periodogram) and fusion with
+// the time-domain peak-counting estimate.
+//
+// Peak counting breaks down when beats come faster than the minimum peak
+// distance (infants at 140+ BPM) or when the dicrotic notch is counted as a
+// beat; the spectrum is not affected by either, so disagreement between the
+// two estimates is a useful signal-quality cue.
+
+// In-place iterative radix-2 FFT (length must be a power of two)
+export function fft(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1, curIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const evenIndex = start + k;
+        const oddIndex = evenIndex + size / 2;
+
+        const tRe = curRe * re[oddIndex] - curIm * im[oddIndex];
+        const tIm = curRe * im[oddIndex] + curIm * re[oddIndex];
+
+        re[oddIndex] = re[evenIndex] - tRe;
+        im[oddIndex] = im[evenIndex] - tIm;
+        re[evenIndex] += tRe;
+        im[evenIndex] += tIm;
+
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+// Smallest power of two >= n
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+// Hann window of length n
+function hannWindow(n) {
+  const window = new Array(n);
+  for (let i = 0; i < n; i++) {
+    window[i] = n > 1 ? 0.5 * (1 - Math.cos(2 * Math.PI * i / (n - 1))) : 1;
+  }
+  return window;
+}
+
+// Welch power spectral density: average of Hann-windowed, zero-padded
+// periodograms over overlapping segments
+export function welchPeriodogram(signal, sampleRate, options = {}) {
+  const {
+    segmentDuration = 8, // seconds
+    overlap = 0.5,
+    minFFTSize = 2048 // zero padding for a finer frequency grid
+  } = options;
+
+  const segmentLength = Math.min(signal.length, Math.round(segmentDuration * sampleRate));
+  if (segmentLength < 8) return null;
+
+  const step = Math.max(1, Math.round(segmentLength * (1 - overlap)));
+  const fftSize = nextPowerOfTwo(Math.max(segmentLength, minFFTSize));
+  const window = hannWindow(segmentLength);
+  const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+
+  const power = new Array(fftSize / 2 + 1).fill(0);
+  let segments = 0;
+
+  for (let start = 0; start + segmentLength <= signal.length; start += step) {
+    // Remove the segment mean so DC leakage does not swamp low frequencies
+    let mean = 0;
+    for (let i = 0; i < segmentLength; i++) mean += signal[start + i];
+    mean /= segmentLength;
+
+    const re = new Array(fftSize).fill(0);
+    const im = new Array(fftSize).fill(0);
+    for (let i = 0; i < segmentLength; i++) {
+      re[i] = (signal[start + i] - mean) * window[i];
+    }
+
+    fft(re, im);
+
+    for (let k = 0; k < power.length; k++) {
+      power[k] += (re[k] * re[k] + im[k] * im[k]) / (windowPower * sampleRate);
+    }
+    segments++;
+  }
+
+  if (segments === 0) return null;
+
+  const frequencies = power.map((_, k) => k * sampleRate / fftSize);
+  return {
+    frequencies,
+    power: power.map(p => p / segments),
+    resolution: sampleRate / fftSize,
+    // Half-width of the Hann main lobe: a pure tone spreads over +/- this
+    mainLobeHalfWidth: 2 * sampleRate / segmentLength,
+    segments
+  };
+}
+
+// Local maxima of the spectrum inside [minFreq, maxFreq]
+function findSpectralPeaks(spectrum, minFreq, maxFreq) {
+  const { frequencies, power } = spectrum;
+  const peaks = [];
+
+  for (let k = 1; k < power.length - 1; k++) {
+    if (frequencies[k] < minFreq || frequencies[k] > maxFreq) continue;
+    if (power[k] >= power[k - 1] && power[k] > power[k + 1]) {
+      peaks.push({ index: k, frequency: interpolatePeakFrequency(spectrum, k), power: power[k] });
+    }
+  }
+
+  return peaks;
+}
+
+// Refine a peak frequency by fitting a parabola through the peak bin and its neighbours
+function interpolatePeakFrequency(spectrum, k) {
+  const { frequencies, power, resolution } = spectrum;
+  const alpha = power[k - 1];
+  const beta = power[k];
+  const gamma = power[k + 1];
+  const denominator = alpha - 2 * beta + gamma;
+
+  if (denominator === 0) return frequencies[k];
+
+  const offset = 0.5 * (alpha - gamma) / denominator;
+  return frequencies[k] + Math.max(-0.5, Math.min(0.5, offset)) * resolution;
+}
+
+// Strongest spectral peak within a tolerance of a target frequency
+function findPeakNear(peaks, targetFrequency, tolerance) {
+  let best = null;
+  for (const peak of peaks) {
+    if (Math.abs(peak.frequency - targetFrequency) <= tolerance &&
+        (!best || peak.power > best.power)) {
+      best = peak;
+    }
+  }
+  return best;
+}
+
+// Estimate heart rate from the dominant spectral peak within [minBPM, maxBPM].
+// Checks whether the dominant peak is really the second harmonic of a
+// fundamental at half the frequency (strong dicrotic notch), and reports
+// how concentrated the band power is around the chosen peak as confidence.
+export function estimateSpectralHeartRate(signal, sampleRate, options = {}) {
+  try {
+    const {
+      minBPM = 40,
+      maxBPM = 220,
+      subharmonicRatio = 0.4, // fundamental must have this share of the harmonic's power
+      ...welchOptions
+    } = options;
+
+    const spectrum = welchPeriodogram(signal, sampleRate, welchOptions);
+    if (!spectrum) return null;
+
+    const minFreq = minBPM / 60;
+    const maxFreq = maxBPM / 60;
+    const peaks = findSpectralPeaks(spectrum, minFreq, maxFreq);
+    if (peaks.length === 0) return null;
+
+    let dominant = peaks.reduce((best, peak) => (peak.power > best.power ? peak : best));
+    const tolerance = Math.max(spectrum.mainLobeHalfWidth / 2, 2 * spectrum.resolution);
+
+    // Harmonic check: prefer the fundamental if the dominant peak is its harmonic
+    let harmonicCorrected = false;
+    const subharmonic = findPeakNear(peaks, dominant.frequency / 2, tolerance);
+    if (subharmonic && subharmonic.power >= subharmonicRatio * dominant.power) {
+      dominant = subharmonic;
+      harmonicCorrected = true;
+    }
+
+    // Confidence: share of in-band power within the fundamental and its harmonic
+    let bandPower = 0;
+    let peakPower = 0;
+    for (let k = 0; k < spectrum.power.length; k++) {
+      const frequency = spectrum.frequencies[k];
+      if (frequency < minFreq || frequency > Math.min(2 * maxFreq, sampleRate / 2)) continue;
+
+      bandPower += spectrum.power[k];
+      if (Math.abs(frequency - dominant.frequency) <= spectrum.mainLobeHalfWidth ||
+          Math.abs(frequency - 2 * dominant.frequency) <= spectrum.mainLobeHalfWidth) {
+        peakPower += spectrum.power[k];
+      }
+    }
+
+    return {
+      heartRate: dominant.frequency * 60,
+      frequency: dominant.frequency,
+      confidence: bandPower > 0 ? Math.min(1, peakPower / bandPower) : 0,
+      harmonicCorrected
+    };
+
+  } catch (error) {
+    console.error('Spectral heart rate error:', error);
+    return null;
+  }
+}
+
+// Fuse the peak-counting and spectral heart rate estimates.
+// Returns { heartRate, agreement, source }: agreement is 1 when both
+// estimates match and drops towards 0 as they diverge.
+export function fuseHeartRateEstimates(peakHeartRate, spectralEstimate, options = {}) {
+  const { minTolerance = 5, relativeTolerance = 0.08 } = options;
+  const spectralHeartRate = spectralEstimate ? spectralEstimate.heartRate : null;
+
+  if (!peakHeartRate && !spectralHeartRate) {
+    return { heartRate: null, agreement: 0, source: 'none' };
+  }
+
+  // A single estimate cannot be cross-checked
+  if (!spectralHeartRate) {
+    return { heartRate: peakHeartRate, agreement: 0.5, source: 'peaks' };
+  }
+  if (!peakHeartRate) {
+    return { heartRate: spectralHeartRate, agreement: 0.5, source: 'spectral' };
+  }
+
+  const tolerance = Math.max(minTolerance, relativeTolerance * spectralHeartRate);
+  const difference = Math.abs(peakHeartRate - spectralHeartRate);
+
+  if (difference <= tolerance) {
+    // Weight the spectral estimate by how clean its peak is
+    const spectralWeight = 0.5 * (spectralEstimate.confidence || 0) + 0.25;
+    return {
+      heartRate: spectralWeight * spectralHeartRate + (1 - spectralWeight) * peakHeartRate,
+      agreement: 1 - 0.5 * (difference / tolerance),
+      source: 'fused'
+    };
+  }
+
+  // Peaks at half or double the spectral rate: beats were merged (fast infant
+  // rates vs. minimum peak distance) or dicrotic notches were counted
+  const isHalf = Math.abs(peakHeartRate - spectralHeartRate / 2) <= tolerance;
+  const isDouble = Math.abs(peakHeartRate - spectralHeartRate * 2) <= tolerance * 2;
+  if (isHalf || isDouble) {
+    return { heartRate: spectralHeartRate, agreement: 0.5, source: 'spectral' };
+  }
+
+  // Unrelated estimates: trust the spectrum only if its peak is clear
+  const agreement = Math.max(0, 0.5 * (1 - (difference - tolerance) / (2 * tolerance)));
+  if ((spectralEstimate.confidence || 0) >= 0.5) {
+    return { heartRate: spectralHeartRate, agreement, source: 'spectral' };
+  }
+  return { heartRate: peakHeartRate, agreement, source: 'peaks' };
+}
@@ -0,0 +1,190 @@
+// AsyncStorage persistence for data kept between app launches.
+//
+// All keys share the pulsekids_ prefix. The layout is versioned by
+// pulsekids_schema_version; migrateStorage() upgrades data written by older
+// app versions and must run before anything else is loaded.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { CALIBRATION_VERSION } from './BloodPressureCalibration.js';
+import { createProfile, estimateBirthDate } from './ChildProfiles.js';
+import { upgradeLegacyHistoryEntry } from './MeasurementHistory.js';
+
+export const STORAGE_SCHEMA_VERSION = 2;
+
+const SCHEMA_VERSION_KEY = 'pulsekids_schema_version';
+const PROFILES_KEY = 'pulsekids_profiles';
+const HISTORY_KEY = 'pulsekids_history';
+const SETTINGS_KEY = 'pulsekids_settings';
+const CALIBRATION_KEY_PREFIX = 'pulsekids_bp_calibration_';
+
+// Keys written before schema versioning (version 0)
+const LEGACY_AGE_KEY = 'pulsekids_age';
+const LEGACY_TEMPERATURE_KEY = 'pulsekids_temperature';
+const LEGACY_CALIBRATION_KEY = 'pulsekids_bp_calibration';
+
+const calibrationKey = (profileId) => `${CALIBRATION_KEY_PREFIX}${profileId}`;
+
+async function readJSON(key, fallback) {
+  const saved = await AsyncStorage.getItem(key);
+  return saved ? JSON.parse(saved) : fallback;
+}
+
+async function writeJSON(key, value) {
+  await AsyncStorage.setItem(key, JSON.stringify(value));
+}
+
+// Migrations by the version they upgrade to
+const MIGRATIONS = {
+  // 1: child profiles and history. The single saved age becomes a profile
+  // (birth date estimated from the age), its calibration moves to that
+  // profile and the temperature becomes a setting. Without a saved age the
+  // calibration is kept for the first profile created
+  // (adoptLegacyCalibration).
+  1: async () => {
+    const [age, temperature, calibration] = await Promise.all([
+      AsyncStorage.getItem(LEGACY_AGE_KEY),
+      AsyncStorage.getItem(LEGACY_TEMPERATURE_KEY),
+      AsyncStorage.getItem(LEGACY_CALIBRATION_KEY)
+    ]);
+
+    const profiles = { activeProfileId: null, profiles: [] };
+    const ageYears = parseInt(age);
+    if (ageYears >= 0) {
+      const profile = createProfile({
+        name: 'My child',
+        birthDate: estimateBirthDate(ageYears),
+        birthDateEstimated: true
+      });
+      profiles.profiles.push(profile);
+      profiles.activeProfileId = profile.id;
+
+      if (calibration) {
+        await AsyncStorage.setItem(calibrationKey(profile.id), calibration);
+      }
+    }
+
+    await writeJSON(PROFILES_KEY, profiles);
+    await writeJSON(HISTORY_KEY, []);
+    await writeJSON(SETTINGS_KEY, { temperature: temperature || '' });
+    await AsyncStorage.multiRemove(profiles.activeProfileId
+      ? [LEGACY_AGE_KEY, LEGACY_TEMPERATURE_KEY, LEGACY_CALIBRATION_KEY]
+      : [LEGACY_AGE_KEY, LEGACY_TEMPERATURE_KEY]);
+  },
+
+  // 2: history entries become measurement records (MeasurementRecord.js)
+  2: async () => {
+    const [history, saved] = await Promise.all([
+      readJSON(HISTORY_KEY, []),
+      readJSON(PROFILES_KEY, { profiles: [] })
+    ]);
+    const profiles = new Map(saved.profiles.map(profile => [profile.id, profile]));
+    const upgraded = history.map(entry => (
+      entry.schemaVersion ? entry : upgradeLegacyHistoryEntry(entry, profiles.get(entry.profileId))
+    ));
+    await writeJSON(HISTORY_KEY, upgraded);
+  },
+};
+
+// Bring stored data up to STORAGE_SCHEMA_VERSION. Each migration is
+// recorded as soon as it completes, so a failed one is retried on the next
+// launch without repeating the earlier ones.
+export async function migrateStorage() {
+  try {
+    let version = parseInt(await AsyncStorage.getItem(SCHEMA_VERSION_KEY)) || 0;
+    if (version > STORAGE_SCHEMA_VERSION) {
+      console.error(`Storage schema ${version} is newer than this app (${STORAGE_SCHEMA_VERSION})`);
+      return false;
+    }
+
+    while (version < STORAGE_SCHEMA_VERSION) {
+      version++;
+      await MIGRATIONS[version]();
+      await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(version));
+    }
+    return true;
+
+  } catch (error) {
+    console.error('Error migrating storage:', error);
+    return false;
+  }
+}
+
+// Load the child profiles: { activeProfileId, profiles }
+export async function loadProfiles() {
+  try {
+    return await readJSON(PROFILES_KEY, { activeProfileId: null, profiles: [] });
+  } catch (error) {
+    console.error('Error loading profiles:', error);
+    return { activeProfileId: null, profiles: [] };
+  }
+}
+
+// Save the child profiles and which one is active
+export async function saveProfiles(profiles, activeProfileId) {
+  await writeJSON(PROFILES_KEY, { activeProfileId, profiles });
+}
+
+// Load the measurement history of all profiles
+export async function loadHistory() {
+  try {
+    return await readJSON(HISTORY_KEY, []);
+  } catch (error) {
+    console.error('Error loading history:', error);
+    return [];
+  }
+}
+
+// Save the measurement history
+export async function saveHistory(history) {
+  await writeJSON(HISTORY_KEY, history);
+}
+
+// Load app settings ({ temperature, temperatureUnit }); the temperature is the
+// text as entered, in temperatureUnit (°C when not set)
+export async function loadSettings() {
+  try {
+    return await readJSON(SETTINGS_KEY, {});
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return {};
+  }
+}
+
+// Merge changes into the saved settings
+export async function saveSettings(changes) {
+  const settings = await loadSettings();
+  await writeJSON(SETTINGS_KEY, { ...settings, ...changes });
+}
+
+// Load a profile's blood pressure calibration (null if none or unreadable)
+export async function loadCalibration(profileId) {
+  try {
+    const calibration = await readJSON(calibrationKey(profileId), null);
+    // Calibrations from another model version cannot be applied
+    return calibration && calibration.version === CALIBRATION_VERSION ? calibration : null;
+
+  } catch (error) {
+    console.error('Error loading calibration:', error);
+    return null;
+  }
+}
+
+// Save a profile's blood pressure calibration
+export async function saveCalibration(profileId, calibration) {
+  await writeJSON(calibrationKey(profileId), calibration);
+}
+
+// Move a calibration kept from before child profiles (see migration 1) to
+// a profile; nothing happens when there is none
+export async function adoptLegacyCalibration(profileId) {
+  const calibration = await AsyncStorage.getItem(LEGACY_CALIBRATION_KEY);
+  if (!calibration) return;
+
+  await AsyncStorage.setItem(calibrationKey(profileId), calibration);
+  await AsyncStorage.removeItem(LEGACY_CALIBRATION_KEY);
+}
+
+// Remove a profile's blood pressure calibration
+export async function clearCalibration(profileId) {
+  await AsyncStorage.removeItem(calibrationKey(profileId));
+}
@@ -0,0 +1,314 @@
+// Synthetic pediatric PPG signal generator with known ground truth.
+//
+// Produces the same { timestamp, r, g, b } mean RGB samples the camera
+// delivers, so generated sessions can drive the processors directly, be
+// replayed with SessionReplay.js, or play back in real time as a demo.
+//
+// Model:
+//  - beats follow a schedule of inter-beat intervals: mean heart rate,
+//    respiratory sinus arrhythmia, random variability and an optional
+//    arrhythmia pattern
+//  - each beat is a systolic wave plus a diastolic (dicrotic) wave whose
+//    timing and height are configurable
+//  - breathing modulates pulse amplitude and the baseline level
+//  - light intensity falls as blood volume rises; the red/green pulse ratio
+//    follows the target SpO2 through the generic SpO2 calibration
+//  - white noise, motion bursts (with matching accelerometer spikes) and
+//    dropped frames are layered on top
+// A seeded random generator makes every session reproducible.
+
+import { getSpO2Calibration } from './SpO2Estimation.js';
+
+// Arrhythmia patterns the beat schedule can follow
+export const ARRHYTHMIA_PATTERNS = {
+  // Premature beats (weaker) followed by a compensatory pause
+  ECTOPIC: 'ectopic',
+  // Non-conducted beats: the pulse is missing for one beat
+  DROPPED: 'dropped',
+  // Irregularly irregular intervals (atrial fibrillation-like)
+  IRREGULAR: 'irregular',
+};
+
+export const DEFAULT_SYNTHETIC_OPTIONS = {
+  duration: 30,           // seconds
+  frameRate: 30,          // frames per second
+  heartRate: 95,          // mean BPM
+  hrv: 30,                // beat-to-beat variability, SD in ms
+  respiratoryRate: 22,    // breaths per minute
+  respiratoryModulation: {
+    amplitude: 0.15,      // pulse amplitude change (fraction)
+    baseline: 0.004,      // baseline level change (fraction of the level)
+    frequency: 0.04       // interval change (fraction of the mean interval)
+  },
+  systolicPeak: 0.18,     // systolic peak position (fraction of the beat)
+  dicroticNotch: 0.42,    // dicrotic notch position (fraction of the beat)
+  diastolicHeight: 0.3,   // diastolic wave height relative to systolic
+  perfusion: 0.03,        // green pulsatile fraction (AC/DC)
+  spo2: 98,               // % (sets the red pulsatile fraction)
+  levels: { r: 200, g: 60, b: 40 }, // mean RGB of the lit fingertip (0-255)
+  noise: 0.1,             // white noise SD (0-255 units)
+  motionBursts: [],       // [{ start, duration, amplitude (fraction of the level) }]
+  dropRate: 0,            // fraction of frames dropped
+  arrhythmia: null,       // one of ARRHYTHMIA_PATTERNS
+  arrhythmiaRate: 0.1,    // fraction of beats affected
+  accelerometerRate: 50,  // accelerometer samples per second (0 for none)
+  seed: 1
+};
+
+// Pulsatile fraction of the blue channel relative to green
+const BLUE_PERFUSION_RATIO = 0.4;
+
+// Widths of the systolic upstroke, systolic decay and diastolic wave
+// (fraction of the beat): the pulse rises fast and decays slowly
+const SYSTOLIC_RISE_WIDTH = 0.07;
+const SYSTOLIC_DECAY_WIDTH = 0.15;
+const DIASTOLIC_WIDTH = 0.1;
+
+// Shortest interval the schedule produces (seconds)
+const MIN_INTERVAL = 0.25;
+
+// Park-Miller generator returning values in (0, 1)
+function createRandom(seed) {
+  let state = Math.max(1, Math.floor(Math.abs(seed)) % 2147483647);
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+// Standard normal deviate (Box-Muller)
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
+}
+
+// Square wave (+1/-1) used to shake the level during motion bursts
+function shake(time) {
+  return Math.sin(2 * Math.PI * 3 * time) >= 0 ? 1 : -1;
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+export class SyntheticPPGGenerator {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_SYNTHETIC_OPTIONS,
+      ...options,
+      respiratoryModulation: { ...DEFAULT_SYNTHETIC_OPTIONS.respiratoryModulation, ...options.respiratoryModulation },
+      levels: { ...DEFAULT_SYNTHETIC_OPTIONS.levels, ...options.levels }
+    };
+
+    // Red pulsatile fraction that gives the target SpO2 (SpO2 = a - b * R)
+    const calibration = getSpO2Calibration();
+    this.redRatio = Math.max(0, (calibration.a - this.options.spo2) / calibration.b);
+
+    this.reset();
+  }
+
+  reset() {
+    this.random = createRandom(this.options.seed);
+    this.beats = [];
+    this.beatIndex = 0;
+    this.compensation = 0;
+
+    // Start part-way through a beat so the signal does not begin at a foot
+    const interval = 60 / this.options.heartRate;
+    this.nextBeatTime = -interval * (0.3 + 0.5 * this.random());
+  }
+
+  // Respiratory phase term at a time (-1 to 1)
+  breathing(time) {
+    return Math.sin(2 * Math.PI * (this.options.respiratoryRate / 60) * time);
+  }
+
+  // Append the next beat to the schedule
+  addBeat() {
+    const { heartRate, hrv, respiratoryModulation, arrhythmia, arrhythmiaRate } = this.options;
+    const time = this.nextBeatTime;
+    const meanInterval = 60 / heartRate;
+
+    let interval = meanInterval * (1 + respiratoryModulation.frequency * this.breathing(time)) +
+      (hrv / 1000) * gaussian(this.random);
+    let type = 'normal';
+    let amplitude = 1;
+
+    if (this.compensation > 0) {
+      // Compensatory pause after a premature beat
+      interval += this.compensation;
+      this.compensation = 0;
+    } else if (arrhythmia && this.random() < arrhythmiaRate) {
+      switch (arrhythmia) {
+        case ARRHYTHMIA_PATTERNS.ECTOPIC:
+          type = 'ectopic';
+          amplitude = 0.6;
+          this.compensation = 0.4 * interval;
+          interval *= 0.6;
+          break;
+        case ARRHYTHMIA_PATTERNS.DROPPED:
+          type = 'dropped';
+          amplitude = 0;
+          break;
+        case ARRHYTHMIA_PATTERNS.IRREGULAR:
+          type = 'irregular';
+          interval *= 0.6 + 0.8 * this.random();
+          break;
+        default:
+          break;
+      }
+    } else if (arrhythmia === ARRHYTHMIA_PATTERNS.IRREGULAR) {
+      interval *= 0.8 + 0.4 * this.random();
+    }
+
+    interval = Math.max(MIN_INTERVAL, interval);
+    amplitude *= 1 + respiratoryModulation.amplitude * this.breathing(time);
+
+    this.beats.push({ time, interval, amplitude, type });
+    this.nextBeatTime = time + interval;
+  }
+
+  // Beat containing a time (times are expected to increase between calls)
+  beatAt(time) {
+    while (this.nextBeatTime <= time) this.addBeat();
+    if (this.beats.length === 0) this.addBeat();
+
+    if (this.beatIndex >= this.beats.length || this.beats[this.beatIndex].time > time) {
+      this.beatIndex = 0;
+    }
+    while (this.beatIndex < this.beats.length - 1 && this.beats[this.beatIndex + 1].time <= time) {
+      this.beatIndex++;
+    }
+    return this.beats[this.beatIndex];
+  }
+
+  // Blood-volume pulse (0 to ~1) at a time
+  pulseAt(time) {
+    const { systolicPeak, dicroticNotch, diastolicHeight } = this.options;
+    const beat = this.beatAt(time);
+    const phase = (time - beat.time) / beat.interval;
+    if (phase < 0) return 0;
+
+    const diastolicPeak = dicroticNotch + 0.1;
+    const systolicWidth = phase < systolicPeak ? SYSTOLIC_RISE_WIDTH : SYSTOLIC_DECAY_WIDTH;
+    const systolic = Math.exp(-((phase - systolicPeak) ** 2) / (2 * systolicWidth ** 2));
+    const diastolic = diastolicHeight * Math.exp(-((phase - diastolicPeak) ** 2) / (2 * DIASTOLIC_WIDTH ** 2));
+    return beat.amplitude * (systolic + diastolic);
+  }
+
+  // Relative level offset from motion bursts at a time
+  motionOffsetAt(time) {
+    let offset = 0;
+    for (const burst of this.options.motionBursts) {
+      if (time >= burst.start && time <= burst.start + burst.duration) {
+        offset += (burst.amplitude ?? 0.1) * shake(time);
+      }
+    }
+    return offset;
+  }
+
+  // Mean RGB sample at a time (seconds)
+  sampleAt(time) {
+    const { levels, perfusion, respiratoryModulation, noise } = this.options;
+    const pulse = this.pulseAt(time);
+    const baseline = 1 + respiratoryModulation.baseline * this.breathing(time) + this.motionOffsetAt(time);
+    const perfusionByChannel = {
+      r: perfusion * this.redRatio,
+      g: perfusion,
+      b: perfusion * BLUE_PERFUSION_RATIO
+    };
+
+    const sample = { timestamp: time };
+    for (const channel of ['r', 'g', 'b']) {
+      const value = levels[channel] * baseline * (1 - perfusionByChannel[channel] * pulse) +
+        noise * gaussian(this.random);
+      sample[channel] = Math.max(0, Math.min(255, value));
+    }
+    return sample;
+  }
+
+  // Accelerometer sample ({ x, y, z } in g) at a time: at rest the phone
+  // lies flat; motion bursts shake it
+  motionAt(time) {
+    const shaking = this.motionOffsetAt(time) !== 0 ? 0.3 * shake(time * 2) : 0;
+    return {
+      timestamp: time,
+      x: shaking + 0.005 * gaussian(this.random),
+      y: 0.005 * gaussian(this.random),
+      z: 1 + 0.005 * gaussian(this.random)
+    };
+  }
+
+  // Ground truth for the beats scheduled in [0, duration]
+  getGroundTruth(duration = this.options.duration) {
+    const { systolicPeak, respiratoryRate, spo2, perfusion, motionBursts, arrhythmia } = this.options;
+    while (this.nextBeatTime <= duration) this.addBeat();
+
+    const beats = this.beats
+      .filter(beat => beat.time >= 0 && beat.time <= duration)
+      .map(beat => ({ ...beat, peakTime: beat.time + systolicPeak * beat.interval }));
+    const peakTimes = beats.filter(beat => beat.type !== 'dropped').map(beat => beat.peakTime);
+
+    const intervals = [];
+    for (let i = 1; i < peakTimes.length; i++) intervals.push(peakTimes[i] - peakTimes[i - 1]);
+    const successive = intervals.slice(1).map((interval, i) => (interval - intervals[i]) * 1000);
+    const meanInterval = intervals.length > 0 ? mean(intervals) : null;
+
+    return {
+      heartRate: meanInterval ? 60 / meanInterval : null,
+      beatTimes: peakTimes,
+      intervals,
+      sdnn: intervals.length > 1
+        ? Math.sqrt(intervals.reduce((sum, v) => sum + (v - meanInterval) ** 2, 0) / (intervals.length - 1)) * 1000
+        : null,
+      rmssd: successive.length > 0 ? Math.sqrt(mean(successive.map(d => d * d))) : null,
+      respiratoryRate,
+      spo2,
+      perfusionIndex: perfusion * 100,
+      arrhythmia: arrhythmia || null,
+      arrhythmiaBeats: beats.filter(beat => beat.type !== 'normal').map(beat => ({ time: beat.peakTime, type: beat.type })),
+      motionSegments: motionBursts.map(burst => ({ start: burst.start, end: burst.start + burst.duration }))
+    };
+  }
+
+  // Generate a full session: { samples, motion, metadata } with the ground
+  // truth in metadata (the format SessionReplay.js reads)
+  generateSession() {
+    const { duration, frameRate, dropRate, accelerometerRate, childAge } = this.options;
+    this.reset();
+
+    const frames = Math.floor(duration * frameRate);
+    const accelerometerStep = accelerometerRate > 0 ? 1 / accelerometerRate : Infinity;
+    const samples = [];
+    const motion = [];
+    let nextMotion = 0;
+    let droppedFrames = 0;
+
+    for (let i = 0; i < frames; i++) {
+      const time = i / frameRate;
+      while (nextMotion <= time) {
+        motion.push(this.motionAt(nextMotion));
+        nextMotion += accelerometerStep;
+      }
+
+      const sample = this.sampleAt(time);
+      if (i > 0 && this.random() < dropRate) {
+        droppedFrames++;
+        continue;
+      }
+      samples.push(sample);
+    }
+
+    return {
+      samples,
+      motion,
+      metadata: {
+        synthetic: true,
+        childAge: typeof childAge === 'number' ? childAge : undefined,
+        groundTruth: { ...this.getGroundTruth(duration), droppedFrames }
+      }
+    };
+  }
+}
+
+// Generate a synthetic session in one call (see DEFAULT_SYNTHETIC_OPTIONS)
+export function generateSyntheticSession(options = {}) {
+  return new SyntheticPPGGenerator(options).generateSession();
+}
@@ -0,0 +1,78 @@
+// Body temperature entry in Celsius or Fahrenheit.
+//
+// The processors, reference ranges and saved measurements always use °C; the
+// unit only changes what the parent types and reads.
+
+export const TEMPERATURE_UNITS = {
+  CELSIUS: 'C',
+  FAHRENHEIT: 'F',
+};
+
+export const TEMPERATURE_UNIT_LABELS = {
+  [TEMPERATURE_UNITS.CELSIUS]: '°C',
+  [TEMPERATURE_UNITS.FAHRENHEIT]: '°F',
+};
+
+// Body temperatures (°C) a thermometer can plausibly show for a child; the
+// processors work within the same range
+export const PLAUSIBLE_TEMPERATURE = { min: 35, max: 42 };
+
+function checkUnit(unit) {
+  if (!TEMPERATURE_UNIT_LABELS[unit]) {
+    throw new Error(`Unknown temperature unit "${unit}"`);
+  }
+}
+
+// Limit a temperature in °C to PLAUSIBLE_TEMPERATURE
+export function clampTemperature(celsius) {
+  return Math.max(PLAUSIBLE_TEMPERATURE.min, Math.min(PLAUSIBLE_TEMPERATURE.max, celsius));
+}
+
+// Convert a temperature in the given unit to °C
+export function toCelsius(value, unit) {
+  checkUnit(unit);
+  return unit === TEMPERATURE_UNITS.FAHRENHEIT ? (value - 32) * 5 / 9 : value;
+}
+
+// Convert a temperature in °C to the given unit
+export function fromCelsius(celsius, unit) {
+  checkUnit(unit);
+  return unit === TEMPERATURE_UNITS.FAHRENHEIT ? celsius * 9 / 5 + 32 : celsius;
+}
+
+// Temperature in °C from the text typed in a unit (a decimal comma is
+// accepted), or null when the text is empty or not a number
+export function parseTemperature(text, unit) {
+  const value = parseFloat(String(text ?? '').trim().replace(',', '.'));
+  return Number.isFinite(value) ? toCelsius(value, unit) : null;
+}
+
+// Text showing a temperature in °C in the given unit, e.g. "38.5 °C"
+export function formatTemperature(celsius, unit) {
+  return `${fromCelsius(celsius, unit).toFixed(1)} ${TEMPERATURE_UNIT_LABELS[unit]}`;
+}
+
+// Re-express typed temperature text in another unit; text that is not a
+// number is kept as it is
+export function convertTemperatureText(text, fromUnit, toUnit) {
+  const celsius = parseTemperature(text, fromUnit);
+  return celsius === null ? text : fromCelsius(celsius, toUnit).toFixed(1);
+}
+
+// Check typed temperature text; returns an error message or null when it is
+// valid or left empty
+export function validateTemperature(text, unit) {
+  if (!String(text ?? '').trim()) return null;
+
+  const celsius = parseTemperature(text, unit);
+  if (celsius === null) return 'Please enter the temperature as a number';
+  if (celsius >= PLAUSIBLE_TEMPERATURE.min && celsius <= PLAUSIBLE_TEMPERATURE.max) return null;
+
+  // A reading typed in the other unit, e.g. 101.3 while °C is selected
+  const otherUnit = unit === TEMPERATURE_UNITS.CELSIUS ? TEMPERATURE_UNITS.FAHRENHEIT : TEMPERATURE_UNITS.CELSIUS;
+  const otherCelsius = parseTemperature(text, otherUnit);
+  if (otherCelsius >= PLAUSIBLE_TEMPERATURE.min && otherCelsius <= PLAUSIBLE_TEMPERATURE.max) {
+    return `This looks like a temperature in ${TEMPERATURE_UNIT_LABELS[otherUnit]}. Please switch the unit.`;
+  }
+  return `Please enter a body temperature between ${formatTemperature(PLAUSIBLE_TEMPERATURE.min, unit)} and ${formatTemperature(PLAUSIBLE_TEMPERATURE.max, unit)}`;
+}
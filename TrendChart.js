@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { getTimePosition, getValuePosition, summarizeTrend } from './MeasurementTrends';
+
+const CHART_HEIGHT = 160;
+const DOT_SIZE = 10;
+
+// Colors per value of a reading: heart rate, or systolic and diastolic
+const VALUE_COLORS = ['#FF1493', '#4A90E2'];
+const BAND_COLORS = ['rgba(0,255,0,0.18)', 'rgba(0,200,255,0.18)'];
+
+// Readings of one metric over time (series from buildTrendSeries), drawn on
+// the age-appropriate healthy bands. Low-confidence readings are hollow.
+export const TrendChart = ({ series, title, unit, valueLabels = [] }) => {
+  const [chartWidth, setChartWidth] = useState(0);
+  const summary = summarizeTrend(series);
+
+  // Inset by half a dot so readings at the ends are not cut off
+  const x = (timestamp) => DOT_SIZE / 2 + getTimePosition(timestamp, series) * (chartWidth - DOT_SIZE);
+  const y = (value) => getValuePosition(value, series) * CHART_HEIGHT;
+
+  // A single point in time has one band across the whole chart
+  const bandLeft = (band) => (series.end > series.start ? x(band.start) : 0);
+  const bandWidth = (band) => (series.end > series.start ? x(band.end) - x(band.start) : chartWidth);
+
+  const renderBands = () => series.bands.flatMap((band, bandIndex) => (
+    band.ranges.map((range, rangeIndex) => (
+      <View
+        key={`band-${bandIndex}-${rangeIndex}`}
+        style={[
+          styles.band,
+          {
+            left: bandLeft(band),
+            width: bandWidth(band),
+            bottom: y(range.min),
+            height: y(range.max) - y(range.min),
+            backgroundColor: BAND_COLORS[rangeIndex],
+          },
+        ]}
+      />
+    ))
+  ));
+
+  const renderPoints = () => series.points.map(point => (
+    <React.Fragment key={point.id}>
+      {/* Systolic and diastolic of one reading are joined by a line */}
+      {point.values.length > 1 && (
+        <View
+          style={[
+            styles.connector,
+            {
+              left: x(point.timestamp) - 1,
+              bottom: y(Math.min(...point.values)),
+              height: y(Math.max(...point.values)) - y(Math.min(...point.values)),
+              opacity: point.lowConfidence ? 0.4 : 0.8,
+            },
+          ]}
+        />
+      )}
+      {point.values.map((value, i) => (
+        <View
+          key={i}
+          style={[
+            styles.dot,
+            {
+              left: x(point.timestamp) - DOT_SIZE / 2,
+              bottom: y(value) - DOT_SIZE / 2,
+              borderColor: VALUE_COLORS[i],
+              backgroundColor: point.lowConfidence ? 'transparent' : VALUE_COLORS[i],
+            },
+          ]}
+        />
+      ))}
+    </React.Fragment>
+  ));
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{title}</Text>
+      <Text style={styles.summary}>
+        {summary.count === 0
+          ? 'No readings in this period'
+          : `${summary.count} reading${summary.count === 1 ? '' : 's'}` +
+            (summary.averages[0] !== null ? `, average ${summary.averages.join('/')} ${unit}` : '') +
+            (summary.lowConfidenceCount > 0 ? ` (${summary.lowConfidenceCount} uncertain)` : '')}
+      </Text>
+
+      <View style={styles.chartRow}>
+        <View style={styles.axis}>
+          <Text style={styles.axisLabel}>{series.scale.max}</Text>
+          <Text style={styles.axisLabel}>{Math.round((series.scale.max + series.scale.min) / 2)}</Text>
+          <Text style={styles.axisLabel}>{series.scale.min}</Text>
+        </View>
+        <View style={styles.chart} onLayout={(event) => setChartWidth(event.nativeEvent.layout.width)}>
+          {chartWidth > 0 && renderBands()}
+          {chartWidth > 0 && renderPoints()}
+        </View>
+      </View>
+
+      <View style={styles.timeAxis}>
+        <Text style={styles.axisLabel}>{formatDate(series.start)}</Text>
+        <Text style={styles.axisLabel}>{formatDate(series.end)}</Text>
+      </View>
+
+      <View style={styles.legend}>
+        {valueLabels.map((label, i) => (
+          <Text key={label} style={styles.legendText}>
+            <Text style={{ color: VALUE_COLORS[i] }}>●</Text> {label}
+          </Text>
+        ))}
+        <Text style={styles.legendText}>○ uncertain</Text>
+        <Text style={styles.legendText}>
+          <Text style={{ color: 'rgba(0,255,0,0.6)' }}>■</Text> healthy for age
+        </Text>
+      </View>
+    </View>
+  );
+};
+
+const formatDate = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getDate()}/${date.getMonth() + 1}`;
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: 25,
+    padding: 18,
+    marginBottom: 20,
+    borderWidth: 2,
+    borderColor: 'rgba(255,255,255,0.3)',
+  },
+  title: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  summary: {
+    color: 'rgba(255,255,255,0.85)',
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  chartRow: {
+    flexDirection: 'row',
+  },
+  axis: {
+    width: 34,
+    height: CHART_HEIGHT,
+    justifyContent: 'space-between',
+  },
+  axisLabel: {
+    color: 'rgba(255,255,255,0.8)',
+    fontSize: 11,
+  },
+  chart: {
+    flex: 1,
+    height: CHART_HEIGHT,
+    backgroundColor: 'rgba(0,0,0,0.1)',
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  band: {
+    position: 'absolute',
+  },
+  connector: {
+    position: 'absolute',
+    width: 2,
+    backgroundColor: 'white',
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+    borderWidth: 2,
+  },
+  timeAxis: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginLeft: 34,
+    marginTop: 4,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginTop: 10,
+  },
+  legendText: {
+    color: 'rgba(255,255,255,0.9)',
+    fontSize: 12,
+    marginHorizontal: 6,
+  },
+});
@@ -0,0 +1,8 @@
+module.exports = function (api) {
+  api.cache(true);
+  return {
+    presets: ['babel-preset-expo'],
+    // Compiles 'worklet' functions used by the camera frame processor
+    plugins: ['react-native-worklets-core/plugin'],
+  };
+};
@@ -0,0 +1,75 @@
+// Write a synthetic PPG session (with ground truth) for replay-session.mjs.
+//
+//   npm run generate-session -- out.json [--heart-rate 110] [--hrv 30]
+//     [--respiratory-rate 24] [--duration 30] [--noise 0.1] [--perfusion 0.03]
+//     [--spo2 98] [--drop-rate 0.1] [--arrhythmia ectopic|dropped|irregular]
+//     [--motion start:duration] [--age 6] [--seed 1]
+
+import { writeFile } from 'node:fs/promises';
+import { generateSyntheticSession } from '../SyntheticPPG.js';
+
+const NUMERIC_OPTIONS = {
+  '--heart-rate': 'heartRate',
+  '--hrv': 'hrv',
+  '--respiratory-rate': 'respiratoryRate',
+  '--duration': 'duration',
+  '--frame-rate': 'frameRate',
+  '--noise': 'noise',
+  '--perfusion': 'perfusion',
+  '--spo2': 'spo2',
+  '--drop-rate': 'dropRate',
+  '--arrhythmia-rate': 'arrhythmiaRate',
+  '--age': 'childAge',
+  '--seed': 'seed',
+};
+
+const USAGE = 'Usage: generate-session.mjs <out.json> [--heart-rate BPM] [--respiratory-rate rate] [--arrhythmia pattern] ...';
+
+// Print the usage and exit; with an error message for wrong arguments
+function exitWithUsage(error = null) {
+  if (error) console.error(error);
+  console.error(USAGE);
+  process.exit(error ? 1 : 0);
+}
+
+function parseArgs(argv) {
+  const options = { motionBursts: [] };
+  let file = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (NUMERIC_OPTIONS[arg]) {
+      options[NUMERIC_OPTIONS[arg]] = parseFloat(argv[++i]);
+    } else if (arg === '--arrhythmia') {
+      options.arrhythmia = argv[++i];
+    } else if (arg === '--motion') {
+      const [start, duration] = argv[++i].split(':').map(parseFloat);
+      options.motionBursts.push({ start, duration: duration || 1 });
+    } else if (arg === '--help') {
+      exitWithUsage();
+    } else if (arg.startsWith('-')) {
+      exitWithUsage(`Unknown option ${arg}`);
+    } else {
+      file = arg;
+    }
+  }
+  return { file, options };
+}
+
+async function main() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) exitWithUsage('No output file given');
+
+  const session = generateSyntheticSession(options);
+  await writeFile(file, JSON.stringify(session));
+
+  const truth = session.metadata.groundTruth;
+  console.log(`Wrote ${session.samples.length} samples to ${file}: ` +
+    `HR ${truth.heartRate.toFixed(1)} BPM, SDNN ${truth.sdnn.toFixed(1)} ms, ` +
+    `${truth.respiratoryRate} breaths/min, SpO2 ${truth.spo2}%`);
+}
+
+main().catch(error => {
+  console.error('Generation failed:', error.message);
+  process.exit(1);
+});
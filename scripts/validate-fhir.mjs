@@ -0,0 +1,36 @@
+// Check FHIR exports offline against the R4 schema rules and vital signs
+// profile the app's resources use (FHIRExport.js).
+//
+//   npm run validate-fhir -- export.fhir.json [more.fhir.json ...]
+//
+// Exits with status 1 when a bundle has problems.
+
+import { readFile } from 'node:fs/promises';
+import { validateFHIRBundle } from '../FHIRExport.js';
+
+async function main() {
+  const files = process.argv.slice(2);
+  if (files.length === 0) {
+    console.error('Usage: validate-fhir.mjs <bundle.json> [more bundles ...]');
+    process.exit(1);
+  }
+
+  let failed = false;
+  for (const file of files) {
+    const bundle = JSON.parse(await readFile(file, 'utf8'));
+    const errors = validateFHIRBundle(bundle);
+    if (errors.length === 0) {
+      console.log(`${file}: valid (${(bundle.entry || []).length} resources)`);
+    } else {
+      failed = true;
+      console.log(`${file}: ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+      errors.forEach(error => console.log(`  - ${error}`));
+    }
+  }
+  if (failed) process.exit(1);
+}
+
+main().catch(error => {
+  console.error('Validation failed:', error.message);
+  process.exit(1);
+});
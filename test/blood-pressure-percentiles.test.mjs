@@ -0,0 +1,78 @@
+// Blood pressure percentile tests: the regression model against values of
+// the Fourth Report's published tables (Pediatrics 2004, Tables 3 and 4) and
+// the AAP 2017 staging built on them. The tables round the same model to
+// whole mmHg, so the model may differ from them by 1 mmHg.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BP_CATEGORIES,
+  classifyBloodPressure,
+  getBloodPressureCutoffs,
+  getBloodPressurePercentiles
+} from '../BloodPressurePercentiles.js';
+import { buildTrendSeries, TREND_METRICS } from '../MeasurementTrends.js';
+
+// 50th height percentile: { systolic: [p50, p90, p95], diastolic: [...] }
+const PUBLISHED = [
+  { child: { age: 1, sex: 'male', height: null }, systolic: [85, 99, 103], diastolic: [37, 52, 56] },
+  { child: { age: 6, sex: 'female', height: 114.8 }, systolic: [95, 108, 111], diastolic: [56, 70, 74] },
+  { child: { age: 10, sex: 'male', height: 138.8 }, systolic: [102, 115, 119], diastolic: [61, 75, 80] },
+  { child: { age: 10, sex: 'female', height: 138.6 }, systolic: [102, 115, 119], diastolic: [60, 74, 78] },
+];
+
+test('percentiles match the published tables', () => {
+  for (const { child, ...expected } of PUBLISHED) {
+    const percentiles = getBloodPressurePercentiles(child);
+    for (const component of ['systolic', 'diastolic']) {
+      const { p50, p90, p95 } = percentiles[component];
+      [p50, p90, p95].forEach((value, i) => {
+        const label = `${child.sex} ${child.age} years ${component}`;
+        assert.ok(Math.abs(value - expected[component][i]) <= 1, `${label}: ${value}, published ${expected[component][i]}`);
+      });
+    }
+  }
+});
+
+test('a shorter child has lower thresholds', () => {
+  const median = getBloodPressureCutoffs({ age: 10, sex: 'male', height: 138.8 });
+  const short = getBloodPressureCutoffs({ age: 10, sex: 'male', height: 125 });
+  assert.ok(short.systolic.elevated < median.systolic.elevated);
+  assert.ok(short.diastolic.elevated < median.diastolic.elevated);
+});
+
+test('cut-offs follow the AAP 2017 staging', () => {
+  const child = { age: 10, sex: 'male', height: 138.8 };
+  const { systolic, diastolic } = getBloodPressurePercentiles(child);
+  assert.deepEqual(getBloodPressureCutoffs(child), {
+    systolic: { elevated: systolic.p90, stage1: systolic.p95, stage2: systolic.p95plus12 },
+    diastolic: { elevated: diastolic.p90, stage1: diastolic.p95, stage2: Math.min(diastolic.p95plus12, 90) }
+  });
+
+  // Fixed cut-offs from 13 years; none under 1 year
+  assert.deepEqual(getBloodPressureCutoffs({ age: 14, sex: 'female', height: 160 }), {
+    systolic: { elevated: 120, stage1: 130, stage2: 140 },
+    diastolic: { elevated: 80, stage1: 80, stage2: 90 }
+  });
+  assert.equal(getBloodPressureCutoffs({ age: 0.5, sex: 'female', height: 66 }), null);
+
+  // The higher of the systolic and diastolic categories applies
+  assert.equal(classifyBloodPressure({ systolic: 100, diastolic: 60 }, child).category, BP_CATEGORIES.NORMAL);
+  assert.equal(classifyBloodPressure({ systolic: 100, diastolic: diastolic.p95 }, child).category, BP_CATEGORIES.STAGE_1);
+  assert.equal(classifyBloodPressure({ systolic: 140, diastolic: 60 }, child).category, BP_CATEGORIES.STAGE_2);
+});
+
+test('trend bands end below the elevated cut-off of the record\'s child', () => {
+  const child = { age: 6, sex: 'female', height: 114.8 };
+  const entry = {
+    id: 'mgx4k2p0-a1b2c3',
+    timestamp: Date.UTC(2026, 9, 19),
+    input: { childAge: { value: child.age }, sex: child.sex, height: { value: child.height } },
+    metrics: { bloodPressure: { systolic: 109, diastolic: 68, confidence: 0.8 } }
+  };
+  const [band] = buildTrendSeries([entry], TREND_METRICS.BLOOD_PRESSURE, { now: entry.timestamp }).bands;
+  const cutoffs = getBloodPressureCutoffs(child);
+  assert.equal(band.ranges[0].max, cutoffs.systolic.elevated - 1);
+  assert.equal(band.ranges[1].max, cutoffs.diastolic.elevated - 1);
+  assert.equal(classifyBloodPressure({ systolic: band.ranges[0].max + 1, diastolic: 60 }, child).category, BP_CATEGORIES.ELEVATED);
+});
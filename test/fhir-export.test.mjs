@@ -0,0 +1,63 @@
+// FHIR export tests: builds a bundle from a fixed measurement record and
+// child profile and checks it against committed fixtures in fixtures/fhir.
+//
+// valid-bundle.json is the expected bundle, reviewed against the R4
+// Bundle, Patient and Observation definitions and the vital signs profile.
+// spec-examples.json holds examples from the R4 specification, which the
+// validator must accept. Each case in invalid-bundles.json breaks one rule
+// and names the problem the validator must report.
+// After an intended change of the export, regenerate valid-bundle.json
+// from the fixed inputs and review the difference.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createFHIRBundle, createVitalSignObservations, validateFHIRBundle } from '../FHIRExport.js';
+import { EXPORT_FORMATS, exportHistory } from '../MeasurementExport.js';
+import { MEASUREMENT_SOURCES } from '../MeasurementRecord.js';
+
+const FIXTURES = new URL('./fixtures/fhir/', import.meta.url);
+const readFixture = async (file) => JSON.parse(await readFile(new URL(file, FIXTURES), 'utf8'));
+
+const record = await readFixture('measurement-record.json');
+const profile = await readFixture('child-profile.json');
+const EXPORTED_AT = Date.UTC(2026, 9, 19, 9, 0, 0);
+
+// Predictable ids, so the bundle can be compared with the fixture
+function sequentialIds() {
+  let count = 0;
+  return () => `00000000-0000-4000-8000-${String(++count).padStart(12, '0')}`;
+}
+
+test('bundle from a fixed record matches the reviewed fixture', async () => {
+  const bundle = createFHIRBundle({ profile, records: [record] }, EXPORTED_AT, sequentialIds());
+  assert.deepEqual(bundle, await readFixture('valid-bundle.json'));
+  assert.deepEqual(validateFHIRBundle(bundle), []);
+});
+
+test('known-good bundles are accepted', async () => {
+  for (const file of ['valid-bundle.json', 'spec-examples.json']) {
+    assert.deepEqual(validateFHIRBundle(await readFixture(file)), [], file);
+  }
+});
+
+test('known-bad bundles are rejected', async () => {
+  for (const { description, error, bundle } of await readFixture('invalid-bundles.json')) {
+    const errors = validateFHIRBundle(bundle);
+    assert.ok(errors.some(message => message.includes(error)), `${description}: expected "${error}", got ${JSON.stringify(errors)}`);
+  }
+});
+
+test('history export in FHIR format is a valid bundle', () => {
+  const later = { ...record, id: 'mgx4m7q1-b2c3d4', timestamp: record.timestamp + 86400000 };
+  const { content } = exportHistory({ profile, entries: [later, record] }, EXPORT_FORMATS.FHIR, EXPORTED_AT);
+  const bundle = JSON.parse(content);
+  assert.deepEqual(validateFHIRBundle(bundle), []);
+  assert.equal(bundle.entry.length, 7);
+});
+
+test('demo measurements are refused', () => {
+  const demo = { ...record, source: MEASUREMENT_SOURCES.DEMO };
+  assert.throws(() => createVitalSignObservations(demo, 'urn:uuid:00000000-0000-4000-8000-000000000001'), /Demo measurements/);
+  assert.throws(() => createFHIRBundle({ profile, records: [demo] }, EXPORTED_AT), /Demo measurements/);
+});
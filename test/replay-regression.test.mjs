@@ -0,0 +1,64 @@
+// Regression suite: replays the recorded sessions in fixtures/sessions
+// through every algorithm and compares the final reading with
+// fixtures/sessions/expected.json and with the session's ground truth.
+//
+// The sessions are synthetic, made with npm run generate-session --
+//   preschool-ectopic.json --heart-rate 110 --age 4 --arrhythmia ectopic --motion 12:2 --seed 16
+//   infant-fast.json --heart-rate 205 --age 0.3 --seed 3
+//   teen-motion.json --heart-rate 75 --age 14 --motion 8:1.5 --motion 20:2 --noise 0.15 --drop-rate 0.05 --seed 7
+// Besides the final reading, expected.json holds the heart rate and quality
+// of the windows at a few fixed times and, for algorithms that detect
+// motion, whether the window reported motion. Every window inside one of the
+// session's motion bursts must report it.
+// After an intended change of the processing, update expected.json from
+// npm run replay -- <session> --algorithm real,advanced
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parseRecordedSession, replaySession } from '../SessionReplay.js';
+
+const FIXTURES = new URL('./fixtures/sessions/', import.meta.url);
+const { tolerance, sessions } = JSON.parse(await readFile(new URL('expected.json', FIXTURES), 'utf8'));
+
+function assertClose(actual, expected, allowed, label) {
+  assert.ok(Number.isFinite(actual), `${label}: no reading`);
+  assert.ok(Math.abs(actual - expected) <= allowed, `${label}: ${actual}, expected ${expected} ± ${allowed}`);
+}
+
+for (const [file, algorithms] of Object.entries(sessions)) {
+  test(file, async (t) => {
+    const session = parseRecordedSession(await readFile(new URL(file, FIXTURES), 'utf8'));
+    const truth = session.metadata.groundTruth;
+
+    for (const [algorithm, expected] of Object.entries(algorithms)) {
+      await t.test(algorithm, async () => {
+        const { windows } = await replaySession(session, { algorithm });
+        const last = windows[windows.length - 1];
+
+        assertClose(last.heartRate, expected.heartRate, tolerance.heartRate, 'heart rate');
+        assertClose(last.systolic, expected.systolic, tolerance.bloodPressure, 'systolic');
+        assertClose(last.diastolic, expected.diastolic, tolerance.bloodPressure, 'diastolic');
+        assertClose(last.heartRate, truth.heartRate, tolerance.groundTruthHeartRate, 'heart rate vs. ground truth');
+
+        for (const window of expected.windows) {
+          const actual = windows.find(({ time }) => time >= window.time);
+          const label = `window at ${window.time}s`;
+          assertClose(actual.heartRate, window.heartRate, tolerance.heartRate, `${label} heart rate`);
+          assert.equal(actual.quality, window.quality, `${label} quality`);
+          if ('motionDetected' in window) {
+            assert.equal(actual.motionDetected, window.motionDetected, `${label} motion`);
+          }
+        }
+
+        if (expected.windows.some(window => 'motionDetected' in window)) {
+          for (const { start, end } of truth.motionSegments) {
+            for (const window of windows.filter(({ time }) => time >= start && time <= end)) {
+              assert.ok(window.motionDetected, `window at ${window.time.toFixed(1)}s inside the motion at ${start}-${end}s`);
+            }
+          }
+        }
+      });
+    }
+  });
+}
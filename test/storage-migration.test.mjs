@@ -0,0 +1,102 @@
+// Storage migration tests: data saved by an older app version, in
+// fixtures/storage, is migrated with migrateStorage and checked against
+// what that version stored.
+//
+// v1.json holds a child profile and history entries as the schema 1 app
+// wrote them (createHistoryEntry of MeasurementHistory.js before
+// measurement records); schema 2 turns them into measurement records.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { register } from 'node:module';
+
+// Storage.js persists through AsyncStorage, which needs React Native; it is
+// pointed at an in-memory store instead
+const ASYNC_STORAGE = '@react-native-async-storage/async-storage';
+const memoryStorage = 'data:text/javascript,export default globalThis.memoryStorage;';
+register(`data:text/javascript,${encodeURIComponent(`
+  export async function resolve(specifier, context, next) {
+    if (specifier === ${JSON.stringify(ASYNC_STORAGE)}) return { url: ${JSON.stringify(memoryStorage)}, shortCircuit: true };
+    return next(specifier, context);
+  }
+`)}`);
+
+const items = new Map();
+globalThis.memoryStorage = {
+  getItem: async (key) => (items.has(key) ? items.get(key) : null),
+  setItem: async (key, value) => { items.set(key, String(value)); },
+  removeItem: async (key) => { items.delete(key); },
+  multiRemove: async (keys) => { keys.forEach(key => items.delete(key)); }
+};
+
+const { migrateStorage, loadHistory, STORAGE_SCHEMA_VERSION } = await import('../Storage.js');
+const { MEASUREMENT_RECORD_VERSION, MEASUREMENT_SOURCES } = await import('../MeasurementRecord.js');
+
+const FIXTURES = new URL('./fixtures/storage/', import.meta.url);
+
+// Fill the store with a saved app state ({ key: value }, values as JSON)
+async function loadSavedState(file) {
+  const state = JSON.parse(await readFile(new URL(file, FIXTURES), 'utf8'));
+  items.clear();
+  for (const [key, value] of Object.entries(state)) {
+    items.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+  }
+  return state;
+}
+
+test('schema 1 history entries become measurement records', async () => {
+  const saved = await loadSavedState('v1.json');
+  const [profile] = saved.pulsekids_profiles.profiles;
+
+  assert.equal(await migrateStorage(), true);
+  assert.equal(items.get('pulsekids_schema_version'), String(STORAGE_SCHEMA_VERSION));
+
+  const history = await loadHistory();
+  assert.equal(history.length, saved.pulsekids_history.length);
+
+  saved.pulsekids_history.forEach((entry, i) => {
+    const record = history[i];
+    const label = `entry ${entry.id}`;
+
+    assert.equal(record.schemaVersion, MEASUREMENT_RECORD_VERSION, label);
+    assert.equal(record.id, entry.id, label);
+    assert.equal(record.profileId, entry.profileId, label);
+    assert.equal(record.timestamp, entry.timestamp, label);
+    assert.equal(record.source, MEASUREMENT_SOURCES.CAMERA, label);
+    assert.equal(record.algorithm.name, entry.algorithm, label);
+
+    // Inputs: age and temperature as measured, sex and height from the profile
+    assert.equal(record.input.childAge.value, entry.ageYears, label);
+    assert.equal(record.input.temperature.value, entry.temperature, label);
+    assert.equal(record.input.sex, profile.sex, label);
+    assert.equal(record.input.height.value, profile.height, label);
+
+    assert.equal(record.signal.confidence, entry.confidence, label);
+    assert.equal(record.signal.quality, entry.quality, label);
+
+    const { metrics } = record;
+    assert.equal(metrics.heartRate.value, entry.heartRate, label);
+    assert.equal(metrics.heartRate.flag, entry.heartRateFlag, label);
+    assert.equal(metrics.bloodPressure.systolic, entry.bloodPressure.systolic, label);
+    assert.equal(metrics.bloodPressure.diastolic, entry.bloodPressure.diastolic, label);
+    assert.equal(metrics.bloodPressure.calibrated, entry.bloodPressure.calibrated, label);
+    assert.ok(metrics.bloodPressure.flag, `${label}: no blood pressure category`);
+    assert.equal(metrics.spo2.value, entry.spo2.spo2, label);
+    assert.equal(metrics.respiratoryRate.value, entry.respiratoryRate, label);
+    assert.equal(metrics.hrv.sdnn, entry.hrv?.sdnn ?? null, label);
+    assert.equal(metrics.hrv.rmssd, entry.hrv?.rmssd ?? null, label);
+  });
+});
+
+// A migration that fails before its version is recorded runs again on the
+// next launch, over entries it may already have upgraded
+test('rerunning the migration keeps upgraded records', async () => {
+  await loadSavedState('v1.json');
+  await migrateStorage();
+  const migrated = new Map(items);
+
+  items.set('pulsekids_schema_version', '1');
+  assert.equal(await migrateStorage(), true);
+  assert.deepEqual(items, migrated);
+});